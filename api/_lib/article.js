@@ -0,0 +1,512 @@
+import { decodeFeedBody } from "./feedNormalization.js";
+import { UnsafeUrlError, checkPublicUrl, fetchPublic, readLimited } from "./fetcher.js";
+import { detectLanguage, translateTexts } from "./translate.js";
+
+// -----------------------------
+// Reader view (article extraction)
+// -----------------------------
+// 記事ページを取得して本文を抜き出す（Readability と同じ考え方の簡易版）。
+// 1. HTML を軽量なツリーにする（script / nav / footer などは捨てる）
+// 2. 段落の文字数・読点の数を親・祖父母に加点し、class / id とリンク密度で補正して本文ブロックを選ぶ
+// 3. 本文ブロックを { type, text } の配列（blocks）に落とす。HTML は返さないので表示側でのサニタイズは不要
+
+// 全文翻訳の上限（文字数）。超えた分は原文のまま
+const ARTICLE_TRANSLATE_MAX_CHARS = Number(process.env.ARTICLE_TRANSLATE_MAX_CHARS || 20000);
+
+const ARTICLE_TTL_MS = 6 * 60 * 60 * 1000; // 6h
+const ARTICLE_CACHE_MAX = 100;
+const HTML_MAX_BYTES = 2000000;
+const MAX_BLOCKS = 400;
+
+export class ArticleError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "ArticleError";
+    this.status = status; // レスポンスに使う HTTP ステータス
+  }
+}
+
+// -----------------------------
+// URL checks
+// -----------------------------
+// プライベートアドレスの拒否は fetcher.js（checkPublicUrl / fetchPublic）
+export function parseArticleUrl(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) throw new Error("url is required");
+  let u;
+  try {
+    u = new URL(s);
+  } catch {
+    throw new Error(`Invalid url: ${s}`);
+  }
+  checkPublicUrl(u.toString());
+  u.hash = "";
+  return u.toString();
+}
+
+async function fetchHtml(url) {
+  let res;
+  let finalUrl;
+  try {
+    ({ res, url: finalUrl } = await fetchPublic(url, {
+      headers: { "Accept": "text/html, application/xhtml+xml;q=0.9, */*;q=0.5" },
+    }));
+  } catch (e) {
+    if (e instanceof UnsafeUrlError) throw new ArticleError(e.message, 502);
+    throw e;
+  }
+  if (!res.ok) throw new ArticleError(`upstream HTTP ${res.status}`, 502);
+
+  const type = res.headers.get("content-type") || "";
+  if (type && !/html/i.test(type)) throw new ArticleError(`not an HTML page (${type.split(";")[0]})`, 422);
+  // Shift_JIS / EUC-JP のページもあるので、charset（ヘッダ → <meta>）を見てデコードする
+  const { text } = decodeFeedBody(await readLimited(res, HTML_MAX_BYTES), type);
+  return { html: text, finalUrl };
+}
+
+// -----------------------------
+// Tiny HTML tree
+// -----------------------------
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+// 中身ごと捨てる要素
+const DROP_TAGS = new Set([
+  "head", "script", "style", "noscript", "template", "svg", "math", "canvas", "iframe", "object", "form", "button",
+  "select", "textarea", "input", "nav", "header", "footer", "aside", "dialog",
+]);
+const BLOCK_TAGS = new Set([
+  "address", "article", "blockquote", "dd", "div", "dl", "dt", "figcaption", "figure", "h1", "h2", "h3", "h4", "h5",
+  "h6", "hr", "li", "main", "ol", "p", "pre", "section", "table", "tbody", "td", "th", "thead", "tr", "ul",
+]);
+// 開いたときに同名の要素を閉じるもの（<p>…<p>… のような書き方）
+const AUTO_CLOSE = { p: ["p"], li: ["li"], dt: ["dt", "dd"], dd: ["dt", "dd"], tr: ["tr"], td: ["td", "th"], th: ["td", "th"] };
+
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", hellip: "…", mdash: "—", ndash: "–",
+  lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", laquo: "«", raquo: "»", copy: "©", reg: "®", trade: "™",
+};
+
+export function decodeEntities(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttrs(raw) {
+  const attrs = {};
+  const re = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let m;
+  while ((m = re.exec(raw))) attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  return attrs;
+}
+
+export function parseHtml(html) {
+  const src = String(html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|textarea)\b[\s\S]*?<\/\1\s*>/gi, "");
+
+  const root = { tag: "#root", attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const tagRe = /<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+  let last = 0;
+  let m;
+
+  const top = () => stack[stack.length - 1];
+  const addText = (t) => {
+    if (t) top().children.push({ text: decodeEntities(t), parent: top() });
+  };
+
+  while ((m = tagRe.exec(src))) {
+    addText(src.slice(last, m.index));
+    last = tagRe.lastIndex;
+    const tag = m[2].toLowerCase();
+
+    if (m[1]) {
+      const i = stack.map((n) => n.tag).lastIndexOf(tag);
+      if (i > 0) stack.length = i;
+      continue;
+    }
+
+    const closes = AUTO_CLOSE[tag];
+    if (closes && closes.includes(top().tag)) stack.pop();
+
+    const node = { tag, attrs: parseAttrs(m[3]), children: [], parent: top() };
+    top().children.push(node);
+    if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(m[3])) stack.push(node);
+  }
+  addText(src.slice(last));
+  return root;
+}
+
+function* walk(node) {
+  for (const c of node.children || []) {
+    if (c.text != null) continue;
+    yield c;
+    yield* walk(c);
+  }
+}
+
+function find(root, pred) {
+  for (const n of walk(root)) if (pred(n)) return n;
+  return null;
+}
+
+function isHidden(n) {
+  const a = n.attrs;
+  return "hidden" in a || a["aria-hidden"] === "true" || /display\s*:\s*none|visibility\s*:\s*hidden/i.test(a.style || "");
+}
+
+function isDropped(n) {
+  return DROP_TAGS.has(n.tag) || isHidden(n) || n.attrs.role === "navigation" || n.attrs.role === "complementary";
+}
+
+function textOf(node) {
+  if (node.text != null) return node.text;
+  if (node.tag === "br") return "\n";
+  if (isDropped(node)) return "";
+  const inner = node.children.map(textOf).join("");
+  return BLOCK_TAGS.has(node.tag) ? `\n${inner}\n` : inner;
+}
+
+function clean(s) {
+  return s.replace(/[ \t\r\f\v\u00a0]+/g, " ").replace(/\s*\n\s*/g, "\n").trim();
+}
+
+function flat(s) {
+  return s.replace(/\s+/g, " ").trim();
+}
+
+// -----------------------------
+// Scoring
+// -----------------------------
+const POSITIVE_RE = /article|body|content|entry|main|page|post|text|blog|story|prose/i;
+const NEGATIVE_RE =
+  /comment|meta|footer|footnote|sidebar|share|sharing|social|related|recommend|promo|sponsor|advert|\bads?\b|banner|newsletter|subscribe|signup|widget|breadcrumb|menu|nav|popup|modal|cookie|tags?\b|author-bio|byline/i;
+
+const TAG_SCORE = { div: 5, article: 10, main: 5, section: 3, pre: 3, td: 3, blockquote: 3, ol: -3, ul: -3, li: -3, dl: -3, h1: -5, h2: -5, h3: -5, th: -5 };
+
+function classWeight(n) {
+  const s = `${n.attrs.class || ""} ${n.attrs.id || ""}`;
+  let w = 0;
+  if (NEGATIVE_RE.test(s)) w -= 25;
+  if (POSITIVE_RE.test(s)) w += 25;
+  return w;
+}
+
+function linkDensity(n) {
+  const total = flat(textOf(n)).length || 1;
+  let links = 0;
+  for (const a of walk(n)) if (a.tag === "a") links += flat(textOf(a)).length;
+  return links / total;
+}
+
+function hasDroppedAncestor(n) {
+  for (let p = n.parent; p; p = p.parent) if (p.tag && isDropped(p)) return true;
+  return false;
+}
+
+function pickContentRoot(root) {
+  // 構造化データで本文が明示されていればそれを使う
+  const explicit = find(root, (n) => n.attrs.itemprop === "articleBody" && flat(textOf(n)).length >= 200);
+  if (explicit) return explicit;
+
+  const scores = new Map();
+  const init = (n) => {
+    if (!scores.has(n)) scores.set(n, (TAG_SCORE[n.tag] ?? 0) + classWeight(n));
+  };
+
+  for (const n of walk(root)) {
+    if (!["p", "pre", "td", "blockquote"].includes(n.tag) || hasDroppedAncestor(n)) continue;
+    const text = flat(textOf(n));
+    if (text.length < 25) continue;
+
+    const score = 1 + (text.match(/[,，、。]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    let p = n.parent;
+    for (let level = 1; p && p.tag !== "#root" && level <= 3; level++, p = p.parent) {
+      init(p);
+      scores.set(p, scores.get(p) + score / (level === 1 ? 1 : level === 2 ? 2 : level * 3));
+    }
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [n, s] of scores) {
+    const adjusted = s * (1 - linkDensity(n));
+    if (adjusted > bestScore) {
+      best = n;
+      bestScore = adjusted;
+    }
+  }
+  return best || find(root, (n) => n.tag === "article") || find(root, (n) => n.tag === "body") || root;
+}
+
+// -----------------------------
+// Blocks
+// -----------------------------
+function imageSrc(n, base) {
+  const a = n.attrs;
+  const srcset = (a["data-srcset"] || a.srcset || "").split(",")[0]?.trim().split(/\s+/)[0];
+  const raw = a["data-src"] || a["data-lazy-src"] || a["data-original"] || a.src || srcset;
+  if (!raw || raw.startsWith("data:") || a.width === "1" || a.height === "1") return null;
+  try {
+    const u = new URL(raw, base);
+    return /^https?:$/.test(u.protocol) ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function hasBlockChild(n) {
+  for (const c of walk(n)) if (BLOCK_TAGS.has(c.tag) && !isDropped(c)) return true;
+  return false;
+}
+
+function toBlocks(node, base) {
+  const blocks = [];
+  const push = (b) => {
+    if (blocks.length < MAX_BLOCKS) blocks.push(b);
+  };
+  const pushImages = (n) => {
+    for (const img of walk(n)) if (img.tag === "img") push({ type: "image", src: imageSrc(img, base), alt: img.attrs.alt || null });
+  };
+
+  const visit = (n) => {
+    if (isDropped(n)) return;
+
+    // 本文中の共有ボタン・関連記事など（リンクが多い or 短い）
+    const weight = classWeight(n);
+    if (weight < 0 && (linkDensity(n) > 0.3 || flat(textOf(n)).length < 200)) return;
+
+    const tag = n.tag;
+    if (/^h[1-6]$/.test(tag)) {
+      const t = flat(textOf(n));
+      if (t) push({ type: "heading", level: Math.max(2, Number(tag[1])), text: t });
+      return;
+    }
+    if (tag === "img") {
+      push({ type: "image", src: imageSrc(n, base), alt: n.attrs.alt || null });
+      return;
+    }
+    if (tag === "figure") {
+      const img = find(n, (c) => c.tag === "img");
+      const cap = find(n, (c) => c.tag === "figcaption");
+      if (img) push({ type: "image", src: imageSrc(img, base), alt: img.attrs.alt || null, caption: cap ? flat(textOf(cap)) || null : null });
+      return;
+    }
+    if (tag === "ul" || tag === "ol") {
+      if (linkDensity(n) > 0.5) return;
+      const items = n.children.filter((c) => c.tag === "li").map((li) => flat(textOf(li))).filter(Boolean);
+      if (items.length) push({ type: "list", ordered: tag === "ol", items });
+      return;
+    }
+    if (tag === "blockquote") {
+      const t = clean(textOf(n));
+      if (t) push({ type: "quote", text: t });
+      return;
+    }
+    if (tag === "pre") {
+      const t = n.children.map(textOf).join("").replace(/^\n+|\s+$/g, "");
+      if (t) push({ type: "code", text: t });
+      return;
+    }
+    if (tag === "p" || !hasBlockChild(n)) {
+      pushImages(n);
+      const t = flat(textOf(n));
+      if (t && linkDensity(n) < 0.8) push({ type: "paragraph", text: t });
+      return;
+    }
+
+    // ブロック要素とインライン要素が混在するコンテナ：連続するインライン部分を1段落にまとめる
+    let run = [];
+    const flush = () => {
+      const t = flat(run.map(textOf).join(""));
+      const links = run.flatMap((c) => (c.tag === "a" ? [c] : c.text == null ? [...walk(c)].filter((a) => a.tag === "a") : []));
+      const linkLen = links.reduce((sum, a) => sum + flat(textOf(a)).length, 0);
+      if (t && linkLen / t.length < 0.8) push({ type: "paragraph", text: t });
+      run = [];
+    };
+    for (const c of n.children) {
+      const inline = c.text != null || (!BLOCK_TAGS.has(c.tag) && c.tag !== "img" && !isDropped(c) && !hasBlockChild(c));
+      if (inline) run.push(c);
+      else {
+        flush();
+        visit(c);
+      }
+    }
+    flush();
+  };
+
+  visit(node);
+
+  // 画像の src 不明・連続する同じ段落・"Advertisement" などを落とす
+  return blocks.filter((b, i) => {
+    if (b.type === "image") return Boolean(b.src) && !blocks.slice(0, i).some((x) => x.type === "image" && x.src === b.src);
+    if (b.text && /^(advertisement|広告|pr)$/i.test(b.text)) return false;
+    const prev = blocks[i - 1];
+    return !(prev && prev.text && prev.text === b.text);
+  });
+}
+
+// -----------------------------
+// Metadata
+// -----------------------------
+function metaContent(root, ...names) {
+  for (const name of names) {
+    const n = find(root, (m) => m.tag === "meta" && (m.attrs.property === name || m.attrs.name === name || m.attrs.itemprop === name));
+    if (n?.attrs.content) return flat(n.attrs.content);
+  }
+  return null;
+}
+
+function toIsoOrNull(v) {
+  const t = Date.parse(v || "");
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+/**
+ * HTML から記事を取り出す。
+ * 戻り値: { url, title, byline, siteName, publishedAt, image, lang, excerpt, blocks, length }
+ */
+export function extractArticle(html, url) {
+  const root = parseHtml(html);
+  const htmlEl = find(root, (n) => n.tag === "html");
+  const titleEl = find(root, (n) => n.tag === "title");
+
+  const title =
+    metaContent(root, "og:title", "twitter:title") ||
+    flat(textOf(find(root, (n) => n.tag === "h1" && !hasDroppedAncestor(n)) || { text: "" })) ||
+    (titleEl ? flat(titleEl.children.map(textOf).join("")) : null) ||
+    null;
+
+  const contentRoot = pickContentRoot(root);
+  let blocks = toBlocks(contentRoot, url);
+  // 本文の先頭が見出しと同じなら重複させない
+  if (blocks[0]?.type === "heading" && blocks[0].text === title) blocks = blocks.slice(1);
+
+  const text = blocks.flatMap((b) => b.items || [b.text || ""]).join("\n");
+  const imageMeta = metaContent(root, "og:image", "twitter:image");
+  let image = null;
+  try {
+    image = imageMeta ? new URL(imageMeta, url).toString() : null;
+  } catch {
+    image = null;
+  }
+
+  return {
+    url,
+    title,
+    byline: metaContent(root, "author", "article:author", "parsely-author", "sailthru.author"),
+    siteName: metaContent(root, "og:site_name", "application-name"),
+    publishedAt: toIsoOrNull(metaContent(root, "article:published_time", "datePublished", "date", "pubdate")),
+    image,
+    lang: (htmlEl?.attrs.lang || "").slice(0, 2).toLowerCase() || detectLanguage(text.slice(0, 2000)),
+    excerpt: metaContent(root, "og:description", "description") || text.slice(0, 240) || null,
+    blocks,
+    length: text.length,
+  };
+}
+
+// -----------------------------
+// Translation
+// -----------------------------
+// 翻訳対象のテキストを blocks から取り出す（コードと画像は除く）。path は書き戻し先
+function textSlots(blocks) {
+  const slots = [];
+  blocks.forEach((b, i) => {
+    if (b.type === "list") b.items.forEach((t, j) => slots.push({ i, j, text: t }));
+    else if (b.type === "image") {
+      if (b.caption) slots.push({ i, key: "caption", text: b.caption });
+    } else if (b.type !== "code") slots.push({ i, key: "text", text: b.text });
+  });
+  return slots;
+}
+
+async function translateArticle(article, lang) {
+  const slots = textSlots(article.blocks);
+  // 上限に収まる分だけ（先頭から）
+  let budget = ARTICLE_TRANSLATE_MAX_CHARS - (article.title || "").length;
+  const used = [];
+  for (const s of slots) {
+    if (s.text.length > budget) break;
+    budget -= s.text.length;
+    used.push(s);
+  }
+
+  const { texts, report } = await translateTexts([article.title || "", ...used.map((s) => s.text)], {
+    lang,
+    sourceLang: article.lang,
+  });
+  if (!texts) return { translation: null, report };
+
+  const blocks = article.blocks.map((b) => (b.type === "list" ? { ...b, items: [...b.items] } : { ...b }));
+  used.forEach((s, k) => {
+    const t = texts[k + 1];
+    if (!t) return;
+    if (s.j != null) blocks[s.i].items[s.j] = t;
+    else blocks[s.i][s.key] = t;
+  });
+
+  return {
+    translation: {
+      lang,
+      title: texts[0] || null,
+      blocks,
+      truncated: used.length < slots.length,
+    },
+    report,
+  };
+}
+
+// -----------------------------
+// Cache + entry point
+// -----------------------------
+// url -> { at, article, translations: { [lang]: translation } }
+const articleCache = new Map();
+
+function cacheGet(url, now) {
+  const hit = articleCache.get(url);
+  if (hit && now - hit.at < ARTICLE_TTL_MS) return hit;
+  articleCache.delete(url);
+  return null;
+}
+
+function cacheSet(url, entry) {
+  articleCache.delete(url);
+  articleCache.set(url, entry);
+  // 古いものから捨てる（Map は挿入順）
+  while (articleCache.size > ARTICLE_CACHE_MAX) articleCache.delete(articleCache.keys().next().value);
+}
+
+/**
+ * 記事を取得・抽出し、lang を指定すれば全文翻訳も付ける（原文と同じ言語なら翻訳しない）。
+ * 戻り値: { article, translation, translationReport, cache: "hit" | "miss" }
+ */
+export async function getArticle(url, { lang = null, now = Date.now() } = {}) {
+  let entry = cacheGet(url, now);
+  const cache = entry ? "hit" : "miss";
+
+  if (!entry) {
+    const { html, finalUrl } = await fetchHtml(url);
+    const article = extractArticle(html, finalUrl);
+    if (!article.blocks.some((b) => b.type !== "image")) throw new ArticleError("could not find article text", 422);
+    entry = { at: now, article, translations: {} };
+    cacheSet(url, entry);
+  }
+
+  const { article } = entry;
+  let translation = null;
+  let translationReport = null;
+  if (lang && article.lang !== lang) {
+    translation = entry.translations[lang] ?? null;
+    if (!translation) {
+      ({ translation, report: translationReport } = await translateArticle(article, lang));
+      // 失敗した翻訳はキャッシュしない（次のリクエストでやり直す）
+      if (translation) entry.translations[lang] = translation;
+    }
+  }
+
+  return { article, translation, translationReport, cache };
+}
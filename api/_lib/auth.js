@@ -0,0 +1,13 @@
+import crypto from "node:crypto";
+
+// -----------------------------
+// Shared-secret checks
+// -----------------------------
+
+/** Authorization: Bearer <secret> と一致するか（secret が未設定なら常に false）。比較は定数時間 */
+export function hasBearer(req, secret) {
+  if (!secret) return false;
+  const given = Buffer.from(String(req.headers?.authorization ?? ""));
+  const expected = Buffer.from(`Bearer ${secret}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,152 @@
+// -----------------------------
+// Cross-source story clustering
+// -----------------------------
+// 同じニュースを複数メディアが報じた場合に1つの「ストーリー」にまとめる。
+// タイトル（+要約）のトークン類似度と、見出しから推定したアーティスト名で判定する。
+
+const STORY_SIMILARITY = Number(process.env.STORY_SIMILARITY || 0.5);
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "of", "to", "in", "on", "at", "for", "with", "by", "from", "as",
+  "is", "are", "be", "its", "it", "his", "her", "their", "new", "first", "out", "up", "after",
+  "announces", "announce", "shares", "share", "unveils", "reveals", "releases", "release", "drops",
+  "details", "confirms", "hear", "listen", "watch", "video", "song", "track", "album", "single", "ep",
+]);
+
+// 見出しの「Artist announces …」「Artist – Title」「Artist: …」からアーティスト部分を取り出す
+const ARTIST_LEAD_RE =
+  /^(.{2,60}?)\s+(?:announces?|shares?|unveils?|reveals?|releases?|drops?|details?|confirms?|returns?|teams? up|covers?|cancels?|postpones?|signs?|joins?|is|are)\b/i;
+const ARTIST_SEP_RE = /^(.{2,60}?)\s*(?:[–—:]|\s-\s)/;
+
+function normText(s) {
+  return String(s ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[‘’“”"'`´]/g, "");
+}
+
+export function tokenize(text) {
+  const s = normText(text);
+  const out = new Set();
+
+  for (const w of s.match(/[a-z0-9]+/g) || []) {
+    if (w.length > 1 && !STOPWORDS.has(w)) out.add(w);
+  }
+
+  // かな・漢字は空白で区切られないので bigram で扱う
+  for (const run of s.match(/[\u3040-\u30ff\u3400-\u9fff]+/g) || []) {
+    if (run.length === 1) out.add(run);
+    for (let i = 0; i < run.length - 1; i++) out.add(run.slice(i, i + 2));
+  }
+
+  return out;
+}
+
+// 見出しからアーティスト名の候補を表記そのまま（大文字小文字・記号を保って）返す
+export function artistCandidates(title) {
+  const t = String(title ?? "").trim();
+  const out = [];
+
+  const lead = t.match(ARTIST_LEAD_RE) || t.match(ARTIST_SEP_RE);
+  if (lead) {
+    for (const part of lead[1].split(/\s*(?:,|&|\band\b|\bx\b|feat\.?|ft\.?)\s*/i)) {
+      if (part.trim()) out.push(part.trim());
+    }
+  }
+
+  // 邦楽見出しの「アーティスト名、…」「アーティスト名が…」
+  const ja = t.match(/^([^、。「」\s]{2,20}?)(?:、|が|の新曲|新作)/);
+  if (ja) out.push(ja[1]);
+
+  return out;
+}
+
+export function extractArtists(title) {
+  const names = new Set();
+  for (const c of artistCandidates(title)) {
+    const n = normText(c).replace(/[^\p{L}\p{N} ]/gu, "").trim();
+    if (n) names.add(n);
+  }
+  return names;
+}
+
+// Optional de-duplication by URL (keeps first/newest occurrence)
+export function dedupeByUrl(items) {
+  const seen = new Set();
+  const deduped = [];
+  for (const item of items.slice().sort((a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || ""))) {
+    const key = item.url;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    deduped.push(item);
+  }
+  return deduped;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+function profile(item) {
+  return {
+    title: tokenize(item.title),
+    summary: tokenize(item.summary),
+    artists: extractArtists(item.title),
+  };
+}
+
+export function similarity(pa, pb) {
+  let score = 0.75 * jaccard(pa.title, pb.title) + 0.25 * jaccard(pa.summary, pb.summary);
+  for (const n of pa.artists) {
+    if (pb.artists.has(n)) {
+      score += 0.2;
+      break;
+    }
+  }
+  return Math.min(1, score);
+}
+
+/**
+ * 新しい順に並んだアイテムをストーリー単位にまとめる。
+ * 各ストーリーの先頭（最新）のアイテムを primary とし、残りを alsoReportedBy に入れる。
+ */
+export function clusterStories(items, { threshold = STORY_SIMILARITY } = {}) {
+  const stories = []; // { primary, members: [{ item, profile }] }
+
+  for (const item of items) {
+    const p = profile(item);
+    let best = null;
+    let bestScore = 0;
+
+    for (const s of stories) {
+      for (const m of s.members) {
+        const score = similarity(p, m.profile);
+        if (score > bestScore) {
+          bestScore = score;
+          best = s;
+        }
+      }
+    }
+
+    if (best && bestScore >= threshold) {
+      best.members.push({ item, profile: p });
+    } else {
+      stories.push({ primary: item, members: [{ item, profile: p }] });
+    }
+  }
+
+  return stories.map((s) => ({
+    ...s.primary,
+    storyId: s.primary.id,
+    alsoReportedBy: s.members.slice(1).map(({ item }) => ({
+      id: item.id,
+      title: item.title,
+      url: item.url,
+      source: item.source,
+      publishedAt: item.publishedAt,
+    })),
+  }));
+}
@@ -0,0 +1,143 @@
+import { FEED_CONCURRENCY, fetchFeed, mapLimit } from "./fetcher.js";
+import { extractItemExtras } from "./itemExtras.js";
+import { cleanUrl, parseFeedDate } from "./feedNormalization.js";
+
+export function toIso(d) {
+  const dt = d instanceof Date ? d : new Date(d);
+  return Number.isFinite(dt.getTime()) ? dt.toISOString() : null;
+}
+
+// -----------------------------
+// Feed health tracking
+// -----------------------------
+// url -> { lastSuccessAt, lastFailureAt, lastError }
+// ウォームなインスタンス内でのみ保持（コールドスタートでリセット）
+const feedHistory = new Map();
+
+export function classifyError(e) {
+  // fetch の "fetch failed" は原因が cause に入っている
+  const cause = e?.cause?.code || e?.cause?.message;
+  const message = String(e?.message || e || "unknown error") + (cause ? ` (${cause})` : "");
+  if (e?.status) return { type: "http", status: e.status, message };
+  if (e?.name === "TimeoutError" || /timed? ?out|ETIMEDOUT|ESOCKETTIMEDOUT/i.test(message)) {
+    return { type: "timeout", status: null, message };
+  }
+  if (/ENOTFOUND|ECONNREFUSED|ECONNRESET|EAI_AGAIN|socket hang up|fetch failed/i.test(message)) {
+    return { type: "network", status: null, message };
+  }
+  return { type: "parse", status: null, message };
+}
+
+function recordStatus(f, patch) {
+  const prev = feedHistory.get(f.url) || { lastSuccessAt: null, lastFailureAt: null, lastError: null };
+  const next = { ...prev, ...patch };
+  feedHistory.set(f.url, next);
+  return next;
+}
+
+// -----------------------------
+// Fetch + normalize
+// -----------------------------
+// 日付の無いアイテムは初めて見た時刻を公開時刻とみなす。
+// firstSeen(ids) -> Promise<Map<id, firstSeenAt>>（ストアの記録）。記録が無ければ今
+async function firstSeenOf(ids, firstSeen) {
+  if (!ids.length || !firstSeen) return new Map();
+  try {
+    return await firstSeen(ids);
+  } catch (e) {
+    console.warn("first-seen lookup failed:", e?.message || e);
+    return new Map();
+  }
+}
+
+// アイテムの公開時刻（epoch ms）。RSS / Atom / Dublin Core のどの要素でもよい。無い・読めなければ NaN
+export function itemDateMs(it) {
+  return parseFeedDate(it.isoDate || it.pubDate || it.date || it.published || it.updated);
+}
+
+async function fetchOne(f, since, { force = false, firstSeen = null } = {}) {
+  const startedAt = Date.now();
+  const status = {
+    source: f.source,
+    url: f.url,
+    defaultGenre: f.defaultGenre,
+    ok: false,
+    checkedAt: new Date(startedAt).toISOString(),
+    latencyMs: null,
+    rawItemCount: 0,
+    inWindowCount: 0,
+    cache: null,
+    error: null,
+  };
+  let items = [];
+
+  try {
+    const { feed, cache } = await fetchFeed(f.url, { force });
+    status.latencyMs = Date.now() - startedAt;
+    status.cache = cache;
+    status.rawItemCount = (feed.items || []).length;
+
+    for (const it of feed.items || []) {
+      const publishedMs = itemDateMs(it);
+      if (publishedMs < since) continue;
+
+      const title = (it.title || "").trim();
+      // utm_* などを落としてから id にする（同じ記事が別アイテムにならないように）
+      const url = cleanUrl(it.link || it.guid || "");
+      if (!title || !url) continue;
+
+      items.push({
+        id: `${f.source}::${url}`,
+        title,
+        url,
+        source: f.source,
+        publishedAt: Number.isFinite(publishedMs) ? toIso(publishedMs) : null,
+        summary: (it.contentSnippet || it.summary || "").toString().replace(/\s+/g, " ").trim().slice(0, 240) || null,
+        ...extractItemExtras(it),
+        _fallbackGenre: f.defaultGenre,
+      });
+    }
+
+    const undated = items.filter((it) => !it.publishedAt);
+    const seen = await firstSeenOf(undated.map((it) => it.id), firstSeen);
+    for (const it of undated) {
+      it.publishedAt = seen.get(it.id) ?? status.checkedAt;
+      it.undated = true;
+    }
+    items = items.filter((it) => Date.parse(it.publishedAt) >= since);
+
+    status.ok = true;
+    status.inWindowCount = items.length;
+    Object.assign(status, recordStatus(f, { lastSuccessAt: status.checkedAt, lastError: null }));
+  } catch (e) {
+    status.latencyMs = Date.now() - startedAt;
+    status.error = classifyError(e);
+    console.warn(`feed fetch failed [${f.source}]`, status.error.message);
+    Object.assign(status, recordStatus(f, { lastFailureAt: status.checkedAt, lastError: status.error }));
+  }
+
+  return { items, status };
+}
+
+/**
+ * 全フィードを取得し、since 以降のアイテムとフィードごとの状態を返す。
+ * 1フィードの失敗は他に影響しない（status.ok=false として記録）。
+ * force=true なら共有キャッシュの TTL を無視して取りに行く（条件付きリクエストは使う）。
+ * firstSeen を渡すと、日付の無いアイテムの公開時刻にストアの firstSeenAt を使う（undated: true が付く）。
+ */
+export async function collectItems(FEEDS, { since, force = false, firstSeen = null }) {
+  const results = await mapLimit(FEEDS, FEED_CONCURRENCY, (f) => fetchOne(f, since, { force, firstSeen }));
+  return {
+    items: results.flatMap((r) => r.items),
+    feedStatus: results.map((r) => r.status),
+  };
+}
+
+export function summarizeFeedStatus(feedStatus) {
+  const failing = feedStatus.filter((s) => !s.ok).map((s) => s.source);
+  return {
+    total: feedStatus.length,
+    ok: feedStatus.length - failing.length,
+    failing,
+  };
+}
@@ -0,0 +1,219 @@
+import { DEFAULT_GENRE_ORDER } from "./genres.js";
+
+// -----------------------------
+// Daily digest (HTML email / Markdown)
+// -----------------------------
+// /api/news と同じパイプラインのストーリーから、ジャンルごとの上位 N 件をまとめる。
+// 各ストーリーは主ジャンル（genre）にだけ載せる（複数タグで重複させない）。
+// 並び: 報じたソース数（alsoReportedBy + 1）→ 新しい順
+
+/** IANA のタイムゾーン名を確かめる。不正なら理由を出して UTC に戻す（リクエストのたびに RangeError にしない） */
+export function digestTimeZone(value) {
+  if (!value) return "UTC";
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: value });
+    return value;
+  } catch {
+    console.error(`DIGEST_TIMEZONE is not a valid IANA time zone: ${value} (using UTC)`);
+    return "UTC";
+  }
+}
+
+const DIGEST_TIMEZONE = digestTimeZone(process.env.DIGEST_TIMEZONE);
+export const DIGEST_TOP = 5;
+const SUMMARY_MAX = 200;
+
+function coverage(it) {
+  return 1 + (it.alsoReportedBy?.length ?? 0);
+}
+
+function clip(s, max) {
+  const t = String(s ?? "").trim();
+  return t.length > max ? `${t.slice(0, max - 1).trimEnd()}…` : t;
+}
+
+function entryOf(it) {
+  const translated = it.translation?.title && it.translation.title !== it.title;
+  return {
+    id: it.id,
+    title: it.translation?.title ?? it.title,
+    originalTitle: translated ? it.title : null,
+    url: it.url,
+    source: it.source,
+    alsoReportedBy: (it.alsoReportedBy ?? []).map((o) => o.source),
+    publishedAt: it.publishedAt,
+    summary: clip(it.translation?.summary ?? it.summary, SUMMARY_MAX) || null,
+  };
+}
+
+// "2026-01-31" をダイジェストのタイムゾーンで
+function localDate(ms, timeZone = DIGEST_TIMEZONE) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(ms);
+}
+
+function localTime(ms, timeZone = DIGEST_TIMEZONE) {
+  return new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", timeZoneName: "short" }).format(
+    ms
+  );
+}
+
+/**
+ * ジャンルごとの上位 N 件を選ぶ: [{ genre, total, items }]（ジャンルの並び順）。
+ * 載せるアイテムだけを先に翻訳したいとき用（buildDigest も同じ選び方）
+ */
+export function pickDigestStories(stories, { top = DIGEST_TOP, genres = [] } = {}) {
+  const wanted = new Set(genres.map((g) => g.toLowerCase()));
+  const byGenre = new Map();
+  for (const it of stories) {
+    const g = it.genre || "Other";
+    if (wanted.size && !wanted.has(g.toLowerCase())) continue;
+    if (!byGenre.has(g)) byGenre.set(g, []);
+    byGenre.get(g).push(it);
+  }
+
+  const rank = (g) => {
+    const i = DEFAULT_GENRE_ORDER.indexOf(g);
+    return i < 0 ? DEFAULT_GENRE_ORDER.length : i;
+  };
+  return [...byGenre.entries()]
+    .sort((a, b) => rank(a[0]) - rank(b[0]) || a[0].localeCompare(b[0]))
+    .map(([genre, items]) => ({
+      genre,
+      total: items.length,
+      items: items
+        .slice()
+        .sort((a, b) => coverage(b) - coverage(a) || (b.publishedAt || "").localeCompare(a.publishedAt || ""))
+        .slice(0, top),
+    }));
+}
+
+/**
+ * stories -> digest
+ * options: { hours, lang, top, genres（含めるジャンル。空なら全部）, title, homeUrl, now }
+ * digest: { title, subject, date, generatedAt, hours, lang, homeUrl, totals: { stories, shown }, sections: [{ genre, total, entries }] }
+ */
+export function buildDigest(stories, { hours = 24, lang = null, top = DIGEST_TOP, genres = [], title, homeUrl = null, now = Date.now() } = {}) {
+  const sections = pickDigestStories(stories, { top, genres }).map(({ genre, total, items }) => ({
+    genre,
+    total,
+    entries: items.map(entryOf),
+  }));
+
+  const date = localDate(now);
+  const total = sections.reduce((n, s) => n + s.total, 0);
+  const heading = title || `Music News digest – ${date}`;
+  return {
+    title: heading,
+    subject: `${heading} (${total} stories)`,
+    date,
+    generatedAt: new Date(now).toISOString(),
+    generatedAtLocal: localTime(now),
+    hours,
+    lang,
+    homeUrl,
+    totals: { stories: total, shown: sections.reduce((n, s) => n + s.entries.length, 0) },
+    sections,
+  };
+}
+
+// -----------------------------
+// Markdown
+// -----------------------------
+function mdEscape(s) {
+  return String(s ?? "").replace(/([\\`*_[\]<>#|])/g, "\\$1");
+}
+
+// リンク先の括弧・空白は Markdown の構文を壊すのでエンコードする
+function mdUrl(u) {
+  return String(u ?? "").replace(/[()\s]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+}
+
+function sourcesLine(e) {
+  return e.alsoReportedBy.length ? `${e.source} · also ${e.alsoReportedBy.join(", ")}` : e.source;
+}
+
+export function renderDigestMarkdown(d) {
+  const out = [`# ${mdEscape(d.title)}`, "", `_Last ${d.hours}h · ${d.totals.stories} stories · ${d.generatedAtLocal}_`];
+  if (!d.sections.length) out.push("", "No stories in this window.");
+
+  for (const s of d.sections) {
+    out.push("", `## ${mdEscape(s.genre)} (${s.total})`, "");
+    s.entries.forEach((e, i) => {
+      out.push(`${i + 1}. [${mdEscape(e.title)}](${mdUrl(e.url)}) — ${mdEscape(sourcesLine(e))}`);
+      if (e.originalTitle) out.push(`   _${mdEscape(e.originalTitle)}_`);
+      if (e.summary) out.push(`   ${mdEscape(e.summary)}`);
+    });
+    if (s.total > s.entries.length) out.push("", `…and ${s.total - s.entries.length} more`);
+  }
+  if (d.homeUrl) out.push("", `[Open Music News](${mdUrl(d.homeUrl)})`);
+  return `${out.join("\n")}\n`;
+}
+
+// -----------------------------
+// HTML email
+// -----------------------------
+// メールクライアント向けにテーブルレイアウト + インライン CSS（<style> は使わない）
+function htmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const STYLE = {
+  body: "margin:0;padding:0;background:#f4f4f5;",
+  wrap: "max-width:640px;margin:0 auto;padding:24px 16px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Hiragino Sans','Noto Sans JP',sans-serif;color:#18181b;",
+  h1: "margin:0 0 4px;font-size:22px;",
+  meta: "margin:0 0 24px;font-size:13px;color:#71717a;",
+  h2: "margin:24px 0 8px;font-size:16px;border-bottom:1px solid #e4e4e7;padding-bottom:4px;",
+  item: "padding:8px 0;",
+  link: "color:#18181b;font-weight:600;text-decoration:none;font-size:15px;",
+  original: "font-size:12px;color:#71717a;margin-top:2px;",
+  sources: "font-size:12px;color:#52525b;margin-top:2px;",
+  summary: "font-size:13px;color:#3f3f46;margin-top:4px;line-height:1.5;",
+  more: "font-size:12px;color:#71717a;padding-top:4px;",
+  footer: "margin-top:32px;font-size:12px;color:#a1a1aa;",
+};
+
+export function renderDigestHtml(d) {
+  const sections = d.sections
+    .map((s) => {
+      const rows = s.entries
+        .map(
+          (e) => `<tr><td style="${STYLE.item}">
+<a href="${htmlEscape(e.url)}" style="${STYLE.link}">${htmlEscape(e.title)}</a>
+${e.originalTitle ? `<div style="${STYLE.original}">${htmlEscape(e.originalTitle)}</div>` : ""}
+<div style="${STYLE.sources}">${htmlEscape(sourcesLine(e))}</div>
+${e.summary ? `<div style="${STYLE.summary}">${htmlEscape(e.summary)}</div>` : ""}
+</td></tr>`
+        )
+        .join("\n");
+      const more = s.total > s.entries.length ? `<tr><td style="${STYLE.more}">…and ${s.total - s.entries.length} more</td></tr>` : "";
+      return `<h2 style="${STYLE.h2}">${htmlEscape(s.genre)} <span style="color:#a1a1aa;font-weight:normal;">(${s.total})</span></h2>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+${rows}
+${more}
+</table>`;
+    })
+    .join("\n");
+
+  return `<!doctype html>
+<html lang="${htmlEscape(d.lang || "en")}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${htmlEscape(d.title)}</title>
+</head>
+<body style="${STYLE.body}">
+<div style="${STYLE.wrap}">
+<h1 style="${STYLE.h1}">${htmlEscape(d.title)}</h1>
+<p style="${STYLE.meta}">Last ${d.hours}h · ${d.totals.stories} stories · ${htmlEscape(d.generatedAtLocal)}</p>
+${sections || `<p>No stories in this window.</p>`}
+<p style="${STYLE.footer}">${d.homeUrl ? `<a href="${htmlEscape(d.homeUrl)}" style="color:#71717a;">Open Music News</a>` : "Music News"}</p>
+</div>
+</body>
+</html>
+`;
+}
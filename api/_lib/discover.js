@@ -0,0 +1,238 @@
+import { FEED_CONCURRENCY, FeedHttpError, checkPublicUrl, fetchPublic, mapLimit, parseFeed, readLimited } from "./fetcher.js";
+import { pickGenre } from "./genres.js";
+import { extractCategories } from "./itemExtras.js";
+import { itemDateMs } from "./collect.js";
+import { decodeFeedBody } from "./feedNormalization.js";
+
+// -----------------------------
+// Feed auto-discovery
+// -----------------------------
+// サイトの URL から RSS / Atom フィードを探す。
+// 1. ページ自体がフィードならそれ
+// 2. <link rel="alternate" type="application/rss+xml" ...>
+// 3. 本文中の feed / rss / atom っぽいリンク（同一ホストのみ）
+// 4. よくあるパス（/feed, /rss.xml, …）
+// 候補は実際に取得・パースして、読めたものだけを順位付けして返す。
+// 利用者が渡した URL なので fetchPublic で取得し（プライベートアドレスはリダイレクト先も含めて拒否）、
+// 共有のフィードキャッシュ（fetchFeed）には入れない。
+
+const COMMON_PATHS = [
+  "/feed",
+  "/feed/",
+  "/rss",
+  "/rss/",
+  "/feed.xml",
+  "/rss.xml",
+  "/atom.xml",
+  "/index.xml",
+  "/index.rdf",
+  "/?feed=rss2",
+  "/feeds/posts/default",
+];
+
+const FEED_TYPES_RE = /^application\/(rss|atom|rdf)\+xml$|^application\/(xml|feed\+json)$|^text\/xml$/i;
+
+// origin ごとの基礎点（明示されているものほど信用する）
+const ORIGIN_SCORE = { self: 60, link: 50, anchor: 20, path: 10 };
+
+const MAX_ANCHORS = 8;
+const MAX_CANDIDATES = 20;
+const SAMPLE_TITLES = 3;
+const PAGE_MAX_BYTES = 1000000;
+const FEED_MAX_BYTES = 2000000;
+
+export function normalizeSiteUrl(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) throw new Error("url is required");
+  const u = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(s) ? s : `https://${s}`);
+  return checkPublicUrl(u.toString()).toString();
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? (m[1] ?? m[2] ?? m[3] ?? "").trim() : null;
+}
+
+function decodeEntities(s) {
+  return s.replace(/&amp;/g, "&").replace(/&#0*38;/g, "&").replace(/&quot;/g, '"').replace(/&#0*39;/g, "'");
+}
+
+function resolve(href, base) {
+  try {
+    const u = new URL(decodeEntities(href), base);
+    u.hash = "";
+    return /^https?:$/.test(u.protocol) ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// HTML から候補 URL を取り出す（正規表現で十分な程度の精度）
+export function extractFeedLinks(html, baseUrl) {
+  const out = [];
+  const base = resolve(attr(html.match(/<base\s[^>]*>/i)?.[0] ?? "", "href") ?? "", baseUrl) || baseUrl;
+
+  for (const tag of html.match(/<link\s[^>]*>/gi) || []) {
+    const rel = (attr(tag, "rel") || "").toLowerCase().split(/\s+/);
+    const type = attr(tag, "type") || "";
+    if (!rel.includes("alternate") || !FEED_TYPES_RE.test(type)) continue;
+    const url = resolve(attr(tag, "href") || "", base);
+    if (url) out.push({ url, origin: "link", hint: attr(tag, "title") || null });
+  }
+
+  const host = new URL(base).hostname;
+  let anchors = 0;
+  for (const tag of html.match(/<a\s[^>]*>/gi) || []) {
+    if (anchors >= MAX_ANCHORS) break;
+    const href = attr(tag, "href") || "";
+    if (!/(^|[/.?=_-])(rss|feed|atom)([/.?=_-]|$)|\.xml($|\?)/i.test(href)) continue;
+    const url = resolve(href, base);
+    if (!url || new URL(url).hostname !== host) continue;
+    out.push({ url, origin: "anchor", hint: null });
+    anchors++;
+  }
+
+  return out;
+}
+
+function looksLikeFeed(contentType, body) {
+  if (/(rss|atom|rdf)\+xml|\/xml/i.test(contentType)) return true;
+  return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(rss|feed|rdf:RDF)[\s>]/i.test(body.slice(0, 2000));
+}
+
+// 日付は collect と同じ規則で読む（Atom の published / updated や dc:date も使える）
+function latestOf(items) {
+  const ts = items.map(itemDateMs).filter(Number.isFinite);
+  return ts.length ? new Date(Math.max(...ts)).toISOString() : null;
+}
+
+// サンプル記事の pickGenre を多数決（Other は他に何もない時だけ）
+function suggestGenre(items, title, rules) {
+  const votes = new Map();
+  for (const it of items.slice(0, 20)) {
+    const g = pickGenre({ title: it.title, summary: it.contentSnippet, source: title, categories: extractCategories(it) }, rules);
+    votes.set(g, (votes.get(g) || 0) + 1);
+  }
+  const ranked = [...votes].sort((a, b) => b[1] - a[1]);
+  return (ranked.find(([g]) => g !== "Other") ?? ranked[0] ?? ["Other"])[0];
+}
+
+function scoreCandidate(c, feed, now) {
+  const items = feed.items || [];
+  let score = ORIGIN_SCORE[c.origin] ?? 0;
+  score += Math.min(items.length, 20);
+
+  const latest = Date.parse(latestOf(items) || "");
+  if (Number.isFinite(latest)) {
+    const ageDays = (now - latest) / 86400000;
+    if (ageDays <= 2) score += 20;
+    else if (ageDays <= 14) score += 10;
+    else if (ageDays > 180) score -= 20;
+  }
+
+  // コメント用フィードやタグ別フィードは本体より下げる
+  const label = `${c.url} ${feed.title || ""} ${c.hint || ""}`;
+  if (/comments?/i.test(label)) score -= 40;
+  if (/\/(tag|category|author)\//i.test(c.url)) score -= 10;
+  return score;
+}
+
+// 候補を1つ取得してパースする（リダイレクト先も fetchPublic が確認する）
+async function probeFeed(url) {
+  const { res } = await fetchPublic(url, {
+    headers: { "Accept": "application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5" },
+  });
+  if (!res.ok) {
+    await res.body?.cancel().catch(() => {});
+    throw new FeedHttpError(res.status, url);
+  }
+  return parseFeed(await readLimited(res, FEED_MAX_BYTES), { contentType: res.headers.get("content-type") || "" });
+}
+
+/**
+ * siteUrl からフィードを探して、スコア順の候補を返す。
+ * 戻り値: { site, suggestions: [...], rejected: [{ url, origin, error }] }
+ */
+export async function discoverFeeds(siteUrl, { genreRules, knownUrls = [], now = Date.now() } = {}) {
+  const site = normalizeSiteUrl(siteUrl);
+  const candidates = [];
+  let finalUrl = site;
+
+  try {
+    const { res, url } = await fetchPublic(site, {
+      headers: { "Accept": "text/html, application/xhtml+xml, application/rss+xml, application/atom+xml;q=0.9, */*;q=0.5" },
+    });
+    finalUrl = url;
+    if (res.ok) {
+      const { text: body } = decodeFeedBody(await readLimited(res, PAGE_MAX_BYTES), res.headers.get("content-type") || "");
+      if (looksLikeFeed(res.headers.get("content-type") || "", body)) {
+        try {
+          await parseFeed(body);
+          candidates.push({ url: finalUrl, origin: "self", hint: null });
+        } catch {
+          // フィードっぽいがパースできない → 他の候補を探す
+        }
+      } else {
+        candidates.push(...extractFeedLinks(body, finalUrl));
+      }
+    }
+  } catch (e) {
+    console.warn("discover page fetch failed:", e?.message || e);
+  }
+
+  const origin = new URL(finalUrl).origin;
+  for (const p of COMMON_PATHS) candidates.push({ url: origin + p, origin: "path", hint: null });
+
+  // 同じ URL は最初（= 信用度の高い origin）のものだけ
+  const seen = new Set();
+  const unique = candidates
+    .filter((c) => {
+      const key = c.url.replace(/\/$/, "");
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_CANDIDATES);
+
+  const probed = await mapLimit(unique, FEED_CONCURRENCY, async (c) => {
+    try {
+      const feed = await probeFeed(c.url);
+      if (!feed?.items?.length && !feed?.title) throw new Error("empty feed");
+      return { c, feed };
+    } catch (e) {
+      return { c, error: e?.message || String(e) };
+    }
+  });
+
+  const known = new Set(knownUrls.map((u) => String(u).replace(/\/$/, "").toLowerCase()));
+  const suggestions = [];
+  const sameFeed = new Set(); // /feed と /feed/ などが同じ中身を返す場合
+  for (const { c, feed } of probed.filter((p) => p.feed)) {
+    const items = feed.items || [];
+    const fingerprint = `${feed.title || ""}::${items[0]?.link || items[0]?.guid || ""}`;
+    if (sameFeed.has(fingerprint)) continue;
+    sameFeed.add(fingerprint);
+
+    const title = (feed.title || c.hint || new URL(c.url).hostname).trim();
+    suggestions.push({
+      url: c.url,
+      origin: c.origin,
+      score: scoreCandidate(c, feed, now),
+      title,
+      itemCount: items.length,
+      latestAt: latestOf(items),
+      sampleTitles: items.slice(0, SAMPLE_TITLES).map((it) => (it.title || "").trim()),
+      defaultGenre: suggestGenre(items, title, genreRules),
+      alreadyListed: known.has(c.url.replace(/\/$/, "").toLowerCase()),
+    });
+  }
+  suggestions.sort((a, b) => b.score - a.score);
+
+  return {
+    site: finalUrl,
+    suggestions,
+    rejected: probed
+      .filter((p) => p.error && p.c.origin !== "path") // よくあるパスの 404 は報告しない
+      .map((p) => ({ url: p.c.url, origin: p.c.origin, error: p.error })),
+  };
+}
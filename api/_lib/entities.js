@@ -0,0 +1,214 @@
+import { parseCsv } from "./feeds.js";
+import { keywordRe, splitList } from "./genres.js";
+import { artistCandidates } from "./cluster.js";
+
+const ENTITIES_CSV_URL = process.env.ENTITIES_CSV_URL; // Google Sheets "Publish as CSV" URL (entity dictionary)
+
+// -----------------------------
+// Entity dictionary
+// -----------------------------
+// entity: { id, name, type }
+// type: artist | label | festival | release
+// - 辞書（Sheets CSV / フォールバック）に載っている名前は本文・要約からも拾う。
+//   Burial / Domino / Awakenings のように普通の単語でもある名前があるので、表記（大文字小文字）どおりにだけ一致させる。
+//   ignoreCase: true のエントリだけ大文字小文字を区別しない
+// - 辞書に無いアーティストは見出しの「Artist announces …」「Artist – Title」から推定
+// - 見出しの 'Album Title' / “Title” / 「タイトル」 はリリース名として拾う
+
+export const ENTITY_TYPES = ["artist", "label", "festival", "release"];
+
+export const ENTITIES_FALLBACK = [
+  { name: "Aphex Twin", type: "artist", aliases: [] },
+  { name: "Burial", type: "artist", aliases: [] },
+  { name: "Four Tet", type: "artist", aliases: [] },
+  { name: "Fred again..", type: "artist", aliases: ["Fred again", "Fred Again.."] },
+  { name: "Björk", type: "artist", aliases: ["Bjork"] },
+  { name: "Radiohead", type: "artist", aliases: [] },
+  { name: "Daft Punk", type: "artist", aliases: [] },
+  { name: "Kendrick Lamar", type: "artist", aliases: [] },
+  { name: "Taylor Swift", type: "artist", aliases: [] },
+  { name: "Beyoncé", type: "artist", aliases: ["Beyonce"] },
+  { name: "坂本龍一", type: "artist", aliases: ["Ryuichi Sakamoto"] },
+  { name: "YOASOBI", type: "artist", aliases: [] },
+  { name: "Hyperdub", type: "label", aliases: [] },
+  { name: "Warp Records", type: "label", aliases: [] },
+  { name: "XL Recordings", type: "label", aliases: [] },
+  { name: "Ninja Tune", type: "label", aliases: [] },
+  { name: "Sub Pop", type: "label", aliases: [] },
+  { name: "Domino", type: "label", aliases: ["Domino Recording Company"] },
+  { name: "4AD", type: "label", aliases: [] },
+  { name: "Ostgut Ton", type: "label", aliases: [] },
+  { name: "Drumcode", type: "label", aliases: [] },
+  { name: "Defected", type: "label", aliases: ["Defected Records"] },
+  { name: "Glastonbury", type: "festival", aliases: [] },
+  { name: "Coachella", type: "festival", aliases: [] },
+  { name: "Primavera Sound", type: "festival", aliases: [] },
+  { name: "Sónar", type: "festival", aliases: ["Sonar Festival", "Sónar Festival"] },
+  { name: "Dekmantel", type: "festival", aliases: [] },
+  { name: "Awakenings", type: "festival", aliases: [] },
+  { name: "Tomorrowland", type: "festival", aliases: [] },
+  { name: "FUJI ROCK FESTIVAL", type: "festival", aliases: ["Fuji Rock", "フジロック"] },
+  { name: "SUMMER SONIC", type: "festival", aliases: ["Summer Sonic", "サマソニ"] },
+];
+
+// 見出しの先頭に来るがアーティストではない語
+const NOT_ARTISTS = new Set([
+  "watch", "listen", "hear", "stream", "review", "reviews", "interview", "premiere", "exclusive", "news", "report",
+  "update", "breaking", "video", "live", "opinion", "feature", "list", "playlist", "the week", "this week", "today",
+  "album review", "track review", "first listen", "new music", "it", "this", "that", "there", "here", "he", "she", "they",
+  "we", "you", "who", "what", "why", "how",
+]);
+
+export function entityKey(name) {
+  return String(name ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[‘’“”"'`´.]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function entityId(type, name) {
+  return `${type}:${entityKey(name)}`;
+}
+
+function compileDictionary(entries) {
+  return entries
+    .filter((e) => e.name && ENTITY_TYPES.includes(e.type))
+    .map((e) => ({
+      id: entityId(e.type, e.name),
+      name: e.name,
+      type: e.type,
+      keys: new Set([e.name, ...e.aliases].map(entityKey)),
+      patterns: [e.name, ...e.aliases].map((kw) => keywordRe(kw, "word", { ignoreCase: e.ignoreCase === true })),
+    }));
+}
+
+// expected headers: enabled,name,type,aliases,ignore_case
+// aliases は "|" 区切り。ignore_case が TRUE なら大文字小文字を区別せずに一致させる
+export function entitiesFromRows(rows) {
+  return rows
+    .filter((r) => String(r.enabled ?? "").trim().toUpperCase() !== "FALSE")
+    .map((r) => ({
+      name: String(r.name ?? "").trim(),
+      type: String(r.type ?? "artist").trim().toLowerCase() || "artist",
+      aliases: splitList(r.aliases),
+      ignoreCase: String(r.ignore_case ?? "").trim().toUpperCase() === "TRUE",
+    }))
+    .filter((e) => e.name);
+}
+
+const COMPILED_FALLBACK = compileDictionary(ENTITIES_FALLBACK);
+
+let dictCache = { at: 0, dict: COMPILED_FALLBACK };
+const DICT_CACHE_MS = 10 * 60 * 1000; // 10min
+
+export async function loadEntityDictionary() {
+  const now = Date.now();
+  if (now - dictCache.at < DICT_CACHE_MS) return dictCache.dict;
+
+  if (!ENTITIES_CSV_URL) {
+    dictCache = { at: now, dict: COMPILED_FALLBACK };
+    return dictCache.dict;
+  }
+
+  try {
+    const res = await fetch(ENTITIES_CSV_URL, { method: "GET" });
+    if (!res.ok) throw new Error(`ENTITIES CSV HTTP ${res.status}`);
+
+    const dict = compileDictionary(entitiesFromRows(parseCsv(await res.text())));
+    dictCache = { at: now, dict: dict.length ? dict : COMPILED_FALLBACK };
+    return dictCache.dict;
+  } catch (e) {
+    console.warn("loadEntityDictionary failed:", e?.message || e);
+    dictCache = { at: now, dict: COMPILED_FALLBACK };
+    return dictCache.dict;
+  }
+}
+
+// -----------------------------
+// Extraction
+// -----------------------------
+function looksLikeArtist(name) {
+  const s = name.trim();
+  if (s.length < 2 || s.length > 40 || s.split(/\s+/).length > 5) return false;
+  if (NOT_ARTISTS.has(s.toLowerCase())) return false;
+  // ラテン文字の名前は大文字か数字で始まるものだけ（文の途中を拾わない）
+  return !/^[a-z]/.test(s);
+}
+
+// 'Title' / ‘Title’ / "Title" / “Title” / 「Title」 / 『Title』（アポストロフィの所有格は除く）
+const QUOTED_RE = /(?:^|[\s(])['‘"“]([^'’"”]{2,80}?)['’"”](?=$|[\s,.:;!?)])|[「『]([^」』]{1,80})[」』]/g;
+
+function quotedTitles(title) {
+  const out = [];
+  for (const m of String(title ?? "").matchAll(QUOTED_RE)) {
+    const t = (m[1] ?? m[2]).trim();
+    if (t) out.push(t);
+  }
+  return out;
+}
+
+// 表記ゆれ（別名）-> 辞書エントリ。辞書ごとに1回だけ作る
+const keyIndexes = new WeakMap();
+function keyIndex(dict) {
+  if (!keyIndexes.has(dict)) keyIndexes.set(dict, new Map(dict.flatMap((e) => [...e.keys].map((k) => [k, e]))));
+  return keyIndexes.get(dict);
+}
+
+/**
+ * アイテムの見出し・要約からエンティティを取り出す: [{ id, name, type }]
+ * 辞書の一致を優先し、推定した名前が辞書の別名に一致すれば辞書の表記にそろえる。
+ */
+export function extractEntities({ title, summary }, dict = COMPILED_FALLBACK) {
+  const text = `${title ?? ""} \n ${summary ?? ""}`;
+  const found = new Map(); // id -> entity
+
+  const add = (e) => {
+    if (!found.has(e.id)) found.set(e.id, { id: e.id, name: e.name, type: e.type });
+  };
+
+  for (const e of dict) {
+    if (e.patterns.some((re) => re.test(text))) add(e);
+  }
+
+  const byKey = keyIndex(dict);
+  const quoted = quotedTitles(title);
+
+  for (const name of artistCandidates(title)) {
+    // "'Blackbox' review" のように引用部分を拾ったものはアーティストではない
+    if (!looksLikeArtist(name) || quoted.some((q) => name.includes(q))) continue;
+    const known = byKey.get(entityKey(name));
+    add(known ?? { id: entityId("artist", name), name, type: "artist" });
+  }
+
+  for (const t of quoted) {
+    const known = byKey.get(entityKey(t));
+    if (known) add(known);
+    else add({ id: entityId("release", t), name: t, type: "release" });
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * stories のエンティティを集計する（alsoReportedBy も1件として数える）。
+ * 戻り値: [{ id, name, type, count, stories, sources, latestAt }]（count 降順）
+ */
+export function countEntities(stories) {
+  const counts = new Map();
+  for (const s of stories) {
+    for (const e of s.entities || []) {
+      const c = counts.get(e.id) || { ...e, count: 0, stories: 0, sources: new Set(), latestAt: null };
+      c.stories++;
+      c.count += 1 + (s.alsoReportedBy?.length || 0);
+      c.sources.add(s.source);
+      for (const o of s.alsoReportedBy || []) c.sources.add(o.source);
+      if (s.publishedAt && (!c.latestAt || s.publishedAt > c.latestAt)) c.latestAt = s.publishedAt;
+      counts.set(e.id, c);
+    }
+  }
+  return [...counts.values()]
+    .map((c) => ({ ...c, sources: c.sources.size }))
+    .sort((a, b) => b.count - a.count || b.stories - a.stories || (b.latestAt || "").localeCompare(a.latestAt || ""));
+}
@@ -0,0 +1,390 @@
+// -----------------------------
+// Feed normalization
+// -----------------------------
+// rss-parser に渡す前に、フィード本文を扱いやすい形にそろえる。
+//   1. 文字コード: BOM → Content-Type の charset → XML 宣言の encoding → HTML の <meta charset> の順に試し、
+//      どれも無い・デコードできない場合は UTF-8 → EUC-JP → Shift_JIS を推測する
+//   2. 日付要素（pubDate / published / updated / dc:date / lastBuildDate）を ISO 8601 に書き換える
+//      （rss-parser は Atom の不正な日付で例外を投げ、フィード全体が読めなくなるため）
+//   3. パースに失敗したときだけ、よくある XML の誤りを直して再試行する（repairXml）
+// アイテムの URL からはトラッキング用パラメータ（utm_* など）を落とし、http(s) 以外は空にする（cleanUrl）。
+
+// -----------------------------
+// Charset
+// -----------------------------
+const CHARSET_ALIASES = {
+  "sjis": "shift_jis",
+  "shift-jis": "shift_jis",
+  "x-sjis": "shift_jis",
+  "windows-31j": "shift_jis",
+  "cp932": "shift_jis",
+  "ms932": "shift_jis",
+  "eucjp": "euc-jp",
+  "euc_jp": "euc-jp",
+  "x-euc-jp": "euc-jp",
+  "utf8": "utf-8",
+};
+// 宣言が無いときに試す順（EUC-JP の本文は Shift_JIS としても「読めてしまう」ことが多いので先に試す）
+const SNIFF_ORDER = ["utf-8", "euc-jp", "shift_jis"];
+
+// ラベル -> TextDecoder が扱える名前。未対応なら null
+function charsetName(label) {
+  const s = String(label ?? "")
+    .trim()
+    .replace(/^["']|["']$/g, "")
+    .toLowerCase();
+  if (!s) return null;
+  const name = CHARSET_ALIASES[s] ?? s;
+  try {
+    return new TextDecoder(name).encoding;
+  } catch {
+    return null;
+  }
+}
+
+function bomCharset(buf) {
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return "utf-8";
+  if (buf[0] === 0xfe && buf[1] === 0xff) return "utf-16be";
+  if (buf[0] === 0xff && buf[1] === 0xfe) return "utf-16le";
+  return null;
+}
+
+function decodeStrict(buf, charset) {
+  try {
+    return new TextDecoder(charset, { fatal: true }).decode(buf);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * フィード本文（Buffer）を文字列にする。HTML のページ（探索・リーダー）にも使う。
+ * 戻り値: { text, charset, from: "bom" | "header" | "prolog" | "meta" | "sniff" | "fallback" }
+ * XML 宣言の encoding はデコード後の実態に合わせて UTF-8 に書き換える。
+ */
+export function decodeFeedBody(buf, contentType = "") {
+  const head = buf.subarray(0, 1024).toString("latin1");
+  const declared = [
+    ["bom", bomCharset(buf)],
+    ["header", charsetName(String(contentType).match(/charset\s*=\s*([^;\s]+)/i)?.[1])],
+    ["prolog", charsetName(head.match(/^\s*<\?xml[^>]*?encoding\s*=\s*["']([^"']+)["']/i)?.[1])],
+    // <meta charset="…"> と <meta http-equiv="Content-Type" content="text/html; charset=…">
+    ["meta", charsetName(head.match(/<meta\b[^>]*?charset\s*=\s*["']?([^"'\s;/>]+)/i)?.[1])],
+  ].filter(([, charset]) => charset);
+
+  const tried = new Set();
+  const attempt = (from, charset) => {
+    if (tried.has(charset)) return null;
+    tried.add(charset);
+    const text = decodeStrict(buf, charset);
+    return text == null ? null : { text, charset, from };
+  };
+
+  let out = null;
+  for (const [from, charset] of declared) out ??= attempt(from, charset);
+  for (const charset of SNIFF_ORDER) out ??= attempt("sniff", charset);
+  out ??= { text: new TextDecoder(declared[0]?.[1] ?? "utf-8").decode(buf), charset: declared[0]?.[1] ?? "utf-8", from: "fallback" };
+
+  out.text = out.text.replace(/^(\s*<\?xml[^>]*?encoding\s*=\s*["'])[^"']+(["'])/i, "$1UTF-8$2");
+  return out;
+}
+
+// -----------------------------
+// XML repair
+// -----------------------------
+const XML_ENTITIES = new Set(["amp", "lt", "gt", "quot", "apos"]);
+// XML では未定義だが、フィードでよく見る HTML の実体参照
+const HTML_ENTITIES = {
+  nbsp: 160,
+  iexcl: 161,
+  cent: 162,
+  pound: 163,
+  yen: 165,
+  copy: 169,
+  laquo: 171,
+  reg: 174,
+  deg: 176,
+  middot: 183,
+  raquo: 187,
+  times: 215,
+  szlig: 223,
+  agrave: 224,
+  aacute: 225,
+  auml: 228,
+  ccedil: 231,
+  egrave: 232,
+  eacute: 233,
+  iacute: 237,
+  ntilde: 241,
+  oacute: 243,
+  ouml: 246,
+  uacute: 250,
+  uuml: 252,
+  ndash: 8211,
+  mdash: 8212,
+  lsquo: 8216,
+  rsquo: 8217,
+  ldquo: 8220,
+  rdquo: 8221,
+  bull: 8226,
+  hellip: 8230,
+  euro: 8364,
+  trade: 8482,
+};
+const ROOT_START = /<\?xml|<(?:rss|feed|rdf:RDF)[\s>]/i;
+const ROOT_END = /<\/(?:rss|feed|rdf:RDF)\s*>/gi;
+
+function repairText(s) {
+  return (
+    s
+      // 実体参照になっていない & をエスケープ
+      .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][\w.-]*;)/gi, "&amp;")
+      // HTML の実体参照は数値参照に、知らないものはそのまま文字として残す
+      .replace(/&([a-z][\w.-]*);/gi, (m, name) => {
+        if (XML_ENTITIES.has(name)) return m;
+        const code = HTML_ENTITIES[name] ?? HTML_ENTITIES[name.toLowerCase()];
+        return code ? `&#${code};` : `&amp;${name};`;
+      })
+      // タグになり得ない < （"<3" や "a < b"）
+      .replace(/<(?=[\s\d=<]|$)/g, "&lt;")
+  );
+}
+
+// XML 1.0 で使えない文字（タブ・改行・CR 以外の C0 制御文字と U+FFFE / U+FFFF）を取り除く
+function stripInvalidXmlChars(s) {
+  let out = "";
+  let from = 0;
+  for (let i = 0; i < s.length; i++) {
+    const c = s.charCodeAt(i);
+    const invalid = (c < 0x20 && c !== 0x09 && c !== 0x0a && c !== 0x0d) || c === 0xfffe || c === 0xffff;
+    if (!invalid) continue;
+    out += s.slice(from, i);
+    from = i + 1;
+  }
+  return from ? out + s.slice(from) : s;
+}
+
+/**
+ * よくある壊れ方を直す:
+ *   宣言・ルート要素より前のゴミ（空白、BOM、サーバーの警告文）/ ルート要素の後ろのゴミ
+ *   XML で使えない制御文字 / エスケープされていない & と < / HTML の実体参照（&nbsp; など）
+ * CDATA セクションの中は触らない。
+ */
+export function repairXml(xml) {
+  let s = String(xml).replace(/^\uFEFF/, "");
+  const start = s.search(ROOT_START);
+  if (start > 0) s = s.slice(start);
+  const ends = [...s.matchAll(ROOT_END)];
+  if (ends.length) {
+    const last = ends[ends.length - 1];
+    s = s.slice(0, last.index + last[0].length);
+  }
+
+  s = stripInvalidXmlChars(s);
+
+  return s
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map((part, i) => (i % 2 ? part : repairText(part)))
+    .join("");
+}
+
+// -----------------------------
+// Dates
+// -----------------------------
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+// 分単位の UTC オフセット（RFC 822 の軍用1文字ゾーンは扱わない）
+const ZONES = {
+  UT: 0,
+  UTC: 0,
+  GMT: 0,
+  Z: 0,
+  WET: 0,
+  WEST: 60,
+  BST: 60,
+  CET: 60,
+  CEST: 120,
+  EET: 120,
+  EEST: 180,
+  MSK: 180,
+  JST: 540,
+  KST: 540,
+  AEST: 600,
+  AEDT: 660,
+  NZST: 720,
+  NZDT: 780,
+  EST: -300,
+  EDT: -240,
+  CST: -360,
+  CDT: -300,
+  MST: -420,
+  MDT: -360,
+  PST: -480,
+  PDT: -420,
+};
+const ERAS = { 令和: 2018, 平成: 1988 };
+export const JST_OFFSET = 9 * 60;
+
+// "+0900" / "+09:00" / "GMT+9" / "JST" -> 分。ゾーン指定なしは null、解釈できなければ NaN
+function zoneOffset(tz) {
+  const s = tz.replace(/\([^)]*\)/g, "").trim();
+  if (!s) return null;
+  const m = s.match(/^(?:(?:GMT|UTC|UT)\s*)?([+-])(\d{1,2}):?(\d{2})?$/i);
+  if (m) return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] ?? 0));
+  return ZONES[s.toUpperCase()] ?? NaN;
+}
+
+function monthIndex(name) {
+  return MONTHS[name.slice(0, 3).toLowerCase()] ?? NaN;
+}
+
+function fullYear(y) {
+  const n = Number(y);
+  return n < 100 ? n + (n < 50 ? 2000 : 1900) : n;
+}
+
+function to24h(h, meridiem) {
+  const hour = Number(h ?? 0);
+  if (!meridiem) return hour;
+  const pm = /^(午後|pm)$/i.test(meridiem);
+  return (hour % 12) + (pm ? 12 : 0);
+}
+
+function utcMs({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0, tz = "", defaultOffset }) {
+  const zone = zoneOffset(tz);
+  const offset = zone ?? defaultOffset;
+  const fields = [month, day, hour, minute, second].map(Number);
+  const [mo, d, h, mi, s] = fields;
+  if (!Number.isFinite(offset) || fields.some((n) => !Number.isFinite(n))) return NaN;
+  if (mo < 0 || mo > 11 || d < 1 || d > 31 || h > 24 || mi > 59 || s > 60) return NaN;
+  return Date.UTC(year, mo, d, h, mi, s, ms) - offset * 60 * 1000;
+}
+
+const JA_DATE =
+  /^(?:(令和|平成)(元|\d{1,2})|(\d{4}))年(\d{1,2})月(\d{1,2})日(?:\s*\([^)]*\))?(?:\s*(午前|午後|am|pm)?\s*(\d{1,2})(?:時|:)(?:(\d{1,2})(?:分|:)?)?(?:(\d{1,2})秒?)?)?\s*(.*)$/i;
+const NUMERIC_DATE = /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(?:(?:T|\s+)(\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?\s*(.*)$/i;
+const RFC822_DATE = /^(?:[a-z]+\.?(?:,\s*|\s+))?(\d{1,2})[\s-]([a-z]+)\.?[\s-](\d{2,4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?\s*(.*)$/i;
+const MONTH_FIRST_DATE =
+  /^(?:[a-z]+\.?(?:,\s*|\s+))?([a-z]+)\.?\s(\d{1,2})(?:st|nd|rd|th)?,?\s(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?\s*(.*)$/i;
+
+/**
+ * フィードの日付文字列 -> epoch ms（解釈できなければ NaN）
+ *   ISO 8601 / RFC 822 の変種（2桁の年、秒なし、"Sept"、ゾーン名、"+09:00"、曜日の欠落）
+ *   "March 1, 2026 9:30 pm" / "2026/03/01 12:30" / "2026年3月1日 12時30分" / "令和8年3月1日"（全角数字も可）
+ * ゾーン指定が無いものは defaultOffset（分）とみなす。日本語表記は JST。
+ */
+export function parseFeedDate(raw, { defaultOffset = 0 } = {}) {
+  if (raw == null) return NaN;
+  if (raw instanceof Date) return raw.getTime();
+  const s = String(raw).normalize("NFKC").replace(/\s+/g, " ").trim();
+  if (!s) return NaN;
+
+  let m = s.match(JA_DATE);
+  if (m) {
+    const year = m[1] ? ERAS[m[1]] + (m[2] === "元" ? 1 : Number(m[2])) : Number(m[3]);
+    return utcMs({
+      year,
+      month: m[4] - 1,
+      day: m[5],
+      hour: to24h(m[7], m[6]),
+      minute: m[8] ?? 0,
+      second: m[9] ?? 0,
+      tz: m[10],
+      defaultOffset: JST_OFFSET,
+    });
+  }
+
+  m = s.match(NUMERIC_DATE);
+  if (m) {
+    return utcMs({
+      year: Number(m[1]),
+      month: m[2] - 1,
+      day: m[3],
+      hour: m[4] ?? 0,
+      minute: m[5] ?? 0,
+      second: m[6] ?? 0,
+      ms: m[7] ? Math.round(Number(`0${m[7]}`) * 1000) : 0,
+      tz: m[8],
+      defaultOffset,
+    });
+  }
+
+  m = s.match(RFC822_DATE);
+  if (m) {
+    return utcMs({
+      year: fullYear(m[3]),
+      month: monthIndex(m[2]),
+      day: m[1],
+      hour: m[4] ?? 0,
+      minute: m[5] ?? 0,
+      second: m[6] ?? 0,
+      tz: m[7],
+      defaultOffset,
+    });
+  }
+
+  m = s.match(MONTH_FIRST_DATE);
+  if (m) {
+    return utcMs({
+      year: Number(m[3]),
+      month: monthIndex(m[1]),
+      day: m[2],
+      hour: to24h(m[4], m[7]),
+      minute: m[5] ?? 0,
+      second: m[6] ?? 0,
+      tz: m[8],
+      defaultOffset,
+    });
+  }
+
+  return NaN;
+}
+
+// <language>ja</language> / xml:lang="ja" のフィードは、ゾーン指定の無い日付を JST とみなす
+export function feedDefaultOffset(xml) {
+  const head = String(xml).slice(0, 4000);
+  return /<(?:dc:)?language>\s*ja\b|xml:lang\s*=\s*["']ja\b/i.test(head) ? JST_OFFSET : 0;
+}
+
+const DATE_ELEMENTS =
+  /<(pubDate|published|updated|dc:date|lastBuildDate)(\s[^>]*)?>\s*(?:<!\[CDATA\[([\s\S]*?)\]\]>|([^<]*?))\s*<\/\1\s*>/g;
+
+/**
+ * 日付要素の中身を ISO 8601 にそろえる。解釈できない日付は空にする（アイテムは「日付なし」扱い）。
+ */
+export function normalizeFeedDates(xml) {
+  const defaultOffset = feedDefaultOffset(xml);
+  return String(xml).replace(DATE_ELEMENTS, (whole, name, attrs = "", cdata, text) => {
+    const raw = (cdata ?? text ?? "").trim();
+    if (!raw) return whole;
+    const ms = parseFeedDate(raw.replace(/&amp;/g, "&"), { defaultOffset });
+    return `<${name}${attrs}>${Number.isFinite(ms) ? new Date(ms).toISOString() : ""}</${name}>`;
+  });
+}
+
+// -----------------------------
+// URLs
+// -----------------------------
+// 記事を区別しないトラッキング用パラメータ（同じ記事が別 id にならないよう落とす）
+const TRACKING_PARAMS = /^(utm_[\w-]+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|yclid|igshid|_hsenc|_hsmi)$/i;
+
+/**
+ * url からトラッキング用パラメータを除く。
+ * http(s) の絶対 URL でなければ ""（javascript: / data: などをリンクとして出さない。エスケープではスキームは無害にならない）
+ */
+export function cleanUrl(url) {
+  const s = String(url ?? "").trim();
+  let u;
+  try {
+    u = new URL(s);
+  } catch {
+    return "";
+  }
+  if (!/^https?:$/.test(u.protocol)) return "";
+  if (!u.search) return s;
+  // searchParams で組み直すと残りのパラメータのエンコードが変わるので、文字列のまま落とす
+  const params = u.search.slice(1).split("&");
+  const kept = params.filter((p) => !TRACKING_PARAMS.test(p.split("=")[0]));
+  if (kept.length === params.length) return s;
+  u.search = kept.length ? `?${kept.join("&")}` : "";
+  return u.toString();
+}
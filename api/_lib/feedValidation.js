@@ -0,0 +1,94 @@
+import { FEED_COLUMNS, feedFromRow, isRowEnabled } from "./feeds.js";
+
+// -----------------------------
+// Feed sheet validation
+// -----------------------------
+// loadFeeds() が黙って捨てる/補正する行を、理由付きで報告する。
+// problem: { level: "error" | "warning", field, message }
+//   error   loadFeeds() で読み込まれない、または取得できない
+//   warning 読み込まれるが意図と違う可能性がある
+
+const ENABLED_VALUES = new Set(["", "TRUE", "FALSE"]);
+
+function problem(level, field, message) {
+  return { level, field, message };
+}
+
+function checkUrl(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return [problem("error", "url", "url is empty (row is skipped)")];
+
+  const out = [];
+  let candidate = s;
+  if (!/^https?:\/\//i.test(s)) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(s)) return [problem("error", "url", `unsupported scheme: ${s.split(":")[0]}`)];
+    out.push(problem("warning", "url", "no scheme; https:// will be prepended"));
+    candidate = `https://${s}`;
+  }
+
+  try {
+    const u = new URL(candidate);
+    if (!u.hostname.includes(".") && u.hostname !== "localhost") {
+      out.push(problem("error", "url", `invalid host: ${u.hostname}`));
+    }
+  } catch {
+    out.push(problem("error", "url", "not a valid URL"));
+  }
+  return out;
+}
+
+/**
+ * parseCsvRows() の結果（ヘッダー行を含む）を静的にチェックする。
+ * row はシート上の行番号（ヘッダー = 1）。
+ */
+export function validateFeedRows(rawRows, { genreNames = [] } = {}) {
+  const header = (rawRows[0] || []).map((s) => String(s).trim());
+  const unknownColumns = header.filter((h) => h && !FEED_COLUMNS.includes(h));
+  const missingColumns = ["source", "url"].filter((c) => !header.includes(c));
+  const knownGenres = new Set([...genreNames, "Other"].map((g) => g.toLowerCase()));
+
+  const rows = [];
+  for (let r = 1; r < rawRows.length; r++) {
+    const cols = rawRows[r];
+    if (!cols.some((c) => String(c).trim() !== "")) continue;
+
+    const fields = {};
+    header.forEach((h, c) => {
+      if (h) fields[h] = String(cols[c] ?? "").trim();
+    });
+
+    const problems = [];
+    const enabledRaw = String(fields.enabled ?? "").toUpperCase();
+    if (!ENABLED_VALUES.has(enabledRaw)) {
+      problems.push(problem("warning", "enabled", `"${fields.enabled}" is treated as enabled (only FALSE disables)`));
+    }
+    if (!fields.source) problems.push(problem("error", "source", "source is empty (row is skipped)"));
+    problems.push(...checkUrl(fields.url));
+    if (cols.length > header.length && cols.slice(header.length).some((c) => String(c).trim())) {
+      problems.push(problem("warning", null, "row has more cells than the header; extra cells are ignored"));
+    }
+
+    const feed = feedFromRow(fields);
+    if (fields.defaultGenre && genreNames.length && !knownGenres.has(feed.defaultGenre.toLowerCase())) {
+      problems.push(problem("warning", "defaultGenre", `unknown genre "${feed.defaultGenre}"`));
+    }
+
+    rows.push({ row: r + 1, enabled: isRowEnabled(fields), fields, feed, problems });
+  }
+
+  // 重複（有効な行同士のみ）
+  const bySource = new Map();
+  const byUrl = new Map();
+  for (const row of rows.filter((x) => x.enabled)) {
+    const s = row.feed.source.toLowerCase();
+    const u = row.feed.url.toLowerCase();
+    if (s && bySource.has(s)) {
+      row.problems.push(problem("error", "source", `duplicate source (same as row ${bySource.get(s)}); item ids will collide`));
+    } else if (s) bySource.set(s, row.row);
+    if (u && byUrl.has(u)) {
+      row.problems.push(problem("warning", "url", `duplicate url (same as row ${byUrl.get(u)})`));
+    } else if (u) byUrl.set(u, row.row);
+  }
+
+  return { header, unknownColumns, missingColumns, rows };
+}
@@ -0,0 +1,171 @@
+const FEEDS_CSV_URL = process.env.FEEDS_CSV_URL; // Google Sheets "Publish as CSV" URL
+
+// -----------------------------
+// Feed source loading (Sheets CSV)
+// -----------------------------
+export const FEEDS_FALLBACK = [
+  { source: "Pitchfork (News)", url: "https://pitchfork.com/feed/feed-news/rss", defaultGenre: "Pop" },
+  { source: "Pitchfork (Album Reviews)", url: "https://pitchfork.com/feed/feed-album-reviews/rss", defaultGenre: "Pop" },
+  { source: "Mixmag", url: "https://mixmag.net/rss.xml", defaultGenre: "Techno" },
+  { source: "The Quietus", url: "https://thequietus.com/feed", defaultGenre: "Experimental" },
+  { source: "Stereogum", url: "https://www.stereogum.com/feed", defaultGenre: "Rock" },
+  { source: "Consequence", url: "http://consequenceofsound.net/feed", defaultGenre: "Rock" },
+  { source: "EDM.com", url: "https://edm.com/.rss/full/", defaultGenre: "House" },
+  { source: "音楽ナタリー", url: "http://natalie.mu/music/feed/news", defaultGenre: "Japan" },
+];
+
+// CSV parser (quote-aware enough for common Sheets CSV)
+// 行ごとのセル配列を返す（ヘッダー行を含む）
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let i = 0;
+  let inQuotes = false;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (inQuotes) {
+      if (ch === '"' && next === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        inQuotes = false;
+        i++;
+        continue;
+      }
+      cell += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+      i++;
+      continue;
+    }
+
+    if (ch === ",") {
+      row.push(cell);
+      cell = "";
+      i++;
+      continue;
+    }
+
+    if (ch === "\n") {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+      i++;
+      continue;
+    }
+
+    if (ch === "\r") {
+      i++;
+      continue;
+    }
+
+    cell += ch;
+    i++;
+  }
+
+  // flush tail
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// 1行目をヘッダーとしてオブジェクトの配列にする
+export function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (!rows.length) return [];
+
+  const header = rows[0].map((s) => String(s).trim());
+  const out = [];
+
+  for (let r = 1; r < rows.length; r++) {
+    const cols = rows[r];
+    // skip blank lines
+    if (!cols.some((c) => String(c).trim() !== "")) continue;
+
+    const obj = {};
+    for (let c = 0; c < header.length; c++) {
+      obj[header[c]] = (cols[c] ?? "").trim();
+    }
+    out.push(obj);
+  }
+
+  return out;
+}
+
+export const FEED_COLUMNS = ["enabled", "source", "url", "defaultGenre"];
+
+export function isRowEnabled(r) {
+  const enabled = String(r.enabled ?? "").trim().toUpperCase();
+  // blank = enabled 扱い / FALSE だけ無効
+  return enabled !== "FALSE";
+}
+
+export function feedFromRow(r) {
+  let rawUrl = String(r.url ?? "").trim();
+
+  // スキーム（http/https）が無ければ https:// を補う
+  if (rawUrl && !/^https?:\/\//i.test(rawUrl)) {
+    rawUrl = `https://${rawUrl}`;
+  }
+
+  return {
+    source: String(r.source ?? "").trim(),
+    url: rawUrl,
+    defaultGenre: String(r.defaultGenre ?? "Other").trim() || "Other",
+  };
+}
+
+export async function fetchFeedsCsv() {
+  const res = await fetch(FEEDS_CSV_URL, { method: "GET" });
+  if (!res.ok) throw new Error(`FEEDS CSV HTTP ${res.status}`);
+  return res.text();
+}
+
+export function hasFeedsCsv() {
+  return Boolean(FEEDS_CSV_URL);
+}
+
+let feedsCache = { at: 0, feeds: FEEDS_FALLBACK };
+const FEEDS_CACHE_MS = 10 * 60 * 1000; // 10min
+
+export async function loadFeeds() {
+  const now = Date.now();
+  if (feedsCache.feeds && now - feedsCache.at < FEEDS_CACHE_MS) return feedsCache.feeds;
+
+  if (!FEEDS_CSV_URL) {
+    feedsCache = { at: now, feeds: FEEDS_FALLBACK };
+    return feedsCache.feeds;
+  }
+
+  try {
+    const csv = await fetchFeedsCsv();
+    const rows = parseCsv(csv);
+
+    // expected headers: enabled,source,url,defaultGenre
+    const feeds = rows
+      .filter(isRowEnabled)
+      .map(feedFromRow)
+      .filter((f) => f.source && f.url);
+
+    feedsCache = { at: now, feeds: feeds.length ? feeds : FEEDS_FALLBACK };
+    return feedsCache.feeds;
+  } catch (e) {
+    console.warn("loadFeeds failed:", e?.message || e);
+    feedsCache = { at: now, feeds: FEEDS_FALLBACK };
+    return feedsCache.feeds;
+  }
+}
@@ -0,0 +1,285 @@
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import { Readable } from "node:stream";
+import Parser from "rss-parser";
+import { decodeFeedBody, normalizeFeedDates, repairXml } from "./feedNormalization.js";
+
+// 標準では落とされる要素（サムネイル・Atom のカテゴリ / enclosure）も残す。取り出しは itemExtras.js
+const parser = new Parser({
+  customFields: {
+    item: [
+      ["media:content", "mediaContent", { keepArray: true }],
+      ["media:thumbnail", "mediaThumbnail", { keepArray: true }],
+      ["media:group", "mediaGroup", { keepArray: true }],
+      ["category", "atomCategories", { keepArray: true }],
+      ["link", "links", { keepArray: true }],
+    ],
+  },
+});
+
+export const USER_AGENT = "music-news-24h/1.0 (+vercel)";
+export const FETCH_TIMEOUT_MS = 15000;
+
+// 数値の環境変数。数値でない・min 未満なら既定値（NaN のまま使うとワーカー数 0 などで壊れる）
+function envNumber(name, fallback, { min }) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return fallback;
+  const v = Number(raw);
+  if (Number.isFinite(v) && v >= min) return v;
+  console.warn(`${name} is invalid, using ${fallback}:`, raw);
+  return fallback;
+}
+
+// この時間内は再取得せずキャッシュを返す。過ぎたら ETag / Last-Modified で条件付き取得（0 なら毎回条件付き取得）
+const FEED_TTL_MS = envNumber("FEED_TTL_MS", 5 * 60 * 1000, { min: 0 }); // 5min
+// 同時に取得するフィード数の上限（パブリッシャーへの負荷対策）
+export const FEED_CONCURRENCY = Math.floor(envNumber("FEED_CONCURRENCY", 4, { min: 1 }));
+
+// -----------------------------
+// Shared feed cache
+// -----------------------------
+// url -> { at, etag, lastModified, feed }
+// モジュールスコープなので同じインスタンス内の呼び出し（/api/news, /api/search, …）で共有される
+const feedCache = new Map();
+
+export class FeedHttpError extends Error {
+  constructor(status, url) {
+    super(`Status code ${status}`);
+    this.name = "FeedHttpError";
+    this.status = status;
+    this.url = url;
+  }
+}
+
+// 取得済みの本文をパースする（RSS / Atom）。body が Buffer なら文字コードを判定してデコードする。
+// 日付は先に ISO 8601 にそろえ、パースに失敗したときだけ XML を修復して再試行する（feedNormalization.js）
+export async function parseFeed(body, { contentType = "" } = {}) {
+  const text = Buffer.isBuffer(body) ? decodeFeedBody(body, contentType).text : String(body);
+  const xml = normalizeFeedDates(text);
+  try {
+    return await parser.parseString(xml);
+  } catch (e) {
+    const repaired = repairXml(xml);
+    if (repaired === xml) throw e;
+    return parser.parseString(repaired);
+  }
+}
+
+/**
+ * フィードを取得してパースする。
+ * 戻り値: { feed, cache: "hit" | "revalidated" | "miss" }
+ *   hit         TTL 内でネットワークに出ていない
+ *   revalidated 304 が返り、前回のパース結果を再利用
+ *   miss        本文を取得してパースした
+ */
+export async function fetchFeed(url, { force = false } = {}) {
+  const now = Date.now();
+  const cached = feedCache.get(url);
+  if (cached && !force && now - cached.at < FEED_TTL_MS) return { feed: cached.feed, cache: "hit" };
+
+  const headers = {
+    "User-Agent": USER_AGENT,
+    "Accept": "application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5",
+  };
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  const res = await fetch(url, { headers, redirect: "follow", signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+
+  if (res.status === 304 && cached) {
+    cached.at = now;
+    return { feed: cached.feed, cache: "revalidated" };
+  }
+  if (!res.ok) throw new FeedHttpError(res.status, url);
+
+  const feed = await parseFeed(Buffer.from(await res.arrayBuffer()), { contentType: res.headers.get("content-type") });
+  feedCache.set(url, {
+    at: now,
+    etag: res.headers.get("etag"),
+    lastModified: res.headers.get("last-modified"),
+    feed,
+  });
+  return { feed, cache: "miss" };
+}
+
+// -----------------------------
+// Fetching user-supplied URLs
+// -----------------------------
+// リーダー（article.js）やフィード探索（discover.js）のように、利用者が渡した URL を取りに行くとき用。
+// プライベートアドレスへのアクセスを拒否し、リダイレクトも1回ずつ確認する。キャッシュには入れない。
+// ホスト名は名前解決した全アドレスを確認し、確認したアドレスにそのまま接続する（DNS リバインディング対策）。
+// ARTICLE_ALLOW_PRIVATE_HOSTS=1 はローカル開発（fixtures）用。dev サーバーが後から設定するので呼び出し時に読む
+const MAX_REDIRECTS = 5;
+
+export class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsafeUrlError";
+  }
+}
+
+// ループバック・プライベート・リンクローカル・CGNAT・マルチキャストなど、外から届くはずのないアドレス
+const PRIVATE_RANGES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_RANGES.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 127], // :: と ::1
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_RANGES.addSubnet(addr, prefix, "ipv6");
+}
+
+// IPv4 射影アドレス（::ffff:a.b.c.d）はまとめて拒否する。BlockList は IPv4 を射影して IPv6 の規則とも
+// 照合するので、::ffff:0:0/96 を規則に入れると全ての IPv4 が一致してしまう
+export function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 6 && ip.toLowerCase().startsWith("::ffff:")) return true;
+  return family !== 0 && PRIVATE_RANGES.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+export function isPrivateHost(hostname) {
+  let h = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (h === "localhost" || h.endsWith(".localhost") || h.endsWith(".local") || h.endsWith(".internal")) return true;
+  // 10 進・8 進・16 進の IPv4（2130706433, 0177.0.0.1）は URL と同じ規則で 127.0.0.1 の形にそろえる
+  if (!h.includes(":")) {
+    try {
+      h = new URL(`http://${h}/`).hostname;
+    } catch {
+      return false;
+    }
+  }
+  return isPrivateAddress(h);
+}
+
+function allowPrivateHosts() {
+  return process.env.ARTICLE_ALLOW_PRIVATE_HOSTS === "1";
+}
+
+// http(s) で、プライベートアドレスでないこと。だめなら UnsafeUrlError
+export function checkPublicUrl(url) {
+  const u = new URL(url);
+  if (!/^https?:$/.test(u.protocol)) throw new UnsafeUrlError(`unsupported scheme: ${u.protocol.replace(":", "")}`);
+  if (!allowPrivateHosts() && isPrivateHost(u.hostname)) throw new UnsafeUrlError(`host not allowed: ${u.hostname}`);
+  return u;
+}
+
+/**
+ * http.request の lookup に渡す名前解決。解決したアドレスが1つでもプライベートなら UnsafeUrlError にする。
+ * 接続はここで確認したアドレスに対して行われるので、確認後に DNS の答えが変わっても影響しない。
+ */
+export function publicLookup(resolve = dns.lookup) {
+  return (hostname, options, callback) => {
+    resolve(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const bad = addresses.find((a) => isPrivateAddress(a.address));
+      if (bad) return callback(new UnsafeUrlError(`host not allowed: ${hostname} resolves to ${bad.address}`));
+      if (!addresses.length) return callback(Object.assign(new Error(`no addresses for ${hostname}`), { code: "ENOTFOUND" }));
+      if (options?.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// 1回分の GET（リダイレクトは追わない）を node:http で行い、fetch と同じ Response で返す。
+// fetch では接続先のアドレスを選べないので、lookup を差し替えられる http.request を使う
+function requestOnce(url, headers) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const req = (u.protocol === "https:" ? https : http).request(
+      u,
+      {
+        method: "GET",
+        headers,
+        lookup: allowPrivateHosts() ? undefined : publicLookup(),
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      },
+      (res) => {
+        const out = new Headers();
+        for (const [name, value] of Object.entries(res.headers)) {
+          for (const v of [].concat(value)) out.append(name, v);
+        }
+        const empty = res.statusCode === 204 || res.statusCode === 304;
+        if (empty) res.resume();
+        resolve(
+          new Response(empty ? null : Readable.toWeb(res), { status: res.statusCode, statusText: res.statusMessage, headers: out })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+/**
+ * リダイレクトを手動で追いながら取得する（転送先も checkPublicUrl と名前解決の確認を通す）。
+ * 戻り値: { res, url（最終的な URL） }
+ */
+export async function fetchPublic(url, { headers = {} } = {}) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    try {
+      checkPublicUrl(current);
+    } catch (e) {
+      throw hop ? new UnsafeUrlError(`redirect rejected: ${e.message}`) : e;
+    }
+    let res;
+    try {
+      res = await requestOnce(current, { "User-Agent": USER_AGENT, ...headers });
+    } catch (e) {
+      throw hop && e instanceof UnsafeUrlError ? new UnsafeUrlError(`redirect rejected: ${e.message}`) : e;
+    }
+    const location = res.status >= 300 && res.status < 400 ? res.headers.get("location") : null;
+    if (!location) return { res, url: current };
+    await res.body?.cancel().catch(() => {});
+    current = new URL(location, current).toString();
+  }
+  throw new UnsafeUrlError("too many redirects");
+}
+
+// 上限のバイト数までしか読まない（巨大なレスポンスを丸ごとメモリに載せない）
+export async function readLimited(res, maxBytes) {
+  if (!res.body) return Buffer.alloc(0);
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  await reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+// list の各要素に fn を最大 limit 並列で適用し、順番どおりの結果を返す
+export async function mapLimit(list, limit, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  async function worker() {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, list.length)) }, worker));
+  return out;
+}
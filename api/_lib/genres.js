@@ -0,0 +1,198 @@
+import { parseCsv } from "./feeds.js";
+
+const GENRES_CSV_URL = process.env.GENRES_CSV_URL; // Google Sheets "Publish as CSV" URL (genre rules)
+
+// -----------------------------
+// Genre rules
+// -----------------------------
+// rule: { genre, priority, match: "word" | "substring" | "regex", keywords, exclude, sources }
+// - タイトル・要約・フィードの defaultGenre からジャンルごとのスコアを出し、複数タグを付ける
+// - priority は同点時の順位付けに使う（同順位はシートの行順）
+// - exclude に当たるフィールドはそのルールではマッチさせない（"garage rock" を UK Garage にしない等）
+// - sources を指定したルールはそのソースにだけ適用。keywords が空なら無条件（ソース単位の上書き）
+export const GENRES_FALLBACK = [
+  { genre: "Techno", priority: 120, keywords: ["techno", "テクノ"] },
+  { genre: "House", priority: 110, keywords: ["house", "ハウス", "deep house", "ディープハウス"] },
+  { genre: "Drum & Bass", priority: 100, keywords: ["drum & bass", "dnb", "drum and bass", "ドラムンベース"] },
+  { genre: "Dubstep", priority: 90, keywords: ["dubstep", "ダブステップ"] },
+  {
+    genre: "UK Garage",
+    priority: 80,
+    keywords: ["ukg", "garage", "uk garage", "2-step", "2step", "ガラージ", "ツーステップ"],
+    exclude: ["garage rock", "garage punk", "ガレージロック"],
+  },
+  { genre: "Ambient", priority: 70, keywords: ["ambient", "アンビエント"] },
+  { genre: "Experimental", priority: 60, keywords: ["experimental", "avant", "アヴァン", "実験", "noise", "ノイズ"] },
+  { genre: "Hip-Hop", priority: 50, keywords: ["hip-hop", "hip hop", "rap", "ラップ", "ヒップホップ"] },
+  { genre: "Metal", priority: 40, keywords: ["metal", "hardcore", "ハードコア", "メタル"] },
+  {
+    genre: "Rock",
+    priority: 30,
+    keywords: ["rock", "indie", "punk", "pop-punk", "pop punk", "garage rock", "ロック", "パンク"],
+  },
+  { genre: "Pop", priority: 20, keywords: ["pop", "アイドル", "シングル", "mv", "music video"], exclude: ["pop-punk", "pop punk"] },
+  { genre: "Japan", priority: 10, keywords: ["日本", "東京", "渋谷", "j-pop", "邦楽"] },
+];
+
+// 一覧・ダイジェストでのジャンルの既定の並び（フォールバックのルール順 + Other）
+export const DEFAULT_GENRE_ORDER = [...GENRES_FALLBACK.map((r) => r.genre), "Other"];
+
+const MATCH_MODES = new Set(["word", "substring", "regex"]);
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ASCII 以外（かな・漢字など）を含むキーワードは単語境界が無いので部分一致にする
+export function keywordRe(kw, match, { ignoreCase = true } = {}) {
+  const flags = ignoreCase ? "iu" : "u";
+  if (match === "regex") return new RegExp(kw, flags);
+  if (match === "substring" || /[^\x20-\x7e]/.test(kw)) return new RegExp(escapeRe(kw), flags);
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(kw)}(?![\\p{L}\\p{N}])`, flags);
+}
+
+function compileRule(rule, order) {
+  const match = MATCH_MODES.has(rule.match) ? rule.match : "word";
+  const compile = (list) =>
+    (list || []).flatMap((kw) => {
+      try {
+        return [keywordRe(kw, match)];
+      } catch (e) {
+        console.warn(`invalid genre pattern [${rule.genre}] ${kw}:`, e?.message || e);
+        return [];
+      }
+    });
+
+  return {
+    genre: rule.genre,
+    priority: Number(rule.priority) || 0,
+    order,
+    match,
+    keywords: compile(rule.keywords),
+    exclude: compile(rule.exclude),
+    sources: (rule.sources || []).map((s) => s.toLowerCase()),
+  };
+}
+
+export function compileRules(rules) {
+  return rules
+    .map(compileRule)
+    .filter((r) => r.genre && (r.keywords.length || r.sources.length))
+    .sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+export function splitList(v) {
+  return String(v ?? "")
+    .split("|")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// expected headers: enabled,genre,priority,match,keywords,exclude,sources
+// keywords / exclude / sources は "|" 区切り
+export function rulesFromRows(rows) {
+  return rows
+    .filter((r) => String(r.enabled ?? "").trim().toUpperCase() !== "FALSE")
+    .map((r) => ({
+      genre: String(r.genre ?? "").trim(),
+      priority: Number(r.priority) || 0,
+      match: String(r.match ?? "").trim().toLowerCase() || "word",
+      keywords: splitList(r.keywords),
+      exclude: splitList(r.exclude),
+      sources: splitList(r.sources),
+    }))
+    .filter((r) => r.genre);
+}
+
+const COMPILED_FALLBACK = compileRules(GENRES_FALLBACK);
+
+let rulesCache = { at: 0, rules: COMPILED_FALLBACK };
+const RULES_CACHE_MS = 10 * 60 * 1000; // 10min
+
+export async function loadGenreRules() {
+  const now = Date.now();
+  if (rulesCache.rules && now - rulesCache.at < RULES_CACHE_MS) return rulesCache.rules;
+
+  if (!GENRES_CSV_URL) {
+    rulesCache = { at: now, rules: COMPILED_FALLBACK };
+    return rulesCache.rules;
+  }
+
+  try {
+    const res = await fetch(GENRES_CSV_URL, { method: "GET" });
+    if (!res.ok) throw new Error(`GENRES CSV HTTP ${res.status}`);
+
+    const rules = compileRules(rulesFromRows(parseCsv(await res.text())));
+    rulesCache = { at: now, rules: rules.length ? rules : COMPILED_FALLBACK };
+    return rulesCache.rules;
+  } catch (e) {
+    console.warn("loadGenreRules failed:", e?.message || e);
+    rulesCache = { at: now, rules: COMPILED_FALLBACK };
+    return rulesCache.rules;
+  }
+}
+
+// スコアの重み：タイトル一致 > フィードのカテゴリ一致 > 要約一致 > フィード既定ジャンル
+const WEIGHTS = { title: 3, categories: 2, summary: 1, feedDefault: 1, sourceOverride: 10 };
+const MAX_HITS_PER_FIELD = 3;
+
+function fieldScore(rule, text, weight) {
+  if (!text || rule.exclude.some((re) => re.test(text))) return 0;
+  const hits = rule.keywords.filter((re) => re.test(text)).length;
+  return Math.min(hits, MAX_HITS_PER_FIELD) * weight;
+}
+
+/**
+ * アイテムのジャンルタグをスコア順で返す: [{ genre, score }]
+ * categories はフィード側の <category>（"Techno" "Hip Hop" など）。
+ * キーワードに1つも当たらなければ feed の defaultGenre（無ければ "Other"）だけを返す。
+ */
+export function scoreGenres({ title, summary, source, categories, fallback }, rules = COMPILED_FALLBACK) {
+  const src = String(source ?? "").toLowerCase();
+  const cats = (categories ?? []).join(" / ");
+  const scores = new Map(); // genre -> { score, priority, order }
+
+  for (const rule of rules) {
+    if (rule.sources.length && !rule.sources.includes(src)) continue;
+
+    const score = rule.keywords.length
+      ? fieldScore(rule, `${title ?? ""} ${source ?? ""}`, WEIGHTS.title) +
+        fieldScore(rule, cats, WEIGHTS.categories) +
+        fieldScore(rule, summary, WEIGHTS.summary)
+      : WEIGHTS.sourceOverride;
+    if (!score) continue;
+
+    const prev = scores.get(rule.genre);
+    if (prev) {
+      prev.score += score;
+      prev.priority = Math.max(prev.priority, rule.priority);
+    } else {
+      scores.set(rule.genre, { score, priority: rule.priority, order: rule.order });
+    }
+  }
+
+  const fb = fallback || "Other";
+  if (!scores.size) return [{ genre: fb, score: WEIGHTS.feedDefault }];
+  if (scores.has(fb)) scores.get(fb).score += WEIGHTS.feedDefault;
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1].score - a[1].score || b[1].priority - a[1].priority || a[1].order - b[1].order)
+    .map(([genre, v]) => ({ genre, score: v.score }));
+}
+
+export function pickGenre(item, rules = COMPILED_FALLBACK) {
+  return scoreGenres(item, rules)[0].genre;
+}
+
+// items（1回ずつ）からジャンル -> id[] のインデックスを作る。並び順は items の順
+export function buildGenreIndex(items) {
+  const index = {};
+  for (const it of items) {
+    const tags = it.genreTags?.length ? it.genreTags : [{ genre: it.genre || "Other" }];
+    for (const { genre } of tags) {
+      if (!index[genre]) index[genre] = [];
+      index[genre].push(it.id);
+    }
+  }
+  return index;
+}
@@ -0,0 +1,177 @@
+// -----------------------------
+// Item extras (image / author / categories / media)
+// -----------------------------
+// rss-parser の item（fetcher.js の customFields 込み）から、一覧表示とジャンル判定に使う付加情報を取り出す。
+// どれも無ければ null / [] を返す。
+
+const MAX_CATEGORIES = 10;
+const MAX_MEDIA = 5;
+
+// WordPress などが付ける意味のないカテゴリ
+const IGNORED_CATEGORIES = new Set(["uncategorized", "未分類", "news", "ニュース", "featured"]);
+
+// 埋め込みプレイヤー: host -> type
+const EMBED_HOSTS = [
+  [/(^|\.)youtube(-nocookie)?\.com$|(^|\.)youtu\.be$/i, "video"],
+  [/(^|\.)vimeo\.com$/i, "video"],
+  [/(^|\.)soundcloud\.com$/i, "audio"],
+  [/(^|\.)bandcamp\.com$/i, "audio"],
+  [/(^|\.)spotify\.com$/i, "audio"],
+  [/(^|\.)mixcloud\.com$/i, "audio"],
+];
+
+function text(v) {
+  if (v == null) return "";
+  if (Array.isArray(v)) return text(v[0]);
+  if (typeof v === "object") return text(v._ ?? v.$?.term ?? v.$?.text ?? v.name ?? "");
+  return String(v).trim();
+}
+
+function absUrl(src, base) {
+  const s = String(src ?? "").trim();
+  if (!s || s.startsWith("data:")) return null;
+  try {
+    const u = new URL(s.startsWith("//") ? `https:${s}` : s, base || undefined);
+    return /^https?:$/.test(u.protocol) ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? (m[1] ?? m[2] ?? m[3] ?? "").replace(/&amp;/g, "&").trim() : null;
+}
+
+function contentHtml(it) {
+  return String(it["content:encoded"] || it.content || it.summary || "");
+}
+
+function mediaType(mime, medium) {
+  const m = String(medium || mime || "").toLowerCase();
+  if (m.startsWith("image")) return "image";
+  if (m.startsWith("audio")) return "audio";
+  if (m.startsWith("video")) return "video";
+  return null;
+}
+
+// media:content / media:group / enclosure / Atom の <link rel="enclosure"> を { url, mime, kind } に揃える
+function attachments(it) {
+  const out = [];
+  const push = (url, mime, medium, extra = {}) => {
+    if (url) out.push({ url, mime: mime || null, kind: mediaType(mime, medium), ...extra });
+  };
+
+  const contents = [...(it.mediaContent || []), ...(it.mediaGroup || []).flatMap((g) => g["media:content"] || [])];
+  for (const c of contents) {
+    const a = c?.$ || {};
+    push(a.url, a.type, a.medium, { duration: Number(a.duration) || null });
+  }
+  if (it.enclosure?.url) push(it.enclosure.url, it.enclosure.type, null, { length: Number(it.enclosure.length) || null });
+  for (const l of it.links || []) {
+    const a = l?.$ || {};
+    if (a.rel === "enclosure") push(a.href, a.type, null);
+  }
+  return out;
+}
+
+export function extractImage(it) {
+  const base = it.link || undefined;
+
+  const thumbs = [...(it.mediaThumbnail || []), ...(it.mediaGroup || []).flatMap((g) => g["media:thumbnail"] || [])];
+  for (const t of thumbs) {
+    const url = absUrl(t?.$?.url, base);
+    if (url) return url;
+  }
+
+  for (const a of attachments(it)) {
+    // medium も type も無い media:content は画像として扱う（多くの音楽サイトがそう書く）
+    if (a.kind === "image" || (a.kind == null && /\.(jpe?g|png|webp|gif)(\?|$)/i.test(a.url))) {
+      const url = absUrl(a.url, base);
+      if (url) return url;
+    }
+  }
+
+  const itunes = absUrl(it.itunes?.image, base);
+  if (itunes) return itunes;
+
+  // 本文の最初の <img>（1x1 のトラッキング画像は除く）
+  for (const tag of contentHtml(it).match(/<img\s[^>]*>/gi) || []) {
+    if (attr(tag, "width") === "1" || attr(tag, "height") === "1") continue;
+    const url = absUrl(attr(tag, "src") || attr(tag, "data-src"), base);
+    if (url) return url;
+  }
+  return null;
+}
+
+export function extractAuthor(it) {
+  let s = text(it.creator || it["dc:creator"] || it.author || it.itunes?.author);
+  if (!s) return null;
+  // RSS の <author> は "mail@example.com (Name)" 形式のことがある
+  const m = s.match(/^\S+@\S+\s+\((.+)\)$/);
+  if (m) s = m[1];
+  if (/^\S+@\S+$/.test(s)) return null;
+  return s.replace(/^by\s+/i, "").replace(/\s+/g, " ").slice(0, 120) || null;
+}
+
+export function extractCategories(it) {
+  const raw = [
+    ...(Array.isArray(it.categories) ? it.categories : []),
+    ...(it.atomCategories || []),
+    ...(it.itunes?.keywords ? String(it.itunes.keywords).split(",") : []),
+  ];
+  const seen = new Set();
+  const out = [];
+  for (const c of raw) {
+    const s = text(c).replace(/\s+/g, " ");
+    const key = s.toLowerCase();
+    if (!s || s.length > 60 || seen.has(key) || IGNORED_CATEGORIES.has(key)) continue;
+    seen.add(key);
+    out.push(s);
+    if (out.length >= MAX_CATEGORIES) break;
+  }
+  return out;
+}
+
+// 音声・動画: 添付ファイルと、本文中の <audio>/<video>/<source> と埋め込みプレイヤー
+export function extractMedia(it) {
+  const base = it.link || undefined;
+  const out = [];
+  const seen = new Set();
+  const push = (m) => {
+    if (!m.url || seen.has(m.url) || out.length >= MAX_MEDIA) return;
+    seen.add(m.url);
+    out.push(m);
+  };
+
+  for (const a of attachments(it)) {
+    if (a.kind !== "audio" && a.kind !== "video") continue;
+    push({ type: a.kind, url: absUrl(a.url, base), mime: a.mime, duration: a.duration ?? null, provider: null });
+  }
+
+  const html = contentHtml(it);
+  for (const tag of html.match(/<(audio|video|source)\s[^>]*>/gi) || []) {
+    const mime = attr(tag, "type");
+    const type = mediaType(mime) || (/^<video/i.test(tag) ? "video" : /^<audio/i.test(tag) ? "audio" : null);
+    if (type === "audio" || type === "video") {
+      push({ type, url: absUrl(attr(tag, "src"), base), mime, duration: null, provider: null });
+    }
+  }
+  for (const tag of html.match(/<iframe\s[^>]*>/gi) || []) {
+    const url = absUrl(attr(tag, "src") || attr(tag, "data-src"), base);
+    if (!url) continue;
+    const host = new URL(url).hostname;
+    const hit = EMBED_HOSTS.find(([re]) => re.test(host));
+    if (hit) push({ type: hit[1], url, mime: null, duration: null, provider: host.replace(/^www\./, "") });
+  }
+  return out;
+}
+
+export function extractItemExtras(it) {
+  return {
+    image: extractImage(it),
+    author: extractAuthor(it),
+    categories: extractCategories(it),
+    media: extractMedia(it),
+  };
+}
@@ -0,0 +1,65 @@
+// -----------------------------
+// Live updates (SSE)
+// -----------------------------
+// クライアントが持っているスナップショット（/api/news の generatedAt = since）より後に
+// 現れたストーリーだけを送る。
+//   接続直後: publishedAt が since より新しいもの、または since 〜 接続時刻の間にストアが初めて見たもの
+//             （接続時の取り込みで初めて保存されたものは、コールドスタートでも全件を新着扱いしないよう除く）
+//   以降:     どのアイテムもまだ見ていないストーリー
+// 既に送った（またはスナップショットにある）ストーリーに別ソースの記事が加わったときは、新着ではなく
+// 更新として返す。primary が入れ替わると story の id も変わるので、見たかどうかはメンバーのアイテム id で判定する。
+
+export const STREAM_POLL_MS = Number(process.env.STREAM_POLL_MS || 20 * 1000);
+// 1接続の長さ。関数の実行時間の上限より短くする（EventSource が自動で再接続する）
+export const STREAM_MAX_MS = Number(process.env.STREAM_MAX_MS || 50 * 1000);
+export const STREAM_PING_MS = 15 * 1000;
+export const STREAM_RETRY_MS = 5 * 1000;
+
+// ストーリーに含まれるアイテムの id（primary + alsoReportedBy）
+export function memberIds(story) {
+  return [story.id, ...(story.alsoReportedBy ?? []).map((o) => o.id)];
+}
+
+const byNewest = (a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || "");
+
+/**
+ * tracker.next(stories, firstSeen) -> { added: 新着ストーリー, updated: アイテムが増えた既知のストーリー }（どちらも新しい順）
+ * firstSeen: Map<id, firstSeenAt ISO>（ストアの記録）
+ */
+export function createLiveTracker({ since, connectedAt = Date.now() }) {
+  const seen = new Set();
+  let primed = false;
+
+  const isCatchUp = (s, firstSeen) => {
+    const published = s.publishedAt ? Date.parse(s.publishedAt) : NaN;
+    if (Number.isFinite(published) && published > since) return true;
+    const first = firstSeen.get(s.id) ? Date.parse(firstSeen.get(s.id)) : NaN;
+    return Number.isFinite(first) && first > since && first < connectedAt;
+  };
+
+  return {
+    next(stories, firstSeen = new Map()) {
+      const added = [];
+      const updated = [];
+      for (const s of stories) {
+        const ids = memberIds(s);
+        const known = ids.filter((id) => seen.has(id)).length;
+        if (!primed) {
+          if (isCatchUp(s, firstSeen)) added.push(s);
+        } else if (!known) {
+          added.push(s);
+        } else if (known < ids.length) {
+          updated.push(s);
+        }
+      }
+      for (const s of stories) for (const id of memberIds(s)) seen.add(id);
+      primed = true;
+      return { added: added.sort(byNewest), updated: updated.sort(byNewest) };
+    },
+  };
+}
+
+// event: <name> / id: <id> / data: <json>
+export function sseEvent(name, data, id = null) {
+  return `${id ? `id: ${id}\n` : ""}event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+}
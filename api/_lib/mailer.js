@@ -0,0 +1,287 @@
+import net from "node:net";
+import tls from "node:tls";
+import crypto from "node:crypto";
+import os from "node:os";
+
+// -----------------------------
+// SMTP delivery (digest mail)
+// -----------------------------
+// 依存を増やさないよう、必要な分だけの SMTP クライアント（EHLO / STARTTLS / AUTH / MAIL / RCPT / DATA）。
+//   SMTP_HOST       未設定なら送信しない
+//   SMTP_PORT       既定 587（SMTP_SECURE=1 なら 465）
+//   SMTP_SECURE     1 で最初から TLS（465）
+//   SMTP_STARTTLS   auto（サーバーが対応していれば使う）| always | never
+//   SMTP_USER / SMTP_PASS   AUTH PLAIN / LOGIN（暗号化されていない接続では送らない）
+//   SMTP_INSECURE_AUTH      1 で暗号化なしの接続でも AUTH する（ローカルの中継サーバーなど）
+//   DIGEST_FROM     "Music News <news@example.com>"
+//   DIGEST_TO       宛先（カンマ区切り）
+
+const SMTP_TIMEOUT_MS = 15 * 1000;
+const STARTTLS_MODES = ["auto", "always", "never"];
+
+export class SmtpError extends Error {
+  constructor(message, { code = null, command = null } = {}) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+    this.command = command;
+  }
+}
+
+function splitAddresses(v) {
+  return String(v ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// "Name <a@b>" -> "a@b"
+export function bareAddress(addr) {
+  const m = String(addr).match(/<([^<>\s]+)>/);
+  return (m ? m[1] : String(addr)).trim();
+}
+
+/** 環境変数から送信設定。SMTP_HOST / DIGEST_FROM / DIGEST_TO が揃っていなければ null */
+export function smtpConfig(env = process.env) {
+  const from = String(env.DIGEST_FROM ?? "").trim();
+  const to = splitAddresses(env.DIGEST_TO);
+  if (!env.SMTP_HOST || !from || !to.length) return null;
+
+  const secure = env.SMTP_SECURE === "1";
+  const starttls = String(env.SMTP_STARTTLS || "auto").toLowerCase();
+  if (!STARTTLS_MODES.includes(starttls)) throw new SmtpError(`SMTP_STARTTLS must be one of ${STARTTLS_MODES.join(", ")}`);
+  return {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT || (secure ? 465 : 587)),
+    secure,
+    starttls,
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || "",
+    insecureAuth: env.SMTP_INSECURE_AUTH === "1",
+    from,
+    to,
+    timeoutMs: SMTP_TIMEOUT_MS,
+  };
+}
+
+// -----------------------------
+// MIME
+// -----------------------------
+// ヘッダへの改行混入（ヘッダインジェクション）を防ぐ
+function headerText(v) {
+  return String(v ?? "").replace(/[\r\n]+/g, " ").trim();
+}
+
+// 非 ASCII は RFC 2047 の encoded-word に。1語 75 文字以内に収まるよう文字単位で分ける
+export function encodeHeader(v) {
+  const s = headerText(v);
+  if (/^[\x20-\x7e]*$/.test(s)) return s;
+  const words = [];
+  let chunk = "";
+  for (const ch of s) {
+    if (Buffer.byteLength(chunk + ch) > 45) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += ch;
+  }
+  if (chunk) words.push(chunk);
+  return words.map((w) => `=?UTF-8?B?${Buffer.from(w).toString("base64")}?=`).join("\r\n ");
+}
+
+// "Name <a@b>" の Name 部分だけ encoded-word にする
+function encodeAddress(addr) {
+  const m = headerText(addr).match(/^(.*?)\s*<([^<>\s]+)>$/);
+  if (!m || !m[1]) return headerText(addr);
+  return `${encodeHeader(m[1].replace(/^"|"$/g, ""))} <${m[2]}>`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, "utf8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+}
+
+/** multipart/alternative（text/plain + text/html）のメッセージ本体（CRLF） */
+export function buildMessage({ from, to, subject, text, html, date = new Date(), messageId } = {}) {
+  const boundary = `=_music_news_${crypto.randomBytes(12).toString("hex")}`;
+  const domain = bareAddress(from).split("@")[1] || os.hostname();
+  const id = messageId || `<${Date.now().toString(36)}.${crypto.randomBytes(8).toString("hex")}@${domain}>`;
+
+  const headers = [
+    `From: ${encodeAddress(from)}`,
+    `To: ${to.map(encodeAddress).join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${id}`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+  ];
+  const part = (type, body) =>
+    [`--${boundary}`, `Content-Type: ${type}; charset=utf-8`, "Content-Transfer-Encoding: base64", "", base64Lines(body)].join("\r\n");
+
+  return `${headers.join("\r\n")}\r\n\r\n${part("text/plain", text ?? "")}${part("text/html", html ?? "")}--${boundary}--\r\n`;
+}
+
+// 行頭の "." は ".." に（DATA の終端 "\r\n.\r\n" と区別するため）
+export function dotStuff(message) {
+  return message.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+}
+
+// -----------------------------
+// SMTP client
+// -----------------------------
+// 複数行応答（"250-..." が続き "250 ..." で終わる）を1つの reply にまとめる
+function createReplyReader() {
+  let socket = null;
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, i).replace(/\r$/, "");
+      buffer = buffer.slice(i + 1);
+      lines.push(line);
+      if (!/^\d{3}(?: |$)/.test(line)) continue;
+      const reply = { code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) };
+      lines = [];
+      const waiter = waiters.shift();
+      if (waiter) waiter.resolve(reply);
+      else replies.push(reply);
+    }
+  };
+  const fail = (e) => {
+    failure ??= e;
+    while (waiters.length) waiters.shift().reject(failure);
+  };
+  const onClose = () => fail(new SmtpError("connection closed by server"));
+
+  return {
+    attach(next) {
+      if (socket) {
+        socket.off("data", onData);
+        socket.off("error", fail);
+        socket.off("close", onClose);
+      }
+      socket = next;
+      socket.on("data", onData);
+      socket.on("error", fail);
+      socket.on("close", onClose);
+    },
+    fail,
+    read() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+  };
+}
+
+// 接続（TLS ならハンドシェイクまで）にも timeoutMs を掛ける。届かないホストで止まったままにしない
+function connectSocket(config) {
+  return new Promise((resolve, reject) => {
+    const onConnect = () => {
+      socket.setTimeout(0);
+      socket.off("timeout", onTimeout);
+      resolve(socket);
+    };
+    const onTimeout = () => socket.destroy(new SmtpError(`connect timed out after ${config.timeoutMs}ms`));
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host }, onConnect)
+      : net.connect({ host: config.host, port: config.port }, onConnect);
+    socket.setTimeout(config.timeoutMs, onTimeout);
+    socket.once("error", reject);
+  });
+}
+
+function upgradeSocket(socket, config) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: config.host }, () => resolve(secure));
+    secure.once("error", reject);
+  });
+}
+
+/**
+ * メッセージを送る。戻り値: { accepted: [宛先], response: 最後の応答 }
+ * message: { from, to: string[], subject, text, html }
+ */
+export async function sendMail(message, config) {
+  const reader = createReplyReader();
+  let socket = await connectSocket(config);
+  const onTimeout = () => {
+    reader.fail(new SmtpError(`timed out after ${config.timeoutMs}ms`));
+    socket.destroy();
+  };
+  const watch = (s) => {
+    reader.attach(s);
+    s.setTimeout(config.timeoutMs, onTimeout);
+  };
+  watch(socket);
+
+  // label: エラーメッセージに出すコマンド名（認証情報を含むコマンドは "AUTH" だけにする）
+  const expect = async (label, codes) => {
+    const reply = await reader.read();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(`${label}: ${reply.code} ${reply.lines.join(" ")}`, { code: reply.code, command: label });
+    }
+    return reply;
+  };
+  const send = (command, codes, label = command) => {
+    socket.write(`${command}\r\n`);
+    return expect(label, codes);
+  };
+
+  try {
+    await expect("greeting", [220]);
+    const name = os.hostname() || "localhost";
+    let ehlo = await send(`EHLO ${name}`, [250]);
+    const supports = (ext) => ehlo.lines.some((l) => l.toUpperCase().split(" ")[0] === ext);
+
+    let encrypted = config.secure;
+    if (!config.secure && config.starttls !== "never" && (supports("STARTTLS") || config.starttls === "always")) {
+      await send("STARTTLS", [220]);
+      socket = await upgradeSocket(socket, config);
+      watch(socket);
+      encrypted = true;
+      ehlo = await send(`EHLO ${name}`, [250]);
+    }
+
+    if (config.user) {
+      // STARTTLS を広告しない（または途中で消された）サーバーに認証情報を平文で渡さない
+      if (!encrypted && !config.insecureAuth) {
+        throw new SmtpError("refusing to AUTH over an unencrypted connection (set SMTP_INSECURE_AUTH=1 to allow)", {
+          command: "AUTH",
+        });
+      }
+      const mechanisms = (ehlo.lines.find((l) => /^AUTH[ =]/i.test(l)) ?? "").toUpperCase().split(/[ =]/).slice(1);
+      if (mechanisms.includes("PLAIN")) {
+        const token = Buffer.from(`\0${config.user}\0${config.pass}`).toString("base64");
+        await send(`AUTH PLAIN ${token}`, [235], "AUTH PLAIN");
+      } else if (mechanisms.includes("LOGIN")) {
+        await send("AUTH LOGIN", [334]);
+        await send(Buffer.from(config.user).toString("base64"), [334], "AUTH LOGIN");
+        await send(Buffer.from(config.pass).toString("base64"), [235], "AUTH LOGIN");
+      } else {
+        throw new SmtpError("server does not offer AUTH PLAIN or LOGIN");
+      }
+    }
+
+    await send(`MAIL FROM:<${bareAddress(message.from)}>`, [250]);
+    for (const rcpt of message.to) await send(`RCPT TO:<${bareAddress(rcpt)}>`, [250, 251]);
+    await send("DATA", [354]);
+    socket.write(`${dotStuff(buildMessage(message))}.\r\n`);
+    const done = await expect("DATA", [250]);
+
+    socket.write("QUIT\r\n");
+    await reader.read().catch(() => null);
+    return { accepted: message.to, response: `${done.code} ${done.lines.join(" ")}` };
+  } finally {
+    socket.setTimeout(0);
+    socket.destroy();
+  }
+}
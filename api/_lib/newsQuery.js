@@ -0,0 +1,202 @@
+import { buildGenreIndex, splitList } from "./genres.js";
+import { compilePrefs, normalizePrefs, scoreItem } from "./personalize.js";
+
+// -----------------------------
+// /api/news query (filter / sort / pagination / fields)
+// -----------------------------
+//   genre=Techno|House   genreTags のどれかに一致（大文字小文字を区別しない）
+//   source=Mixmag        source か alsoReportedBy のどれかに一致
+//   sort=newest（既定）| source（ソース名 → 新しい順）| relevance（personalize.js の既定スコア: 新しさ + 報道数）
+//   limit=50&cursor=…    limit を付けたときだけページに分ける。cursor は前ページの nextCursor をそのまま渡す
+//   fields=id,title,url  返すフィールド（id は常に含む）
+//   include=feeds        feedsLoaded（フィード一覧）も返す
+// cursor は最後に返したアイテムの並びキー（keyset）なので、ページの間に新着が入っても重複・欠落しない。
+// relevance は時刻で値が変わるので、1ページ目の採点時刻を cursor に入れて以降のページも同じ時刻で採点する。
+
+export const SORTS = ["newest", "source", "relevance"];
+export const MAX_LIMIT = 200;
+export const ITEM_FIELDS = [
+  "id",
+  "title",
+  "url",
+  "source",
+  "publishedAt",
+  "summary",
+  "image",
+  "author",
+  "categories",
+  "media",
+  "undated",
+  "storyId",
+  "alsoReportedBy",
+  "genreTags",
+  "genre",
+  "entities",
+  "lang",
+  "translation",
+  "score",
+];
+const INCLUDES = ["feeds"];
+
+// 既定の prefs（空）での採点 = 新しさ + 他ソースでの報道
+const NO_PREFS = compilePrefs(normalizePrefs({}));
+
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryError";
+  }
+}
+
+function commaList(v) {
+  return String(v ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+export function decodeCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    const shapeOk = SORTS.includes(c?.s) && Array.isArray(c.k) && c.k.length === SORT_DIRS[c.s].length;
+    if (shapeOk && (c.at == null || Number.isFinite(c.at))) return c;
+  } catch {
+    // 下で QueryError
+  }
+  throw new QueryError("cursor is invalid");
+}
+
+/**
+ * req.query -> { genres, sources, sort, limit, cursor, fields, include }
+ * 不正な値は QueryError。
+ */
+export function parseNewsQuery(query = {}) {
+  const sort = String(query.sort || "newest").toLowerCase();
+  if (!SORTS.includes(sort)) throw new QueryError(`Unknown sort: ${sort} (use ${SORTS.join(", ")})`);
+
+  let limit = null;
+  if (query.limit != null && query.limit !== "") {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new QueryError("limit must be a positive integer");
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && cursor.s !== sort) throw new QueryError(`cursor was issued for sort=${cursor.s}`);
+
+  const fields = commaList(query.fields);
+  const unknownField = fields.find((f) => !ITEM_FIELDS.includes(f));
+  if (unknownField) throw new QueryError(`Unknown field: ${unknownField}`);
+
+  const include = commaList(query.include).map((s) => s.toLowerCase());
+  const unknownInclude = include.find((s) => !INCLUDES.includes(s));
+  if (unknownInclude) throw new QueryError(`Unknown include: ${unknownInclude}`);
+
+  return {
+    genres: splitList(query.genre),
+    sources: splitList(query.source),
+    sort,
+    limit,
+    cursor,
+    fields: fields.length ? [...new Set(["id", ...fields])] : null,
+    include: new Set(include),
+  };
+}
+
+// -----------------------------
+// Filter
+// -----------------------------
+export function matchesGenre(it, genres) {
+  if (!genres.length) return true;
+  const wanted = genres.map((g) => g.toLowerCase());
+  const tags = it.genreTags?.length ? it.genreTags : [{ genre: it.genre || "Other" }];
+  return tags.some((t) => wanted.includes(String(t.genre).toLowerCase()));
+}
+
+export function matchesSource(it, sources) {
+  if (!sources.length) return true;
+  const wanted = sources.map((s) => s.toLowerCase());
+  return [it.source, ...(it.alsoReportedBy ?? []).map((o) => o.source)].some((s) =>
+    wanted.includes(String(s ?? "").toLowerCase())
+  );
+}
+
+// ジャンル -> 件数（サイドバー用。ページに分けても全体の件数が分かるように）
+export function countGenres(items) {
+  const counts = {};
+  for (const it of items) {
+    const tags = it.genreTags?.length ? it.genreTags : [{ genre: it.genre || "Other" }];
+    for (const { genre } of tags) counts[genre] = (counts[genre] ?? 0) + 1;
+  }
+  return counts;
+}
+
+// -----------------------------
+// Sort keys
+// -----------------------------
+// 並びキーは [値, …, id] の配列。dirs の 1 は昇順、-1 は降順
+const SORT_DIRS = { newest: [-1, 1], source: [1, -1, 1], relevance: [-1, -1, 1] };
+
+function timeOf(it) {
+  const t = Date.parse(it.publishedAt ?? "");
+  return Number.isFinite(t) ? t : 0;
+}
+
+function sortKey(it, sort) {
+  if (sort === "source") return [String(it.source ?? "").toLowerCase(), timeOf(it), it.id];
+  if (sort === "relevance") return [it.score, timeOf(it), it.id];
+  return [timeOf(it), it.id];
+}
+
+function compareKeys(a, b, dirs) {
+  for (let i = 0; i < dirs.length; i++) {
+    if (a[i] === b[i]) continue;
+    return (a[i] < b[i] ? -1 : 1) * dirs[i];
+  }
+  return 0;
+}
+
+/**
+ * items（publicItem 済み）に filter / sort / cursor / limit / fields を当てる。
+ * 戻り値: { items, genreIndex（このページ分）, total（絞り込み後の件数）, nextCursor（続きが無ければ null）,
+ *          genreCounts（source だけで絞った件数） }
+ */
+export function queryItems(items, q, { now = Date.now() } = {}) {
+  const bySource = items.filter((it) => matchesSource(it, q.sources));
+  const genreCounts = countGenres(bySource);
+  let matched = bySource.filter((it) => matchesGenre(it, q.genres));
+
+  const at = q.cursor?.at ?? now;
+  if (q.sort === "relevance") {
+    matched = matched.map((it) => ({ ...it, score: Math.round(scoreItem(it, NO_PREFS, { now: at }).score * 1000) / 1000 }));
+  }
+
+  const dirs = SORT_DIRS[q.sort];
+  const keyed = matched.map((it) => ({ it, key: sortKey(it, q.sort) })).sort((a, b) => compareKeys(a.key, b.key, dirs));
+  const after = q.cursor ? keyed.filter(({ key }) => compareKeys(key, q.cursor.k, dirs) > 0) : keyed;
+  const page = q.limit ? after.slice(0, q.limit) : after;
+  const pageItems = page.map(({ it }) => it);
+  const last = page.at(-1);
+  const nextCursor =
+    q.limit && after.length > page.length
+      ? encodeCursor({ s: q.sort, k: last.key, ...(q.sort === "relevance" ? { at } : {}) })
+      : null;
+
+  return {
+    items: q.fields ? pageItems.map((it) => pickFields(it, q.fields)) : pageItems,
+    genreIndex: buildGenreIndex(pageItems),
+    total: matched.length,
+    nextCursor,
+    genreCounts,
+  };
+}
+
+export function pickFields(it, fields) {
+  const out = {};
+  for (const f of fields) if (f in it) out[f] = it[f];
+  return out;
+}
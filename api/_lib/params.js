@@ -0,0 +1,24 @@
+// -----------------------------
+// Query parameter helpers
+// -----------------------------
+
+// 空なら fallback、整数でなければエラー、max で頭打ち
+export function intParam(v, name, { min, max, fallback }) {
+  if (v == null || v === "") return fallback;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min) throw new Error(`${name} must be an integer >= ${min}`);
+  return Math.min(n, max);
+}
+
+// "2026-01-31" or ISO datetime -> epoch ms。日付のみの to はその日の終わりとして扱う
+export function parseDateParam(v, { endOfDay = false } = {}) {
+  if (v == null || v === "") return null;
+  const s = String(v).trim();
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(s);
+  const t = dayOnly ? Date.parse(`${s}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`) : Date.parse(s);
+  // Date.parse は 2026-02-30 を 3/2 に繰り上げるので、日付のみの形は暦どおりかも確かめる
+  if (!Number.isFinite(t) || (dayOnly && new Date(t).toISOString().slice(0, 10) !== s)) {
+    throw new Error(`Invalid date: ${s}`);
+  }
+  return t;
+}
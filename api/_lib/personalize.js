@@ -0,0 +1,160 @@
+import { keywordRe } from "./genres.js";
+
+// -----------------------------
+// Personal preferences / "For you" ranking
+// -----------------------------
+// prefs はクライアント（localStorage）が持ち、リクエストごとに送ってくる。同期する場合だけ /api/prefs に保存する。
+// prefs: {
+//   preferredSources: string[]   加点するソース
+//   mutedSources:     string[]   表示しないソース
+//   mutedKeywords:    string[]   タイトル・要約（翻訳含む）に単語一致したら表示しない
+//   interests:        string[]   キーワード・アーティスト名・ジャンル名。一致すると加点
+//   genreOrder:       string[]   ジャンルの表示順（ここに無いものは既定の順で後ろ）
+// }
+// ソース名・ジャンル名は大文字小文字を区別しない。
+
+const LIST_FIELDS = ["preferredSources", "mutedSources", "mutedKeywords", "interests", "genreOrder"];
+const MAX_LIST = 200;
+const MAX_ENTRY = 100;
+
+// score = recency + 優先ソース + 興味の一致（最大3件）+ 他ソースでの報道（最大3件）
+const HALF_LIFE_HOURS = 6;
+const WEIGHTS = { recency: 1, preferredSource: 0.6, interest: 0.5, coverage: 0.1 };
+const MAX_INTEREST_HITS = 3;
+const MAX_COVERAGE = 3;
+
+export class PrefsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PrefsError";
+  }
+}
+
+/**
+ * 受け取った prefs を検証して正規化する（未知のキーは捨てる、重複・空は除く）。
+ * 形が不正なら PrefsError。
+ */
+export function normalizePrefs(raw) {
+  if (raw == null || raw === "") raw = {};
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      throw new PrefsError("prefs is not valid JSON");
+    }
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new PrefsError("prefs must be an object");
+
+  const prefs = {};
+  for (const field of LIST_FIELDS) {
+    const v = raw[field] ?? [];
+    if (!Array.isArray(v)) throw new PrefsError(`${field} must be an array`);
+    const seen = new Set();
+    prefs[field] = [];
+    for (const entry of v) {
+      const s = String(entry ?? "").trim().slice(0, MAX_ENTRY);
+      if (!s || seen.has(s.toLowerCase())) continue;
+      seen.add(s.toLowerCase());
+      prefs[field].push(s);
+    }
+    if (prefs[field].length > MAX_LIST) throw new PrefsError(`${field} has more than ${MAX_LIST} entries`);
+  }
+  return prefs;
+}
+
+// 正規化済み prefs から照合用の形を作る（リクエストごとに1回）
+export function compilePrefs(prefs) {
+  const lower = (list) => new Set(list.map((s) => s.toLowerCase()));
+  const patterns = (list) => list.map((kw) => ({ kw, re: keywordRe(kw, "word") }));
+  return {
+    preferredSources: lower(prefs.preferredSources),
+    mutedSources: lower(prefs.mutedSources),
+    mutedKeywords: patterns(prefs.mutedKeywords),
+    interests: patterns(prefs.interests),
+    genreOrder: prefs.genreOrder,
+  };
+}
+
+function textOf(it) {
+  return [it.title, it.summary, it.translation?.title, it.translation?.summary].filter(Boolean).join(" \n ");
+}
+
+/** ミュート理由（ソース / キーワード）。ミュートでなければ null */
+export function muteReason(it, compiled) {
+  if (compiled.mutedSources.has(String(it.source ?? "").toLowerCase())) return { type: "source", value: it.source };
+  const text = textOf(it);
+  const hit = compiled.mutedKeywords.find(({ re }) => re.test(text));
+  return hit ? { type: "keyword", value: hit.kw } : null;
+}
+
+/**
+ * 1アイテムのスコアと理由。reasons は UI にそのまま出せる短い文字列。
+ */
+export function scoreItem(it, compiled, { now = Date.now() } = {}) {
+  const reasons = [];
+  const ageHours = it.publishedAt ? Math.max(0, (now - Date.parse(it.publishedAt)) / 3600000) : Infinity;
+  let score = Number.isFinite(ageHours) ? WEIGHTS.recency * 0.5 ** (ageHours / HALF_LIFE_HOURS) : 0;
+
+  const sources = [it.source, ...(it.alsoReportedBy ?? []).map((o) => o.source)];
+  const preferred = sources.find((s) => compiled.preferredSources.has(String(s ?? "").toLowerCase()));
+  if (preferred) {
+    score += WEIGHTS.preferredSource;
+    reasons.push(`from ${preferred}`);
+  }
+
+  // 興味: 本文の単語一致・エンティティ名・ジャンル名
+  const text = textOf(it);
+  const names = new Set((it.entities ?? []).map((e) => e.name.toLowerCase()));
+  const genres = (it.genreTags ?? [{ genre: it.genre }]).map((t) => String(t.genre ?? "").toLowerCase());
+  const matched = compiled.interests
+    .filter(({ kw, re }) => re.test(text) || names.has(kw.toLowerCase()) || genres.includes(kw.toLowerCase()))
+    .map(({ kw }) => kw);
+  if (matched.length) {
+    score += WEIGHTS.interest * Math.min(matched.length, MAX_INTEREST_HITS);
+    reasons.push(`matches ${matched.slice(0, MAX_INTEREST_HITS).join(", ")}`);
+  }
+
+  const coverage = Math.min(it.alsoReportedBy?.length ?? 0, MAX_COVERAGE);
+  if (coverage) {
+    score += WEIGHTS.coverage * coverage;
+    reasons.push(`${coverage + 1} sources`);
+  }
+
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+/**
+ * "For you": ミュートを除き、スコア降順（同点は新しい順）で並べる。
+ * 戻り値: { items: [{ ...item, score, reasons }], muted: [{ id, reason }] }
+ */
+export function rankForYou(items, prefs, { now = Date.now(), limit = 50 } = {}) {
+  const compiled = compilePrefs(prefs);
+  const ranked = [];
+  const muted = [];
+  for (const it of items) {
+    const reason = muteReason(it, compiled);
+    if (reason) {
+      muted.push({ id: it.id, reason });
+      continue;
+    }
+    ranked.push({ ...it, ...scoreItem(it, compiled, { now }) });
+  }
+  ranked.sort((a, b) => b.score - a.score || (b.publishedAt || "").localeCompare(a.publishedAt || ""));
+  return { items: ranked.slice(0, limit), muted };
+}
+
+/** genreOrder を先に、残りは defaultOrder → 名前順 */
+export function orderGenres(genres, prefs, defaultOrder = []) {
+  const rank = (list, g) => {
+    const i = list.findIndex((x) => x.toLowerCase() === g.toLowerCase());
+    return i < 0 ? Infinity : i;
+  };
+  return genres
+    .slice()
+    .sort(
+      (a, b) =>
+        rank(prefs.genreOrder, a) - rank(prefs.genreOrder, b) ||
+        rank(defaultOrder, a) - rank(defaultOrder, b) ||
+        a.localeCompare(b)
+    );
+}
@@ -0,0 +1,152 @@
+import { loadFeeds } from "./feeds.js";
+import { collectItems, summarizeFeedStatus } from "./collect.js";
+import { clusterStories, dedupeByUrl } from "./cluster.js";
+import { getStore } from "./store.js";
+import { loadGenreRules, scoreGenres } from "./genres.js";
+import { DEFAULT_LANG, translateItems } from "./translate.js";
+import { loadWatchRules, notifyWatchers } from "./watch.js";
+import { extractEntities, loadEntityDictionary } from "./entities.js";
+
+// story.translation を保存用の translations: { [lang]: { title, summary } } に畳み込む
+function translationsOf(story) {
+  const prev = story?.translations ?? {};
+  const t = story?.translation;
+  return t ? { ...prev, [t.lang]: { title: t.title, summary: t.summary } } : prev;
+}
+
+// 保存済みの翻訳を id で引いて translations に足す（translateItems はそれを使い、翻訳 API に送らない）。
+// コールドスタート後や窓を変えたときに、一度翻訳した見出しをまた課金しないため。戻り値: ストアにあった id
+async function attachStoredTranslations(items) {
+  try {
+    const stored = await getStore().findByIds(items.map((it) => it.id));
+    for (const it of items) {
+      const r = stored.get(it.id);
+      if (r?.translations) it.translations = { ...r.translations, ...it.translations };
+    }
+    return new Set(stored.keys());
+  } catch (e) {
+    console.warn("store read failed:", e?.message || e);
+    return new Set();
+  }
+}
+
+/**
+ * runPipeline の後で、返すアイテムだけを翻訳する呼び出し元用（/api/foryou・/api/digest）。
+ * 保存済みの翻訳を使い、新しく翻訳した分はストアの既存レコードに書き戻す。
+ */
+export async function translateStored(items, { lang = DEFAULT_LANG } = {}) {
+  const known = await attachStoredTranslations(items);
+  const report = await translateItems(items, { lang });
+  const fresh = items.filter((it) => known.has(it.id) && it.translation && !it.translations?.[lang]);
+  if (fresh.length) {
+    try {
+      await getStore().putNew(fresh.map((it) => ({ id: it.id, translations: translationsOf(it) })));
+    } catch (e) {
+      console.warn("store write failed:", e?.message || e);
+    }
+  }
+  return report;
+}
+
+// レスポンス用：内部フィールドを落とす
+export function publicItem(it) {
+  const { _fallbackGenre, translations: _translations, ...clean } = it;
+  return clean;
+}
+
+/**
+ * フィード取得 → URL 重複除去 → ストーリー化 → ジャンル付け → 翻訳 → 保存 までを行う。
+ * from/to を指定すると、表示するストーリーは保存済みアイテムから組み立てる。
+ * translate: false なら翻訳 API を呼ばない（保存済みの翻訳だけ付ける）。集計だけのルートや、
+ * 返すアイテムを絞ってから translateItems する呼び出し元用。
+ */
+export async function runPipeline({ hours = 24, from = null, to = null, lang = DEFAULT_LANG, translate = true } = {}) {
+  const since = Date.now() - hours * 60 * 60 * 1000;
+
+  const [FEEDS, genreRules, entityDict] = await Promise.all([loadFeeds(), loadGenreRules(), loadEntityDictionary()]);
+
+  const { items: allItems, feedStatus } = await collectItems(FEEDS, {
+    since,
+    firstSeen: (ids) => getStore().firstSeen(ids),
+  });
+
+  const deduped = dedupeByUrl(allItems);
+
+  // 同一ニュースの別ソースをまとめる（URL が違っても見出しが近ければ同じストーリー）
+  let stories = clusterStories(deduped);
+
+  const tagsOf = (it) =>
+    scoreGenres(
+      { title: it.title, summary: it.summary, source: it.source, categories: it.categories, fallback: it._fallbackGenre },
+      genreRules
+    );
+  const entitiesOf = (it) => extractEntities(it, entityDict);
+  for (const it of stories) {
+    it.genreTags = tagsOf(it);
+    it.genre = it.genreTags[0].genre;
+    it.entities = entitiesOf(it);
+  }
+
+  // from/to 指定時は保存済みアイテムから組み立てる（フィードから消えた記事も含む）
+  const ranged = from != null || to != null;
+  const liveStories = stories;
+  let totalItems = deduped.length;
+  if (ranged) {
+    const stored = await getStore().query({ from, to, limit: 2000 });
+    const storedDeduped = dedupeByUrl(stored.items);
+    totalItems = storedDeduped.length;
+    stories = clusterStories(storedDeduped);
+    // 以前に保存されたアイテムにはエンティティが無い
+    for (const it of stories) it.entities ??= entitiesOf(it);
+  }
+
+  // --- translate (title + summary) into `lang`（保存済みの翻訳があればそれを使う）---
+  await attachStoredTranslations(stories);
+  const translationReport = await translateItems(stories, translate ? { lang } : { lang, translator: null });
+
+  // --- persist: 初見のアイテムを翻訳・ジャンルごと保存 ---
+  const byId = new Map(liveStories.map((s) => [s.id, s]));
+  const records = deduped.map((it) => {
+    const { _fallbackGenre, ...clean } = it;
+    const story = byId.get(it.id);
+    const genreTags = story?.genreTags ?? tagsOf(it);
+    return {
+      ...clean,
+      lang: story?.lang ?? null,
+      genre: genreTags[0].genre,
+      genreTags,
+      entities: story?.entities ?? entitiesOf(it),
+      translations: translationsOf(story),
+    };
+  });
+  let added = new Set();
+  try {
+    const toStore = records.slice();
+    // 保存済みアイテムに新しく付いた翻訳も書き戻す
+    if (ranged) toStore.push(...stories.map((s) => ({ ...s, translations: translationsOf(s) })));
+
+    added = new Set(await getStore().putNew(toStore));
+  } catch (e) {
+    console.warn("store write failed:", e?.message || e);
+  }
+
+  // --- watchlists: この実行で初めて見たアイテムだけを照合し、まだ通知していないものを Webhook へ ---
+  // （窓内の全件を毎回照合すると、通知済みの記録が消えたときに同じ通知を送り直してしまう）
+  let watchReport = null;
+  try {
+    const fresh = records.filter((r) => added.has(r.id));
+    watchReport = await notifyWatchers(fresh, { store: getStore(), rules: await loadWatchRules() });
+  } catch (e) {
+    console.warn("watch notify failed:", e?.message || e);
+  }
+
+  return {
+    FEEDS,
+    feedStatus: { ...summarizeFeedStatus(feedStatus), feeds: feedStatus },
+    ranged,
+    totalItems,
+    stories,
+    translationReport,
+    watchReport,
+  };
+}
@@ -0,0 +1,184 @@
+// -----------------------------
+// Full-text search
+// -----------------------------
+// 保存済みアイテムをリクエストごとに索引化して BM25 で順位付けする（件数は数千程度を想定）。
+// かな・漢字は空白で区切られないので 1-gram / 2-gram で索引し、クエリ側は 2-gram（1文字なら 1-gram）で引く。
+
+const CJK_RUN_RE = /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff]+/g;
+
+// titleTl / summaryTl は表示言語（lang）の翻訳、otherTl はそれ以外の言語の翻訳
+const FIELD_WEIGHTS = { title: 3, titleTl: 3, source: 1, summary: 1, summaryTl: 1, otherTl: 1 };
+
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_LEN = 160;
+
+function normText(s) {
+  return String(s ?? "").normalize("NFKC").toLowerCase();
+}
+
+function latinTokens(s) {
+  return s.replace(CJK_RUN_RE, " ").match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// 索引側：CJK は 1-gram と 2-gram の両方を入れる
+export function indexTokens(text) {
+  const s = normText(text);
+  const out = latinTokens(s);
+  for (const run of s.match(CJK_RUN_RE) || []) {
+    for (let i = 0; i < run.length; i++) {
+      out.push(run[i]);
+      if (i < run.length - 1) out.push(run.slice(i, i + 2));
+    }
+  }
+  return out;
+}
+
+// クエリ側：CJK は 2-gram（1文字だけなら 1-gram）
+export function queryTokens(q) {
+  const s = normText(q);
+  const out = new Set(latinTokens(s));
+  for (const run of s.match(CJK_RUN_RE) || []) {
+    if (run.length === 1) out.add(run);
+    for (let i = 0; i < run.length - 1; i++) out.add(run.slice(i, i + 2));
+  }
+  return [...out];
+}
+
+function docFields(it, lang) {
+  const tl = it.translation?.lang === lang ? it.translation : it.translations?.[lang];
+  const others = Object.entries(it.translations || {})
+    .filter(([l]) => l !== lang)
+    .flatMap(([, t]) => [t.title, t.summary])
+    .filter(Boolean);
+  return {
+    title: it.title,
+    titleTl: tl?.title ?? "",
+    source: it.source,
+    summary: it.summary,
+    summaryTl: tl?.summary ?? "",
+    otherTl: others.join(" "),
+  };
+}
+
+// クエリの各語（空白区切り）が text に現れる位置を [start, end] で返す
+function findRanges(text, terms) {
+  const lower = String(text).toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let i = lower.indexOf(term);
+    while (i !== -1) {
+      ranges.push([i, i + term.length]);
+      i = lower.indexOf(term, i + term.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  // 重なりをまとめる
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+  return merged;
+}
+
+// 最初のヒット周辺を切り出し、ハイライト位置もずらして返す
+function makeSnippet(field, text, terms) {
+  const s = String(text ?? "");
+  const ranges = findRanges(s, terms);
+  if (!ranges.length) return null;
+
+  let start = 0;
+  if (s.length > SNIPPET_LEN) start = Math.max(0, Math.min(ranges[0][0] - 40, s.length - SNIPPET_LEN));
+  const end = Math.min(s.length, start + SNIPPET_LEN);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < s.length ? "…" : "";
+  const shift = prefix.length - start;
+
+  return {
+    field,
+    text: `${prefix}${s.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter(([a, b]) => a >= start && b <= end)
+      .map(([a, b]) => [a + shift, b + shift]),
+  };
+}
+
+/**
+ * items を q で検索し、スコア順の [{ item, score, snippet }] を返す。
+ * クエリの全トークンを含むアイテムだけが対象（AND 検索）。
+ */
+export function searchItems(items, q, { lang = null, now = Date.now() } = {}) {
+  const qTokens = queryTokens(q);
+  if (!qTokens.length) return [];
+
+  // 索引化
+  const docs = items.map((item) => {
+    const fields = docFields(item, lang);
+    const tf = {}; // field -> Map(token -> count)
+    const len = {};
+    for (const [name, text] of Object.entries(fields)) {
+      const toks = indexTokens(text);
+      len[name] = toks.length;
+      const m = new Map();
+      for (const t of toks) m.set(t, (m.get(t) || 0) + 1);
+      tf[name] = m;
+    }
+    return { item, fields, tf, len };
+  });
+
+  const avgLen = {};
+  for (const name of Object.keys(FIELD_WEIGHTS)) {
+    avgLen[name] = docs.reduce((n, d) => n + d.len[name], 0) / (docs.length || 1) || 1;
+  }
+
+  const df = new Map();
+  for (const t of qTokens) {
+    df.set(t, docs.filter((d) => Object.values(d.tf).some((m) => m.has(t))).length);
+  }
+
+  const N = docs.length;
+  const terms = normText(q).split(/\s+/).filter(Boolean);
+  const results = [];
+
+  for (const d of docs) {
+    let score = 0;
+    let matchedAll = true;
+    const fieldScores = {};
+
+    for (const t of qTokens) {
+      const idf = Math.log(1 + (N - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      let termScore = 0;
+      for (const [name, w] of Object.entries(FIELD_WEIGHTS)) {
+        const f = d.tf[name].get(t) || 0;
+        if (!f) continue;
+        const norm = f * (K1 + 1) / (f + K1 * (1 - B + B * d.len[name] / avgLen[name]));
+        termScore += w * idf * norm;
+        fieldScores[name] = (fieldScores[name] || 0) + w * idf * norm;
+      }
+      if (!termScore) {
+        matchedAll = false;
+        break;
+      }
+      score += termScore;
+    }
+    if (!matchedAll) continue;
+
+    // 新しい記事を少しだけ優遇（48h で半減）
+    const ageH = d.item.publishedAt ? (now - Date.parse(d.item.publishedAt)) / 3600000 : Infinity;
+    score *= 1 + 0.25 * Math.pow(0.5, Math.max(0, ageH) / 48);
+
+    const bestField = Object.entries(fieldScores).sort((a, b) => b[1] - a[1])[0][0];
+    const snippet =
+      makeSnippet(bestField, d.fields[bestField], terms) ||
+      makeSnippet("title", d.fields.title, terms) ||
+      { field: "title", text: d.fields.title, highlights: [] };
+
+    results.push({ item: d.item, score: Math.round(score * 1000) / 1000, snippet });
+  }
+
+  return results.sort((a, b) => b.score - a.score || (b.item.publishedAt || "").localeCompare(a.item.publishedAt || ""));
+}
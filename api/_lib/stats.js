@@ -0,0 +1,169 @@
+import { tokenize } from "./cluster.js";
+import { extractEntities } from "./entities.js";
+
+// -----------------------------
+// Activity stats / trending
+// -----------------------------
+// 現在の窓（直近 hours 時間）と、その直前の同じ長さの窓を比べる。
+// 件数は URL 重複除去後のアイテム単位（ストーリー単位ではない）。
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_RISING_COUNT = 2; // これ未満の語・エンティティは「急上昇」に出さない
+const RISING_LIMIT = 20;
+const TRENDING_LIMIT = 10;
+const SAMPLE_ITEMS = 3;
+
+// 見出しに頻出するが話題ではない語（cluster.js の STOPWORDS に加えて）
+const TREND_STOPWORDS = new Set([
+  "review", "reviews", "interview", "premiere", "tour", "dates", "live", "music", "news", "week", "weekend", "today",
+  "best", "top", "list", "stream", "listen", "watch", "official", "remix", "mix", "records", "says", "talks", "more",
+]);
+
+function count(map, key, n = 1) {
+  map.set(key, (map.get(key) || 0) + n);
+}
+
+function share(n, total) {
+  return total ? Math.round((n / total) * 1000) / 1000 : 0;
+}
+
+function keywordsOf(it) {
+  return [...tokenize(it.title)].filter((t) => !TREND_STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+// 前の窓と比べた伸び率。前回 0 件でも割れるよう +1 で平滑化
+function rising(cur, prev, label) {
+  const out = [];
+  for (const [key, n] of cur) {
+    const p = prev.get(key) || 0;
+    if (n < MIN_RISING_COUNT || n <= p) continue;
+    out.push({ ...label(key), count: n, previous: p, ratio: Math.round(((n + 1) / (p + 1)) * 100) / 100, isNew: p === 0 });
+  }
+  return out.sort((a, b) => b.ratio - a.ratio || b.count - a.count).slice(0, RISING_LIMIT);
+}
+
+function samplesOf(items, pred) {
+  return items
+    .filter(pred)
+    .slice(0, SAMPLE_ITEMS)
+    .map((it) => ({ id: it.id, title: it.title, url: it.url, source: it.source, publishedAt: it.publishedAt }));
+}
+
+/**
+ * current / previous は URL 重複除去済みのアイテム（新しい順）。
+ * 戻り値: { totals, byHour, genres, sources, risingKeywords, risingEntities, trending }
+ */
+export function computeStats({ current, previous, windowStart, windowEnd, dict }) {
+  // 以前に保存されたアイテムにはエンティティが無いのでその場で抽出（1アイテム1回）
+  const entityCache = new Map();
+  const entitiesOf = (it) => {
+    if (!entityCache.has(it)) entityCache.set(it, it.entities ?? extractEntities(it, dict));
+    return entityCache.get(it);
+  };
+  const genreOf = (it) => it.genre || it.genreTags?.[0]?.genre || "Other";
+
+  // --- hourly buckets (UTC の正時区切り) ---
+  const firstHour = Math.floor(windowStart / HOUR_MS) * HOUR_MS;
+  const hours = [];
+  for (let t = firstHour; t < windowEnd; t += HOUR_MS) hours.push(t);
+  const hourIndex = (it) => Math.floor((Date.parse(it.publishedAt) - firstHour) / HOUR_MS);
+
+  const byHour = hours.map((t) => ({ at: new Date(t).toISOString(), count: 0 }));
+  const genreHourly = new Map(); // genre -> number[]
+
+  const curGenres = new Map();
+  const prevGenres = new Map();
+  const curSources = new Map();
+  const prevSources = new Map();
+  const curWords = new Map();
+  const prevWords = new Map();
+  const curEntities = new Map();
+  const prevEntities = new Map();
+  const entityInfo = new Map(); // id -> { id, name, type }
+
+  for (const it of current) {
+    const g = genreOf(it);
+    count(curGenres, g);
+    count(curSources, it.source);
+    for (const w of keywordsOf(it)) count(curWords, w);
+    for (const e of entitiesOf(it)) {
+      count(curEntities, e.id);
+      entityInfo.set(e.id, { id: e.id, name: e.name, type: e.type });
+    }
+
+    const h = hourIndex(it);
+    if (h >= 0 && h < byHour.length) {
+      byHour[h].count++;
+      if (!genreHourly.has(g)) genreHourly.set(g, new Array(byHour.length).fill(0));
+      genreHourly.get(g)[h]++;
+    }
+  }
+  for (const it of previous) {
+    count(prevGenres, genreOf(it));
+    count(prevSources, it.source);
+    for (const w of keywordsOf(it)) count(prevWords, w);
+    for (const e of entitiesOf(it)) count(prevEntities, e.id);
+  }
+
+  const total = current.length;
+  const genres = [...new Set([...curGenres.keys(), ...prevGenres.keys()])]
+    .map((genre) => ({
+      genre,
+      count: curGenres.get(genre) || 0,
+      previous: prevGenres.get(genre) || 0,
+      share: share(curGenres.get(genre) || 0, total),
+      hourly: genreHourly.get(genre) ?? new Array(byHour.length).fill(0),
+    }))
+    .sort((a, b) => b.count - a.count || b.previous - a.previous);
+
+  const sources = [...new Set([...curSources.keys(), ...prevSources.keys()])]
+    .map((source) => ({
+      source,
+      count: curSources.get(source) || 0,
+      previous: prevSources.get(source) || 0,
+      share: share(curSources.get(source) || 0, total),
+    }))
+    .sort((a, b) => b.count - a.count || a.source.localeCompare(b.source));
+
+  const risingKeywords = rising(curWords, prevWords, (term) => ({ term }));
+  const risingEntities = rising(curEntities, prevEntities, (id) => entityInfo.get(id));
+
+  // trending now: 急上昇のエンティティとキーワードを伸び率順にまとめる
+  const trending = [
+    ...risingEntities.map((e) => ({
+      kind: "entity",
+      id: e.id,
+      label: e.name,
+      type: e.type,
+      count: e.count,
+      previous: e.previous,
+      ratio: e.ratio,
+      samples: samplesOf(current, (it) => entitiesOf(it).some((x) => x.id === e.id)),
+    })),
+    ...risingKeywords
+      // エンティティ名の一部になっている語は重複なので除く
+      .filter((k) => !risingEntities.some((e) => tokenize(e.name).has(k.term)))
+      .map((k) => ({
+        kind: "keyword",
+        id: `keyword:${k.term}`,
+        label: k.term,
+        type: null,
+        count: k.count,
+        previous: k.previous,
+        ratio: k.ratio,
+        samples: samplesOf(current, (it) => tokenize(it.title).has(k.term)),
+      })),
+  ]
+    .sort((a, b) => b.ratio - a.ratio || b.count - a.count)
+    .slice(0, TRENDING_LIMIT);
+
+  return {
+    totals: { current: total, previous: previous.length },
+    byHour,
+    genres,
+    sources,
+    risingKeywords,
+    risingEntities,
+    trending,
+  };
+}
@@ -0,0 +1,230 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+// -----------------------------
+// Article store
+// -----------------------------
+// 一度見たアイテム（翻訳・ジャンル込み）を保存し、フィードから消えた後も参照できるようにする。
+//
+// Adapter interface:
+//   putNew(records)                  -> Promise<string[]>  新規 id のみ追加（既存は lang と未保存の言語の translations だけ補完）。追加した id を返す
+//   query({ from, to, limit, offset }) -> Promise<{ total, items }>  publishedAt 降順
+//   days({ before, limit })          -> Promise<Array<{ date, count }>>  UTC 日付ごとの件数（新しい日付順）
+//   firstSeen(ids)                   -> Promise<Map<id, firstSeenAt>>  保存済みの id だけ（日付の無いアイテムの公開時刻に使う）
+//   findByIds(ids)                   -> Promise<Map<id, record>>  保存済みの id だけ（保存済みの翻訳を使い回すため）
+//   findByUrl(url)                   -> Promise<record | null>  URL が一致する保存済みアイテム（# 以降は無視）
+//   unnotified(keys)                 -> Promise<string[]>  まだ通知済みとして記録されていないキーだけ返す
+//   markNotified(keys)               -> Promise<void>      通知済みとして記録する（ウォッチリストの再送防止）
+//   getPrefs(key)                    -> Promise<{ prefs, updatedAt } | null>  同期キーごとの個人設定
+//   putPrefs(key, prefs)             -> Promise<{ prefs, updatedAt }>         上書き保存
+//
+// STORE_ADAPTER=json（既定）| memory
+// STORE_PATH でファイルの場所を変更できる（Vercel では /tmp 以外書き込めない）
+const STORE_ADAPTER = process.env.STORE_ADAPTER || "json";
+const STORE_PATH =
+  process.env.STORE_PATH || (process.env.VERCEL ? "/tmp/music-news-store.json" : ".data/articles.json");
+
+function byNewest(a, b) {
+  return (b.publishedAt || "").localeCompare(a.publishedAt || "");
+}
+
+// URL の比較用（ホストの大文字小文字・# 以降の違いを無視する）
+function urlKey(u) {
+  try {
+    const url = new URL(String(u ?? "").trim());
+    url.hash = "";
+    return url.toString();
+  } catch {
+    return String(u ?? "").trim();
+  }
+}
+
+function inRange(r, from, to) {
+  const t = r.publishedAt ? Date.parse(r.publishedAt) : NaN;
+  if (!Number.isFinite(t)) return false;
+  if (from != null && t < from) return false;
+  if (to != null && t > to) return false;
+  return true;
+}
+
+// records: Map<id, record> / notified: Set<key> / prefs: Map<key, { prefs, updatedAt }> を共有するロジック部分
+function createMapStore({ records, notified, prefs }, { onChange = async () => {} } = {}) {
+  return {
+    async putNew(list) {
+      const now = new Date().toISOString();
+      const added = [];
+      let changed = false;
+
+      for (const r of list) {
+        if (!r?.id) continue;
+        const prev = records.get(r.id);
+        if (!prev) {
+          records.set(r.id, { ...r, firstSeenAt: now });
+          added.push(r.id);
+          changed = true;
+          continue;
+        }
+        if (prev.lang == null && r.lang != null) {
+          prev.lang = r.lang;
+          changed = true;
+        }
+        for (const [lang, t] of Object.entries(r.translations || {})) {
+          if (!prev.translations?.[lang] && t?.title) {
+            prev.translations = { ...prev.translations, [lang]: t };
+            changed = true;
+          }
+        }
+      }
+
+      if (changed) await onChange();
+      return added;
+    },
+
+    async query({ from = null, to = null, limit = 500, offset = 0 } = {}) {
+      const all = [...records.values()].filter((r) => inRange(r, from, to)).sort(byNewest);
+      return { total: all.length, items: all.slice(offset, offset + limit) };
+    },
+
+    async days({ before = null, limit = 14 } = {}) {
+      const counts = new Map();
+      for (const r of records.values()) {
+        const date = (r.publishedAt || "").slice(0, 10);
+        if (!date || (before && date >= before)) continue;
+        counts.set(date, (counts.get(date) || 0) + 1);
+      }
+      return [...counts.entries()]
+        .sort((a, b) => b[0].localeCompare(a[0]))
+        .slice(0, limit)
+        .map(([date, count]) => ({ date, count }));
+    },
+
+    async firstSeen(ids) {
+      const out = new Map();
+      for (const id of ids) {
+        const r = records.get(id);
+        if (r?.firstSeenAt) out.set(id, r.firstSeenAt);
+      }
+      return out;
+    },
+
+    async findByIds(ids) {
+      const out = new Map();
+      for (const id of ids) {
+        const r = records.get(id);
+        if (r) out.set(id, r);
+      }
+      return out;
+    },
+
+    async findByUrl(url) {
+      const key = urlKey(url);
+      for (const r of records.values()) if (r.url && urlKey(r.url) === key) return r;
+      return null;
+    },
+
+    async unnotified(keys) {
+      return keys.filter((k) => !notified.has(k));
+    },
+
+    async markNotified(keys) {
+      let changed = false;
+      for (const k of keys) {
+        if (notified.has(k)) continue;
+        notified.add(k);
+        changed = true;
+      }
+      if (changed) await onChange();
+    },
+
+    async getPrefs(key) {
+      return prefs.get(key) ?? null;
+    },
+
+    async putPrefs(key, value) {
+      const entry = { prefs: value, updatedAt: new Date().toISOString() };
+      prefs.set(key, entry);
+      await onChange();
+      return entry;
+    },
+  };
+}
+
+export function createMemoryStore() {
+  return createMapStore({ records: new Map(), notified: new Set(), prefs: new Map() });
+}
+
+export function createJsonStore(file) {
+  const state = { records: new Map(), notified: new Set(), prefs: new Map() };
+  let loaded = null;
+  let writing = Promise.resolve();
+
+  async function ensureLoaded() {
+    if (!loaded) {
+      loaded = fs
+        .readFile(file, "utf8")
+        .then((txt) => {
+          const json = JSON.parse(txt);
+          for (const r of json.items || []) state.records.set(r.id, r);
+          for (const k of json.notified || []) state.notified.add(k);
+          for (const [k, v] of Object.entries(json.prefs || {})) state.prefs.set(k, v);
+        })
+        .catch((e) => {
+          if (e?.code === "ENOENT") return;
+          // 壊れた・読めないファイルを空の状態で上書きしないよう、読み込みに失敗したら何もせずエラーにする。
+          // 次の呼び出しでもう一度読み直す
+          loaded = null;
+          throw new Error(`store load failed (${file}): ${e?.message || e}`, { cause: e });
+        });
+    }
+    await loaded;
+  }
+
+  // 同一インスタンス内の書き込みは直列化し、tmp → rename で書き換える。
+  // 前の書き込みが失敗しても次は書く（呼び出し元には自分の書き込みの結果だけを返す）
+  function persist() {
+    const current = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(
+        tmp,
+        JSON.stringify({
+          version: 1,
+          items: [...state.records.values()],
+          notified: [...state.notified],
+          prefs: Object.fromEntries(state.prefs),
+        })
+      );
+      await fs.rename(tmp, file);
+    });
+    writing = current;
+    return current;
+  }
+
+  // どのメソッドも先にファイルを読み込んでから処理する
+  const inner = createMapStore(state, { onChange: persist });
+  return Object.fromEntries(
+    Object.entries(inner).map(([name, fn]) => [
+      name,
+      async (...args) => {
+        await ensureLoaded();
+        return fn(...args);
+      },
+    ])
+  );
+}
+
+let store = null;
+
+export function getStore() {
+  if (store) return store;
+  if (STORE_ADAPTER === "memory") store = createMemoryStore();
+  else if (STORE_ADAPTER === "json") store = createJsonStore(STORE_PATH);
+  else throw new Error(`Unknown STORE_ADAPTER: ${STORE_ADAPTER}`);
+  return store;
+}
+
+// 端末間の設定同期に使える保存先か。memory はプロセスごと、Vercel の /tmp はインスタンスごとで
+// コールドスタートで消えるので、別の端末（= 別のインスタンス）から読める保証が無い
+export function isDurableStore() {
+  return STORE_ADAPTER === "json" && !process.env.VERCEL;
+}
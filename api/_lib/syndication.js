@@ -0,0 +1,155 @@
+// -----------------------------
+// Outgoing feeds (RSS 2.0 / Atom / JSON Feed 1.1)
+// -----------------------------
+// /api/news?format=rss|atom|jsonfeed[&genre=Techno][&lang=ja] 用。翻訳があれば translation を優先する。
+// フィード全体の言語は meta.language。翻訳が無く原文のままのアイテムには、その言語を別に付ける
+// （RSS は dc:language、Atom は xml:lang、JSON Feed は language）。
+
+export const FEED_FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  jsonfeed: "application/feed+json; charset=utf-8",
+};
+
+const FEED_ITEM_LIMIT = 100;
+
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function entry(it) {
+  const others = (it.alsoReportedBy || []).map((o) => o.source);
+  return {
+    id: it.id,
+    url: it.url,
+    title: it.translation?.title ?? it.title,
+    summary: it.translation?.summary ?? it.summary ?? "",
+    // 見出しの言語（翻訳ならその言語、原文なら推定した言語）
+    language: it.translation?.lang ?? it.lang ?? null,
+    source: it.source,
+    genre: it.genre || null,
+    publishedAt: it.publishedAt,
+    note: others.length ? `Also reported by: ${others.join(", ")}` : "",
+  };
+}
+
+function otherLanguage(e, meta) {
+  return Boolean(e.language && e.language !== meta.language);
+}
+
+function renderRss(entries, meta) {
+  const items = entries
+    .map((e) => {
+      const desc = [e.summary, e.note].filter(Boolean).join("\n\n");
+      return [
+        "<item>",
+        `<title>${xmlEscape(e.title)}</title>`,
+        `<link>${xmlEscape(e.url)}</link>`,
+        `<guid isPermaLink="false">${xmlEscape(e.id)}</guid>`,
+        e.publishedAt ? `<pubDate>${new Date(e.publishedAt).toUTCString()}</pubDate>` : "",
+        e.genre ? `<category>${xmlEscape(e.genre)}</category>` : "",
+        `<dc:creator>${xmlEscape(e.source)}</dc:creator>`,
+        otherLanguage(e, meta) ? `<dc:language>${xmlEscape(e.language)}</dc:language>` : "",
+        desc ? `<description>${xmlEscape(desc)}</description>` : "",
+        "</item>",
+      ].join("");
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+<title>${xmlEscape(meta.title)}</title>
+<link>${xmlEscape(meta.homeUrl)}</link>
+<atom:link href="${xmlEscape(meta.selfUrl)}" rel="self" type="application/rss+xml"/>
+<description>${xmlEscape(meta.description)}</description>
+${meta.language ? `<language>${xmlEscape(meta.language)}</language>\n` : ""}<lastBuildDate>${new Date(meta.updatedAt).toUTCString()}</lastBuildDate>
+${items}
+</channel>
+</rss>
+`;
+}
+
+function renderAtom(entries, meta) {
+  const items = entries
+    .map((e) => {
+      const summary = [e.summary, e.note].filter(Boolean).join("\n\n");
+      const ts = e.publishedAt || meta.updatedAt;
+      return [
+        otherLanguage(e, meta) ? `<entry xml:lang="${xmlEscape(e.language)}">` : "<entry>",
+        `<id>${xmlEscape(`urn:music-news-24h:${encodeURIComponent(e.id)}`)}</id>`,
+        `<title>${xmlEscape(e.title)}</title>`,
+        `<link href="${xmlEscape(e.url)}"/>`,
+        `<updated>${ts}</updated>`,
+        `<published>${ts}</published>`,
+        `<author><name>${xmlEscape(e.source)}</name></author>`,
+        e.genre ? `<category term="${xmlEscape(e.genre)}"/>` : "",
+        summary ? `<summary>${xmlEscape(summary)}</summary>` : "",
+        "</entry>",
+      ].join("");
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"${meta.language ? ` xml:lang="${xmlEscape(meta.language)}"` : ""}>
+<id>${xmlEscape(meta.selfUrl)}</id>
+<title>${xmlEscape(meta.title)}</title>
+<subtitle>${xmlEscape(meta.description)}</subtitle>
+<link href="${xmlEscape(meta.homeUrl)}"/>
+<link rel="self" href="${xmlEscape(meta.selfUrl)}"/>
+<updated>${meta.updatedAt}</updated>
+${items}
+</feed>
+`;
+}
+
+function renderJsonFeed(entries, meta) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: meta.title,
+    home_page_url: meta.homeUrl,
+    feed_url: meta.selfUrl,
+    description: meta.description,
+    language: meta.language,
+    items: entries.map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      content_text: [e.summary, e.note].filter(Boolean).join("\n\n") || e.title,
+      summary: e.summary || undefined,
+      date_published: e.publishedAt || undefined,
+      authors: [{ name: e.source }],
+      tags: e.genre ? [e.genre] : undefined,
+      language: otherLanguage(e, meta) ? e.language : undefined,
+    })),
+  });
+}
+
+/**
+ * stories（ストーリー単位のアイテム）を指定フォーマットの文字列にする。
+ * meta: { title, description, homeUrl, selfUrl, updatedAt, language }
+ */
+export function renderFeed(format, stories, meta) {
+  const entries = stories
+    .slice()
+    .sort((a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || ""))
+    .slice(0, FEED_ITEM_LIMIT)
+    .map(entry);
+
+  if (format === "rss") return renderRss(entries, meta);
+  if (format === "atom") return renderAtom(entries, meta);
+  if (format === "jsonfeed") return renderJsonFeed(entries, meta);
+  throw new Error(`Unknown feed format: ${format}`);
+}
+
+// Vercel の req から自分自身の URL を組み立てる
+export function requestUrl(req) {
+  const proto = req.headers?.["x-forwarded-proto"] || "https";
+  const host = req.headers?.["x-forwarded-host"] || req.headers?.host || "localhost";
+  return new URL(req.url || "/", `${proto}://${host}`);
+}
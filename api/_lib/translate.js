@@ -0,0 +1,217 @@
+import { deepl } from "./translators/deepl.js";
+import { mock } from "./translators/mock.js";
+
+// -----------------------------
+// Translation
+// -----------------------------
+// Provider interface:
+//   name                                   -> string
+//   available()                            -> boolean  認証キー等が揃っているか
+//   translate(texts, { targetLang, sourceLang }) -> Promise<Array<string | null> | null>
+//                                          texts と同じ順で返す。失敗した位置は null
+//   usage()                                -> Promise<{ used, limit } | null>  （任意）文字数クォータ
+//
+// TRANSLATE_PROVIDER=deepl | mock | none（未指定なら DeepL キーがあれば deepl）
+const PROVIDERS = { deepl, mock };
+const TRANSLATE_PROVIDER = process.env.TRANSLATE_PROVIDER || "deepl";
+
+export const DEFAULT_LANG = "ja";
+
+// コスト/速度対策：翻訳対象の上限（必要なら調整）
+const TRANSLATE_LIMIT = 40;
+// クォータ残りがこれを切ったら新しいアイテムから順に、残りに収まる分だけ翻訳する
+const QUOTA_RESERVE = Number(process.env.TRANSLATE_QUOTA_RESERVE || 5000);
+const SUMMARY_MAX = 400;
+
+const tlCache = new Map(); // key -> { t, v: { title, summary } }
+const TL_TTL_MS = 6 * 60 * 60 * 1000; // 6h
+
+export function getTranslator(name = TRANSLATE_PROVIDER) {
+  if (name === "none") return null;
+  const p = PROVIDERS[name];
+  if (!p) throw new Error(`Unknown TRANSLATE_PROVIDER: ${name}`);
+  return p.available() ? p : null;
+}
+
+// "ja" / "en" / "pt-br" のような言語コードだけ受け付ける
+export function parseLang(v) {
+  const s = String(v ?? DEFAULT_LANG).trim().toLowerCase();
+  if (!/^[a-z]{2}(-[a-z]{2})?$/.test(s)) throw new Error(`Invalid lang: ${s}`);
+  return s.slice(0, 2);
+}
+
+// -----------------------------
+// Source language detection
+// -----------------------------
+const LATIN_STOPWORDS = {
+  en: ["the", "and", "of", "to", "with", "new", "his", "her", "is", "for", "on", "from", "announces", "shares"],
+  de: ["der", "die", "das", "und", "mit", "ist", "ein", "eine", "neue", "neues", "auf", "für", "von", "den", "im", "zum"],
+  fr: ["le", "la", "les", "et", "des", "du", "un", "une", "pour", "avec", "est", "nouvel", "nouveau", "nouvelle", "sur", "au"],
+  es: ["el", "los", "las", "y", "del", "con", "para", "una", "nuevo", "nueva", "por", "su", "al", "lo"],
+  it: ["il", "gli", "della", "con", "per", "nuovo", "nuova", "di", "una", "del", "che", "sono"],
+  pt: ["o", "os", "as", "e", "do", "da", "com", "para", "uma", "novo", "nova", "em", "não"],
+  nl: ["de", "het", "een", "en", "van", "met", "voor", "nieuwe", "op", "is", "bij"],
+};
+
+const LATIN_HINTS = [
+  ["de", /[äöüß]/i],
+  ["es", /[ñ¿¡]/i],
+  ["fr", /[çèêëîœ]/i],
+  ["pt", /[ãõ]/i],
+];
+
+// 簡体字だけで使われ、日本語では使わない（新字体と形が違う）よく出る字
+const SIMPLIFIED_ONLY_RE = /[这们说发为个专辑乐队时对经过还让线华东语门场]/;
+
+/**
+ * テキストの言語を推定して ISO 639-1 コードを返す（判定できなければ null）。
+ * かな → ja、ハングル → ko、キリル → ru。ラテン文字は機能語と記号で判定。
+ * 漢字だけの見出し（「坂本龍一追悼公演開催決定」など）は日本語のフィードでよくあるので ja。
+ * 簡体字にしか無い字を含むときだけ zh にする。
+ */
+export function detectLanguage(text = "") {
+  const s = String(text);
+  if (/[\u3040-\u30ff]/.test(s)) return "ja";
+  if (/[\uac00-\ud7af]/.test(s)) return "ko";
+  if (/[\u4e00-\u9fff]/.test(s)) return SIMPLIFIED_ONLY_RE.test(s) ? "zh" : "ja";
+  if (/[\u0400-\u04ff]/.test(s)) return "ru";
+
+  const letters = (s.match(/\p{L}/gu) || []).length;
+  const nonSpace = (s.match(/\S/g) || []).length || 1;
+  if (letters / nonSpace < 0.45) return null;
+
+  const words = s.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = {};
+  for (const [lang, list] of Object.entries(LATIN_STOPWORDS)) {
+    const set = new Set(list);
+    scores[lang] = words.filter((w) => set.has(w)).length;
+  }
+  for (const [lang, re] of LATIN_HINTS) if (re.test(s)) scores[lang] += 2;
+
+  const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  // 手がかりが無いラテン文字の見出しは英語とみなす（従来の looksEnglish と同じ扱い）
+  return score > 0 ? best : "en";
+}
+
+// クォータの残り（QUOTA_RESERVE を差し引いた文字数）。usage() が無ければ Infinity
+async function remainingChars(translator, report) {
+  try {
+    const usage = await translator.usage?.();
+    if (usage?.limit != null) {
+      report.quota = usage;
+      return usage.limit - usage.used - QUOTA_RESERVE;
+    }
+  } catch (e) {
+    console.warn("translate usage check failed:", e?.message || e);
+  }
+  return Infinity;
+}
+
+/**
+ * items に lang（推定した原文の言語）と translation: { lang, title, summary } を付ける。
+ * 既に translations[lang] を持つ（保存済みの）アイテムはそれを使い、翻訳 API を呼ばない。
+ * 新しいアイテムを優先し、件数上限・クォータ・エラーで翻訳しなかったものは skipped に理由付きで返す。
+ * 失敗してもアイテム自体はそのまま残す。
+ */
+export async function translateItems(items, { lang = DEFAULT_LANG, translator = getTranslator() } = {}) {
+  const now = Date.now();
+  const report = { provider: translator?.name ?? null, lang, translated: 0, cached: 0, skipped: [], quota: null };
+  const candidates = [];
+
+  for (const it of items) {
+    it.lang = it.lang || detectLanguage(`${it.title} ${it.summary || ""}`);
+    it.translation = null;
+    if (!it.lang || it.lang === lang) continue;
+
+    const stored = it.translations?.[lang];
+    if (stored?.title) {
+      it.translation = { lang, ...stored };
+      report.cached++;
+      continue;
+    }
+    if (!translator) {
+      report.skipped.push({ id: it.id, reason: "unavailable" });
+      continue;
+    }
+
+    const key = `${translator.name}|${lang}|${it.title}|||${it.summary || ""}`;
+    const hit = tlCache.get(key);
+    if (hit && now - hit.t < TL_TTL_MS) {
+      it.translation = { lang, ...hit.v };
+      report.cached++;
+      continue;
+    }
+
+    const texts = [it.title, (it.summary || "").slice(0, SUMMARY_MAX)];
+    candidates.push({ item: it, key, texts, chars: texts[0].length + texts[1].length });
+  }
+
+  if (!candidates.length) return report;
+
+  let chars = await remainingChars(translator, report);
+
+  // 新しい順に件数・文字数の枠を割り当てる
+  candidates.sort((a, b) => (b.item.publishedAt || "").localeCompare(a.item.publishedAt || ""));
+  const pending = new Map(); // sourceLang -> [candidate]
+  let count = 0;
+  for (const c of candidates) {
+    if (count >= TRANSLATE_LIMIT) {
+      report.skipped.push({ id: c.item.id, reason: "limit" });
+      continue;
+    }
+    if (c.chars > chars) {
+      report.skipped.push({ id: c.item.id, reason: "quota" });
+      continue;
+    }
+    count++;
+    chars -= c.chars;
+    if (!pending.has(c.item.lang)) pending.set(c.item.lang, []);
+    pending.get(c.item.lang).push(c);
+  }
+
+  for (const [sourceLang, group] of pending) {
+    let out = null;
+    try {
+      out = await translator.translate(group.flatMap((c) => c.texts), { targetLang: lang, sourceLang });
+    } catch (e) {
+      // 翻訳失敗してもニュース取得は返す
+      console.warn(`translate failed [${sourceLang}→${lang}]:`, e?.message || e);
+    }
+
+    group.forEach(({ item, key }, k) => {
+      const title = out?.[k * 2] || null;
+      if (!title) {
+        report.skipped.push({ id: item.id, reason: "error" });
+        return;
+      }
+      const v = { title, summary: out[k * 2 + 1] || null };
+      item.translation = { lang, ...v };
+      tlCache.set(key, { t: now, v });
+      report.translated++;
+    });
+  }
+
+  return report;
+}
+
+/**
+ * 任意のテキスト列を翻訳する（記事本文など）。texts と同じ順で返し、失敗した位置は null。
+ * クォータに収まらない場合は翻訳せず reason: "quota" を返す。
+ */
+export async function translateTexts(texts, { lang = DEFAULT_LANG, sourceLang = null, translator = getTranslator() } = {}) {
+  const report = { provider: translator?.name ?? null, lang, sourceLang, translated: 0, reason: null, quota: null };
+  if (!translator) return { texts: null, report: { ...report, reason: "unavailable" } };
+
+  const chars = texts.reduce((n, t) => n + String(t ?? "").length, 0);
+  if (chars > (await remainingChars(translator, report))) return { texts: null, report: { ...report, reason: "quota" } };
+
+  try {
+    const out = await translator.translate(texts, { targetLang: lang, sourceLang });
+    report.translated = (out || []).filter(Boolean).length;
+    if (!report.translated) report.reason = "error";
+    return { texts: out, report };
+  } catch (e) {
+    console.warn(`translate failed [${sourceLang}→${lang}]:`, e?.message || e);
+    return { texts: null, report: { ...report, reason: "error" } };
+  }
+}
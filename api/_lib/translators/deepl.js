@@ -0,0 +1,142 @@
+const DEEPL_AUTH_KEY = process.env.DEEPL_AUTH_KEY;
+const DEEPL_API_BASE = process.env.DEEPL_API_BASE || "https://api-free.deepl.com"; // Free: api-free, Pro: api
+
+// DeepL は英語・ポルトガル語のターゲットに地域指定が必要
+const TARGET_CODES = { en: "EN-US", pt: "PT-BR" };
+
+// DeepL の制限：1リクエスト 50 テキスト / 128KiB まで
+const MAX_TEXTS_PER_REQUEST = 50;
+const MAX_BYTES_PER_REQUEST = 120 * 1024; // 余裕を見て 120KiB
+
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+// 再試行で待つ時間の合計の上限。Retry-After がこれを超えるなら待たずに失敗させる（関数の実行時間の上限対策）
+const RETRY_BUDGET_MS = 8 * 1000;
+
+const USAGE_TTL_MS = 5 * 60 * 1000; // 5min
+
+function targetCode(lang) {
+  return TARGET_CODES[lang] || lang.toUpperCase();
+}
+
+function authHeaders() {
+  return { "Authorization": `DeepL-Auth-Key ${DEEPL_AUTH_KEY}` };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// 429 / 5xx / ネットワークエラーは指数バックオフで再試行（Retry-After があればそれに従う）
+// 456（クォータ超過）などその他の 4xx は即失敗。待ち時間が RETRY_BUDGET_MS を超える再試行はしない
+async function fetchWithRetry(url, init) {
+  let waited = 0;
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (e) {
+      const wait = BACKOFF_BASE_MS * 2 ** attempt;
+      if (attempt >= MAX_RETRIES || waited + wait > RETRY_BUDGET_MS) throw e;
+      waited += wait;
+      await sleep(wait);
+      continue;
+    }
+
+    const retryable = res.status === 429 || res.status >= 500;
+    if (res.ok || !retryable || attempt >= MAX_RETRIES) return res;
+
+    const retryAfter = Number(res.headers.get("retry-after"));
+    const wait = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : BACKOFF_BASE_MS * 2 ** attempt;
+    if (waited + wait > RETRY_BUDGET_MS) return res;
+    await res.text().catch(() => "");
+    waited += wait;
+    await sleep(wait + Math.random() * 100);
+  }
+}
+
+// テキスト数とバイト数の両方の上限に収まるように分割
+function chunkTexts(texts) {
+  const chunks = [];
+  let cur = [];
+  let bytes = 0;
+
+  for (const t of texts) {
+    // form エンコード後は最大 3 倍程度に膨らむので多めに見積もる
+    const size = Buffer.byteLength(t, "utf8") * 3 + 8;
+    if (cur.length && (cur.length >= MAX_TEXTS_PER_REQUEST || bytes + size > MAX_BYTES_PER_REQUEST)) {
+      chunks.push(cur);
+      cur = [];
+      bytes = 0;
+    }
+    cur.push(t);
+    bytes += size;
+  }
+  if (cur.length) chunks.push(cur);
+  return chunks;
+}
+
+// 月間文字数の使用状況。/v2/usage の結果をキャッシュし、間は自分で送った文字数を足していく
+let usageCache = { at: 0, used: 0, limit: null };
+
+async function translateChunk(texts, { targetLang, sourceLang }) {
+  const body = new URLSearchParams();
+  for (const t of texts) body.append("text", t);
+  body.append("target_lang", targetCode(targetLang));
+  if (sourceLang) body.append("source_lang", sourceLang.toUpperCase());
+
+  const res = await fetchWithRetry(`${DEEPL_API_BASE}/v2/translate`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", ...authHeaders() },
+    body,
+  });
+
+  if (!res.ok) {
+    const msg = await res.text().catch(() => "");
+    throw new Error(`DeepL HTTP ${res.status}: ${msg.slice(0, 200)}`);
+  }
+
+  const json = await res.json();
+  usageCache.used += texts.reduce((n, t) => n + t.length, 0);
+  return (json.translations || []).map((t) => t.text);
+}
+
+// -----------------------------
+// Translation provider: DeepL
+// -----------------------------
+export const deepl = {
+  name: "deepl",
+
+  available() {
+    return Boolean(DEEPL_AUTH_KEY);
+  },
+
+  // { used, limit }（取得できなければ null）
+  async usage() {
+    if (!DEEPL_AUTH_KEY) return null;
+    const now = Date.now();
+    if (now - usageCache.at < USAGE_TTL_MS) return { used: usageCache.used, limit: usageCache.limit };
+
+    const res = await fetchWithRetry(`${DEEPL_API_BASE}/v2/usage`, { headers: authHeaders() });
+    if (!res.ok) throw new Error(`DeepL usage HTTP ${res.status}`);
+
+    const json = await res.json();
+    usageCache = { at: now, used: Number(json.character_count) || 0, limit: Number(json.character_limit) || null };
+    return { used: usageCache.used, limit: usageCache.limit };
+  },
+
+  // チャンク単位で送信し、失敗したチャンクの位置は null にして返す（部分成功を許す）
+  async translate(texts, { targetLang, sourceLang = null }) {
+    if (!DEEPL_AUTH_KEY || !texts.length) return null;
+
+    const out = [];
+    for (const chunk of chunkTexts(texts)) {
+      try {
+        const res = await translateChunk(chunk, { targetLang, sourceLang });
+        for (let i = 0; i < chunk.length; i++) out.push(res[i] ?? null);
+      } catch (e) {
+        console.warn("DeepL chunk failed:", e?.message || e);
+        for (let i = 0; i < chunk.length; i++) out.push(null);
+      }
+    }
+    return out;
+  },
+};
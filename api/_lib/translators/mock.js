@@ -0,0 +1,16 @@
+// -----------------------------
+// Translation provider: mock (offline)
+// -----------------------------
+// 開発・テスト用。外部 API を呼ばずに "[JA←EN] 原文" の形で返す。
+export const mock = {
+  name: "mock",
+
+  available() {
+    return true;
+  },
+
+  async translate(texts, { targetLang, sourceLang = null }) {
+    const tag = `[${targetLang.toUpperCase()}${sourceLang ? `←${sourceLang.toUpperCase()}` : ""}]`;
+    return texts.map((t) => (t ? `${tag} ${t}` : t));
+  },
+};
@@ -0,0 +1,203 @@
+import { parseCsv } from "./feeds.js";
+import { keywordRe, splitList } from "./genres.js";
+import { DEFAULT_LANG } from "./translate.js";
+
+const WATCHLIST_CSV_URL = process.env.WATCHLIST_CSV_URL; // Google Sheets "Publish as CSV" URL (watch rules)
+// 公開 CSV に Webhook URL を書かないよう、送信先は環境変数で名前付きで持つ
+// WATCH_WEBHOOKS="slack=https://hooks.slack.com/...,dj=https://discord.com/api/webhooks/..."
+const WATCH_WEBHOOKS = process.env.WATCH_WEBHOOKS || "";
+// 通知に使う見出しの言語（保存済みの翻訳があればそれ、無ければ原文）
+const WATCH_LANG = process.env.WATCH_LANG || DEFAULT_LANG;
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+const MAX_ITEMS_PER_MESSAGE = 10;
+
+// -----------------------------
+// Watch rules
+// -----------------------------
+// rule: { name, keywords, artists, sources, genres, webhooks }
+// - keywords / artists はタイトル・要約・翻訳に単語一致（どれか1つ）
+// - sources / genres は指定があればその中のどれかに一致すること
+// - 指定された条件はすべて満たす必要がある（AND）。webhooks が空なら全 Webhook に送る
+
+// expected headers: enabled,name,keywords,artists,sources,genres,webhooks
+// keywords / artists / sources / genres / webhooks は "|" 区切り
+export function watchRulesFromRows(rows) {
+  return rows
+    .filter((r) => String(r.enabled ?? "").trim().toUpperCase() !== "FALSE")
+    .map((r, i) => ({
+      name: String(r.name ?? "").trim() || `rule ${i + 1}`,
+      keywords: splitList(r.keywords),
+      artists: splitList(r.artists),
+      sources: splitList(r.sources).map((s) => s.toLowerCase()),
+      genres: splitList(r.genres).map((s) => s.toLowerCase()),
+      webhooks: splitList(r.webhooks),
+    }))
+    .filter((r) => r.keywords.length || r.artists.length || r.sources.length || r.genres.length);
+}
+
+export function parseWebhooks(v = WATCH_WEBHOOKS) {
+  const out = {};
+  for (const part of String(v).split(",")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    const name = part.slice(0, i).trim();
+    const url = part.slice(i + 1).trim();
+    if (name && /^https?:\/\//i.test(url)) out[name] = url;
+  }
+  return out;
+}
+
+let rulesCache = { at: 0, rules: [] };
+const RULES_CACHE_MS = 10 * 60 * 1000; // 10min
+
+export async function loadWatchRules() {
+  const now = Date.now();
+  if (now - rulesCache.at < RULES_CACHE_MS) return rulesCache.rules;
+
+  if (!WATCHLIST_CSV_URL) {
+    rulesCache = { at: now, rules: [] };
+    return rulesCache.rules;
+  }
+
+  try {
+    const res = await fetch(WATCHLIST_CSV_URL, { method: "GET" });
+    if (!res.ok) throw new Error(`WATCHLIST CSV HTTP ${res.status}`);
+
+    rulesCache = { at: now, rules: watchRulesFromRows(parseCsv(await res.text())) };
+    return rulesCache.rules;
+  } catch (e) {
+    // 読めなかったときは前回のルールを使い続ける
+    console.warn("loadWatchRules failed:", e?.message || e);
+    rulesCache = { at: now, rules: rulesCache.rules };
+    return rulesCache.rules;
+  }
+}
+
+function itemText(it) {
+  const tls = Object.values(it.translations || {}).flatMap((t) => [t.title, t.summary]);
+  return [it.title, it.summary, ...tls].filter(Boolean).join(" \n ");
+}
+
+export function matchesRule(rule, it) {
+  if (rule.sources.length && !rule.sources.includes(String(it.source).toLowerCase())) return false;
+
+  if (rule.genres.length) {
+    const tags = (it.genreTags?.length ? it.genreTags : [{ genre: it.genre }]).map((t) => String(t.genre).toLowerCase());
+    if (!tags.some((g) => rule.genres.includes(g))) return false;
+  }
+
+  const terms = [...rule.keywords, ...rule.artists];
+  if (terms.length) {
+    const text = itemText(it);
+    if (!terms.some((kw) => keywordRe(kw, "word").test(text))) return false;
+  }
+
+  return true;
+}
+
+// -----------------------------
+// Webhook payloads (Slack / Discord)
+// -----------------------------
+function isDiscord(url) {
+  return /discord(app)?\.com\/api\/webhooks/i.test(url);
+}
+
+function itemLabel(it, lang) {
+  return it.translations?.[lang]?.title ?? it.title;
+}
+
+// Markdown のリンク [label](url): label の [ ] \ はエスケープ、url の括弧・空白はエンコードする
+function mdLinkLabel(s) {
+  return String(s ?? "").replace(/([\\[\]])/g, "\\$1");
+}
+
+function encodeUrlChars(u, chars) {
+  return String(u ?? "").replace(chars, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+}
+
+// Slack の <url|label>: & < > は実体参照に、| は区切りなので label から落とす
+function slackText(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\|/g, "");
+}
+
+export function buildPayload(url, rule, items, { lang = WATCH_LANG } = {}) {
+  const shown = items.slice(0, MAX_ITEMS_PER_MESSAGE);
+  const more = items.length - shown.length;
+  const heading = `🔔 ${rule.name}: ${items.length} new item${items.length === 1 ? "" : "s"}`;
+
+  if (isDiscord(url)) {
+    const lines = shown.map(
+      (it) => `• [${mdLinkLabel(itemLabel(it, lang))}](${encodeUrlChars(it.url, /[()\s]/g)}) — ${it.source}`
+    );
+    if (more > 0) lines.push(`…and ${more} more`);
+    return { content: [heading, ...lines].join("\n").slice(0, 2000) };
+  }
+
+  const lines = shown.map((it) => `• <${encodeUrlChars(it.url, /[<>|\s]/g)}|${slackText(itemLabel(it, lang))}> — ${it.source}`);
+  if (more > 0) lines.push(`…and ${more} more`);
+  return { text: [heading, ...lines].join("\n") };
+}
+
+async function postJson(url, payload) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const msg = await res.text().catch(() => "");
+    throw new Error(`webhook HTTP ${res.status}: ${msg.slice(0, 200)}`);
+  }
+}
+
+/**
+ * items をウォッチルールに照らし、まだ通知していないものを Webhook に送る。
+ * 通知済みの記録は `${webhook名}::${item.id}` 単位。送信に失敗した分は記録せず、次回また送る。
+ */
+export async function notifyWatchers(items, { store, rules, webhooks = parseWebhooks() }) {
+  const report = { rules: rules.length, sent: 0, failed: [] };
+  const names = Object.keys(webhooks);
+  if (!rules.length || !names.length || !items.length) return report;
+
+  // webhook 名 -> rule 名 -> items
+  const outgoing = new Map();
+  for (const rule of rules) {
+    const matched = items.filter((it) => matchesRule(rule, it));
+    if (!matched.length) continue;
+
+    for (const name of rule.webhooks.length ? rule.webhooks : names) {
+      if (!webhooks[name]) continue;
+      const keys = await store.unnotified(matched.map((it) => `${name}::${it.id}`));
+      const fresh = matched.filter((it) => keys.includes(`${name}::${it.id}`));
+      if (!fresh.length) continue;
+
+      if (!outgoing.has(name)) outgoing.set(name, []);
+      outgoing.get(name).push({ rule, items: fresh });
+    }
+  }
+
+  for (const [name, batches] of outgoing) {
+    const done = new Set(); // 同じ webhook に同じアイテムを2回送らない（複数ルールに一致した場合）
+    for (const { rule, items: list } of batches) {
+      const fresh = list.filter((it) => !done.has(it.id));
+      if (!fresh.length) continue;
+      try {
+        await postJson(webhooks[name], buildPayload(webhooks[name], rule, fresh));
+        await store.markNotified(fresh.map((it) => `${name}::${it.id}`));
+        for (const it of fresh) done.add(it.id);
+        report.sent += fresh.length;
+      } catch (e) {
+        console.warn(`watch webhook failed [${name}]`, e?.message || e);
+        report.failed.push({ webhook: name, rule: rule.name, error: e?.message || String(e) });
+      }
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,75 @@
+import { clusterStories, dedupeByUrl } from "./_lib/cluster.js";
+import { buildGenreIndex } from "./_lib/genres.js";
+import { publicItem } from "./_lib/pipeline.js";
+import { intParam, parseDateParam } from "./_lib/params.js";
+import { getStore } from "./_lib/store.js";
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/archive?before=2026-01-31&limit=14  -> 保存済みの日付一覧（UTC、新しい順）
+// GET /api/archive?date=2026-01-30             -> その日のアイテム（items + genreIndex）を返す
+export default async function handler(req, res) {
+  const date = req.query?.date ? String(req.query.date) : null;
+  const before = req.query?.before ? String(req.query.before) : null;
+  if ((date && !DAY_RE.test(date)) || (before && !DAY_RE.test(before))) {
+    res.status(400).json({ error: "Bad Request", message: "date/before must be YYYY-MM-DD" });
+    return;
+  }
+  let from;
+  let to;
+  let limit;
+  try {
+    // 形だけでなく暦として正しいか（2026-13-45 など）もここで確かめる
+    if (before) parseDateParam(before);
+    from = parseDateParam(date);
+    to = parseDateParam(date, { endOfDay: true });
+    limit = intParam(req.query?.limit, "limit", { min: 1, max: 60, fallback: 14 });
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+
+  try {
+    const store = getStore();
+
+    if (!date) {
+      const days = await store.days({ before, limit: limit + 1 });
+      const page = days.slice(0, limit);
+
+      res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
+      res.status(200).json({
+        generatedAt: new Date().toISOString(),
+        days: page,
+        nextBefore: days.length > limit ? page[page.length - 1].date : null,
+      });
+      return;
+    }
+
+    const { items } = await store.query({ from, to, limit: 5000 });
+    const deduped = dedupeByUrl(items);
+    // 保存用のフィールド（translations など）は返さない
+    const stories = clusterStories(deduped).map(publicItem);
+
+    const [older] = await store.days({ before: date, limit: 1 });
+
+    res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      date,
+      prevDate: older?.date ?? null,
+      totalItems: deduped.length,
+      totalStories: stories.length,
+      items: stories,
+      genreIndex: buildGenreIndex(stories),
+    });
+  } catch (e) {
+    console.error("archive failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
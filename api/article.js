@@ -0,0 +1,57 @@
+import { ArticleError, getArticle, parseArticleUrl } from "./_lib/article.js";
+import { getStore } from "./_lib/store.js";
+import { parseLang } from "./_lib/translate.js";
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/article?url=https://...[&lang=ja][&translate=1]
+// 記事ページから本文を抜き出して返す（リーダー表示用）。translate=1 なら lang へ全文翻訳も付ける。
+// 全文翻訳は翻訳 API の文字数を使うので、保存済みアイテム（フィードで見た記事）の URL に限る
+export default async function handler(req, res) {
+  let url;
+  let lang;
+  try {
+    url = parseArticleUrl(req.query?.url);
+    lang = parseLang(req.query?.lang);
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+  const translate = String(req.query?.translate ?? "0") === "1";
+
+  try {
+    if (translate && !(await getStore().findByUrl(url))) {
+      res.status(403).json({ error: "Forbidden", message: "Translation is only available for articles from the feeds" });
+      return;
+    }
+
+    const { article, translation, translationReport, cache } = await getArticle(url, { lang: translate ? lang : null });
+
+    // 翻訳に失敗した（またはできなかった）結果はエッジにキャッシュさせない
+    const untranslated = translate && !translation && article.lang !== lang;
+    res.setHeader("Cache-Control", untranslated ? "no-store" : "s-maxage=3600, stale-while-revalidate=86400");
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      cache,
+      lang,
+      article,
+      translation,
+      translationReport,
+    });
+  } catch (e) {
+    if (e instanceof ArticleError || e?.name === "TimeoutError") {
+      const status = e.status || 504;
+      res.status(status).json({
+        error: status === 422 ? "Unprocessable Entity" : status === 504 ? "Gateway Timeout" : "Bad Gateway",
+        message: e.message,
+      });
+      return;
+    }
+    console.error("article failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import { hasBearer } from "./_lib/auth.js";
+import { runPipeline } from "./_lib/pipeline.js";
+import { splitList } from "./_lib/genres.js";
+import { DIGEST_TOP, buildDigest, pickDigestStories, renderDigestHtml, renderDigestMarkdown } from "./_lib/digest.js";
+import { intParam } from "./_lib/params.js";
+import { requestUrl } from "./_lib/syndication.js";
+import { parseLang, translateItems } from "./_lib/translate.js";
+import { sendMail, smtpConfig } from "./_lib/mailer.js";
+
+// 送信は Vercel Cron から: Authorization: Bearer ${CRON_SECRET}（未設定なら送信しない）
+const CRON_SECRET = process.env.CRON_SECRET;
+
+const FORMATS = {
+  html: "text/html; charset=utf-8",
+  md: "text/markdown; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/digest?hours=24&lang=ja&top=5&genre=Techno|House&format=html|md|json   プレビュー
+// GET /api/digest?send=1                                                          SMTP で送信（Cron 用）
+// ジャンルごとの上位 N 件（翻訳タイトル・ソース・リンク）をまとめたダイジェスト。
+export default async function handler(req, res) {
+  let lang;
+  let top;
+  try {
+    lang = parseLang(req.query?.lang);
+    top = intParam(req.query?.top, "top", { min: 1, max: 20, fallback: DIGEST_TOP });
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+
+  const format = String(req.query?.format || "html").toLowerCase();
+  if (!FORMATS[format]) {
+    res.status(400).json({ error: "Bad Request", message: `Unknown format: ${format}` });
+    return;
+  }
+
+  const send = req.query?.send === "1";
+  let config = null;
+  if (send) {
+    if (!hasBearer(req, CRON_SECRET)) {
+      res.status(401).json({ error: "Unauthorized", message: CRON_SECRET ? "invalid credentials" : "CRON_SECRET is not set" });
+      return;
+    }
+    try {
+      config = smtpConfig();
+    } catch (e) {
+      res.status(500).json({ error: "Internal Server Error", message: e.message });
+      return;
+    }
+    if (!config) {
+      res.status(503).json({ error: "Service Unavailable", message: "SMTP_HOST, DIGEST_FROM and DIGEST_TO are required" });
+      return;
+    }
+  }
+
+  try {
+    const hours = Math.max(1, Math.min(72, Number(req.query?.hours ?? 24)));
+    const genres = splitList(req.query?.genre);
+
+    // ダイジェストに載るのはジャンルごとの上位だけなので、窓全体ではなくそれだけを翻訳する
+    const { stories } = await runPipeline({ hours, lang, translate: false });
+    await translateItems(pickDigestStories(stories, { top, genres }).flatMap((s) => s.items), { lang });
+    const digest = buildDigest(stories, { hours, lang, top, genres, homeUrl: requestUrl(req).origin });
+
+    if (send) {
+      const result = await sendMail(
+        {
+          from: config.from,
+          to: config.to,
+          subject: digest.subject,
+          text: renderDigestMarkdown(digest),
+          html: renderDigestHtml(digest),
+        },
+        config
+      );
+      res.setHeader("Cache-Control", "no-store");
+      res.status(200).json({ sent: true, subject: digest.subject, totals: digest.totals, ...result });
+      return;
+    }
+
+    res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
+    res.setHeader("Content-Type", FORMATS[format]);
+    if (format === "json") res.status(200).json(digest);
+    else res.status(200).send(format === "md" ? renderDigestMarkdown(digest) : renderDigestHtml(digest));
+  } catch (e) {
+    console.error("digest failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
@@ -0,0 +1,94 @@
+import { runPipeline, publicItem } from "./_lib/pipeline.js";
+import { dedupeByUrl } from "./_lib/cluster.js";
+import { ENTITY_TYPES, countEntities, extractEntities, loadEntityDictionary } from "./_lib/entities.js";
+import { intParam, parseDateParam } from "./_lib/params.js";
+import { getStore, isDurableStore } from "./_lib/store.js";
+import { parseLang } from "./_lib/translate.js";
+
+const COVERAGE_LIMIT = 200;
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/entities?hours=24[&type=artist][&limit=50]      -> 期間内のエンティティと件数
+// GET /api/entities?id=artist:burial[&lang=ja][&from=...]  -> そのエンティティの保存済み記事（全期間、新しい順）
+export default async function handler(req, res) {
+  const id = req.query?.id ? String(req.query.id).trim() : null;
+  const type = req.query?.type ? String(req.query.type).trim().toLowerCase() : null;
+  let from;
+  let to;
+  let lang;
+  let hours;
+  let limit;
+  try {
+    if (type && !ENTITY_TYPES.includes(type)) throw new Error(`type must be one of ${ENTITY_TYPES.join(", ")}`);
+    if (id !== null && !/^[a-z]+:.+/.test(id)) throw new Error("id must look like type:name");
+    from = parseDateParam(req.query?.from);
+    to = parseDateParam(req.query?.to, { endOfDay: true });
+    lang = parseLang(req.query?.lang);
+    hours = intParam(req.query?.hours, "hours", { min: 1, max: 72, fallback: 24 });
+    limit = intParam(req.query?.limit, "limit", { min: 1, max: 500, fallback: 50 });
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+
+  try {
+    if (!id) {
+      // 件数の集計だけなので翻訳しない
+      const { stories, ranged } = await runPipeline({ hours, from, to, lang, translate: false });
+      const entities = countEntities(stories).filter((e) => !type || e.type === type);
+
+      res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
+      res.status(200).json({
+        generatedAt: new Date().toISOString(),
+        hours: ranged ? null : hours,
+        from: from ? new Date(from).toISOString() : null,
+        to: to ? new Date(to).toISOString() : null,
+        type,
+        total: entities.length,
+        entities: entities.slice(0, limit),
+      });
+      return;
+    }
+
+    // ストアが永続でなければ直近のフィードを取り込んでから探す（失敗しても保存済み分は返せる）。
+    // 永続ストアには /api/news などが取り込んでいるので、リクエストごとには取りに行かない。翻訳は保存済みの分だけ返す
+    if (!isDurableStore()) {
+      try {
+        await runPipeline({ hours: 72, lang, translate: false });
+      } catch (e) {
+        console.warn("entities refresh failed:", e?.message || e);
+      }
+    }
+
+    const dict = await loadEntityDictionary();
+    const { items } = await getStore().query({ from, to, limit: 20000 });
+    const matched = [];
+    for (const it of dedupeByUrl(items)) {
+      const entities = it.entities ?? extractEntities(it, dict);
+      if (entities.some((e) => e.id === id)) matched.push({ ...it, entities });
+    }
+    const entity = matched[0]?.entities.find((e) => e.id === id) ?? null;
+
+    res.setHeader("Cache-Control", "s-maxage=120, stale-while-revalidate=300");
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      id,
+      lang,
+      entity,
+      total: matched.length,
+      sources: [...new Set(matched.map((it) => it.source))],
+      items: matched.slice(0, COVERAGE_LIMIT).map((it) => {
+        const t = it.translations?.[lang];
+        return { ...publicItem(it), translation: t?.title ? { lang, ...t } : null };
+      }),
+    });
+  } catch (e) {
+    console.error("entities failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
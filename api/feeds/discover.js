@@ -0,0 +1,36 @@
+import { loadFeeds } from "../_lib/feeds.js";
+import { loadGenreRules } from "../_lib/genres.js";
+import { discoverFeeds, normalizeSiteUrl } from "../_lib/discover.js";
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/feeds/discover?url=https://example.com
+// サイトの URL からフィード候補を探し、サンプル見出しと defaultGenre の候補付きで返す
+export default async function handler(req, res) {
+  let url;
+  try {
+    url = normalizeSiteUrl(req.query?.url);
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e?.message || String(e) });
+    return;
+  }
+
+  try {
+    const [FEEDS, genreRules] = await Promise.all([loadFeeds(), loadGenreRules()]);
+    const result = await discoverFeeds(url, { genreRules, knownUrls: FEEDS.map((f) => f.url) });
+
+    res.setHeader("Cache-Control", "s-maxage=600, stale-while-revalidate=600");
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      query: url,
+      ...result,
+    });
+  } catch (e) {
+    console.error("feeds/discover failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
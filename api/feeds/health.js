@@ -0,0 +1,47 @@
+import { hasBearer } from "../_lib/auth.js";
+import { loadFeeds } from "../_lib/feeds.js";
+import { collectItems, summarizeFeedStatus } from "../_lib/collect.js";
+
+// refresh=1 に必要: Authorization: Bearer ${FEEDS_ADMIN_TOKEN}（未設定なら強制再取得はできない）
+const FEEDS_ADMIN_TOKEN = process.env.FEEDS_ADMIN_TOKEN;
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/feeds/health?hours=24[&refresh=1]
+// loadFeeds() の各フィードの成功/失敗・レイテンシ・件数を返す。
+// 既定では共有キャッシュ（FEED_TTL_MS）を使う（cache: "hit" のフィードはネットワークに出ていない）。
+// 誰でも叩ける URL で全パブリッシャーへの再取得を起こさないよう、refresh=1 はトークン付きのときだけ
+export default async function handler(req, res) {
+  const refresh = req.query?.refresh === "1";
+  if (refresh && !hasBearer(req, FEEDS_ADMIN_TOKEN)) {
+    res.status(401).json({
+      error: "Unauthorized",
+      message: FEEDS_ADMIN_TOKEN ? "invalid credentials" : "FEEDS_ADMIN_TOKEN is not set",
+    });
+    return;
+  }
+
+  try {
+    const hours = Math.max(1, Math.min(72, Number(req.query?.hours ?? 24)));
+    const since = Date.now() - hours * 60 * 60 * 1000;
+
+    const FEEDS = await loadFeeds();
+    const { feedStatus } = await collectItems(FEEDS, { since, force: refresh });
+
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      hours,
+      refreshed: refresh,
+      ...summarizeFeedStatus(feedStatus),
+      feeds: feedStatus,
+    });
+  } catch (e) {
+    console.error("feeds/health failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
@@ -0,0 +1,137 @@
+import { hasBearer } from "../_lib/auth.js";
+import { FEEDS_FALLBACK, FEED_COLUMNS, fetchFeedsCsv, hasFeedsCsv, parseCsvRows } from "../_lib/feeds.js";
+import { validateFeedRows } from "../_lib/feedValidation.js";
+import { FEED_CONCURRENCY, fetchFeed, mapLimit } from "../_lib/fetcher.js";
+import { classifyError, itemDateMs, toIso } from "../_lib/collect.js";
+import { loadGenreRules, pickGenre } from "../_lib/genres.js";
+import { extractCategories } from "../_lib/itemExtras.js";
+import { cleanUrl } from "../_lib/feedNormalization.js";
+
+// refresh=1 に必要: Authorization: Bearer ${FEEDS_ADMIN_TOKEN}（/api/feeds/health と同じ）
+const FEEDS_ADMIN_TOKEN = process.env.FEEDS_ADMIN_TOKEN;
+
+const PREVIEW_ITEMS = 3;
+
+async function checkFeed(row, genreRules, { force }) {
+  const startedAt = Date.now();
+  try {
+    const { feed } = await fetchFeed(row.feed.url, { force });
+    const items = feed.items || [];
+    if (!items.length) row.problems.push({ level: "warning", field: "url", message: "feed has no items" });
+    // collect と同じ規則で日付を読む（Atom の published / updated や dc:date も使える）
+    const undated = items.filter((it) => !Number.isFinite(itemDateMs(it))).length;
+    if (undated) {
+      row.problems.push({
+        level: "warning",
+        field: "url",
+        message: `${undated} of ${items.length} items have no usable date (first-seen time is used)`,
+      });
+    }
+
+    return {
+      ok: true,
+      latencyMs: Date.now() - startedAt,
+      feedTitle: feed.title || null,
+      itemCount: items.length,
+      preview: items.slice(0, PREVIEW_ITEMS).map((it) => {
+        const title = (it.title || "").trim();
+        return {
+          title,
+          url: cleanUrl(it.link || it.guid || "") || null,
+          publishedAt: toIso(itemDateMs(it)),
+          genre: pickGenre(
+            {
+              title,
+              summary: it.contentSnippet,
+              source: row.feed.source,
+              categories: extractCategories(it),
+              fallback: row.feed.defaultGenre,
+            },
+            genreRules
+          ),
+        };
+      }),
+    };
+  } catch (e) {
+    const error = classifyError(e);
+    const message =
+      error.type === "parse"
+        ? `not an RSS/Atom feed: ${error.message}`
+        : `unreachable (${error.status ? `HTTP ${error.status}` : error.type}): ${error.message}`;
+    row.problems.push({ level: "error", field: "url", message });
+    return { ok: false, latencyMs: Date.now() - startedAt, error };
+  }
+}
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/feeds/validate[?check=0][&refresh=1]
+// フィード一覧（Sheets CSV）を行ごとに検証し、各フィードの先頭アイテムをプレビューする
+// check=0 なら URL への接続チェックを省略。接続チェックは共有キャッシュ（FEED_TTL_MS）を使い、
+// キャッシュを無視した再取得（refresh=1）はトークン付きのときだけ
+export default async function handler(req, res) {
+  const check = String(req.query?.check ?? "1") !== "0";
+  const refresh = check && req.query?.refresh === "1";
+  if (refresh && !hasBearer(req, FEEDS_ADMIN_TOKEN)) {
+    res.status(401).json({
+      error: "Unauthorized",
+      message: FEEDS_ADMIN_TOKEN ? "invalid credentials" : "FEEDS_ADMIN_TOKEN is not set",
+    });
+    return;
+  }
+
+  try {
+    let rawRows;
+    const usingFallback = !hasFeedsCsv();
+    if (usingFallback) {
+      rawRows = [FEED_COLUMNS, ...FEEDS_FALLBACK.map((f) => ["TRUE", f.source, f.url, f.defaultGenre])];
+    } else {
+      try {
+        rawRows = parseCsvRows(await fetchFeedsCsv());
+      } catch (e) {
+        res.status(502).json({ error: "Bad Gateway", message: `could not load feeds CSV: ${e?.message || e}` });
+        return;
+      }
+    }
+
+    const genreRules = await loadGenreRules();
+    const genreNames = [...new Set(genreRules.map((r) => r.genre))];
+    const report = validateFeedRows(rawRows, { genreNames });
+
+    if (check) {
+      const targets = report.rows.filter((r) => r.enabled && !r.problems.some((p) => p.level === "error"));
+      await mapLimit(targets, FEED_CONCURRENCY, async (r) => {
+        r.check = await checkFeed(r, genreRules, { force: refresh });
+      });
+    }
+
+    const count = (level) => report.rows.reduce((n, r) => n + r.problems.filter((p) => p.level === level).length, 0);
+
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      usingFallback,
+      checked: check,
+      refreshed: refresh,
+      header: report.header,
+      unknownColumns: report.unknownColumns,
+      missingColumns: report.missingColumns,
+      knownGenres: genreNames,
+      summary: {
+        rows: report.rows.length,
+        enabled: report.rows.filter((r) => r.enabled).length,
+        willLoad: report.rows.filter((r) => r.enabled && r.feed.source && r.feed.url).length,
+        errors: count("error"),
+        warnings: count("warning"),
+      },
+      rows: report.rows,
+    });
+  } catch (e) {
+    console.error("feeds/validate failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
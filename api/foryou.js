@@ -0,0 +1,63 @@
+import { runPipeline, publicItem, translateStored } from "./_lib/pipeline.js";
+import { DEFAULT_GENRE_ORDER, buildGenreIndex } from "./_lib/genres.js";
+import { intParam } from "./_lib/params.js";
+import { normalizePrefs, orderGenres, rankForYou } from "./_lib/personalize.js";
+import { parseLang } from "./_lib/translate.js";
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// POST /api/foryou?hours=24&lang=ja   body: { prefs }
+// GET  /api/foryou?hours=24&lang=ja&prefs=<JSON>
+// 個人設定（personalize.js）で直近のストーリーをランク付けする。
+//   items       ミュートを除いたスコア順（score, reasons 付き）
+//   muted       ミュートされたストーリー id と理由（通常のジャンル一覧から隠す用）
+//   genres      genreOrder を反映したジャンルの並び
+export default async function handler(req, res) {
+  if (req.method && req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    res.status(405).json({ error: "Method Not Allowed", message: `${req.method} is not supported` });
+    return;
+  }
+
+  let prefs;
+  let lang;
+  let limit;
+  try {
+    prefs = normalizePrefs(req.method === "POST" ? req.body?.prefs : req.query?.prefs);
+    lang = parseLang(req.query?.lang);
+    limit = intParam(req.query?.limit, "limit", { min: 1, max: 200, fallback: 50 });
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+
+  try {
+    const hours = Math.max(1, Math.min(72, Number(req.query?.hours ?? 24)));
+
+    // ミュート・興味のキーワードは翻訳文にも照合するので、そのときだけ先に全体を翻訳する。
+    // それ以外は順位付けに翻訳は要らないので、返すアイテムだけを翻訳する（保存済みの翻訳を使い、新しい分は保存する）
+    const keywordPrefs = prefs.mutedKeywords.length > 0 || prefs.interests.length > 0;
+    const { stories } = await runPipeline({ hours, lang, translate: keywordPrefs });
+    const { items: ranked, muted } = rankForYou(stories, prefs, { limit });
+    if (!keywordPrefs) await translateStored(ranked, { lang });
+
+    res.setHeader("Cache-Control", "private, no-store");
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      hours,
+      lang,
+      prefs,
+      total: stories.length - muted.length,
+      items: ranked.map(publicItem),
+      muted,
+      genres: orderGenres(Object.keys(buildGenreIndex(stories)), prefs, DEFAULT_GENRE_ORDER),
+    });
+  } catch (e) {
+    console.error("foryou failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
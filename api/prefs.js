@@ -0,0 +1,61 @@
+import { getStore, isDurableStore } from "./_lib/store.js";
+import { normalizePrefs } from "./_lib/personalize.js";
+
+// 端末側で生成したランダムな同期キー（推測されない長さ）
+const SYNC_KEY_RE = /^[A-Za-z0-9_-]{16,64}$/;
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/prefs?key=<sync key>          -> { key, prefs, updatedAt }（未保存なら 404）
+// PUT /api/prefs?key=<sync key>  body: { prefs }
+// 個人設定の端末間同期（任意）。アカウントは無く、同期キーを知っている端末同士で共有する。
+// 保存先がインスタンスごと（memory / Vercel の /tmp）のときは同期にならないので 503 を返す。
+export default async function handler(req, res) {
+  const method = req.method || "GET";
+  if (method !== "GET" && method !== "PUT") {
+    res.setHeader("Allow", "GET, PUT");
+    res.status(405).json({ error: "Method Not Allowed", message: `${method} is not supported` });
+    return;
+  }
+
+  const key = String(req.query?.key ?? "");
+  let prefs;
+  try {
+    if (!SYNC_KEY_RE.test(key)) throw new Error("key must be 16-64 characters of [A-Za-z0-9_-]");
+    if (method === "PUT") prefs = normalizePrefs(req.body?.prefs);
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+
+  res.setHeader("Cache-Control", "private, no-store");
+  if (!isDurableStore()) {
+    res.status(503).json({
+      error: "Service Unavailable",
+      message: "Sync is not available: this deployment only keeps data per server instance",
+    });
+    return;
+  }
+
+  try {
+    if (method === "PUT") {
+      const saved = await getStore().putPrefs(key, prefs);
+      res.status(200).json({ key, ...saved });
+      return;
+    }
+
+    const saved = await getStore().getPrefs(key);
+    if (!saved) {
+      res.status(404).json({ error: "Not Found", message: "no preferences stored for this key" });
+      return;
+    }
+    res.status(200).json({ key, ...saved });
+  } catch (e) {
+    console.error("prefs failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
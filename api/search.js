@@ -0,0 +1,96 @@
+import { publicItem, runPipeline } from "./_lib/pipeline.js";
+import { dedupeByUrl } from "./_lib/cluster.js";
+import { splitList } from "./_lib/genres.js";
+import { matchesGenre, matchesSource } from "./_lib/newsQuery.js";
+import { intParam, parseDateParam } from "./_lib/params.js";
+import { searchItems } from "./_lib/search.js";
+import { getStore, isDurableStore } from "./_lib/store.js";
+import { parseLang } from "./_lib/translate.js";
+
+// ストアがインスタンスごと（Vercel の /tmp など）のときに取り込む直近の窓
+const LIVE_HOURS = 72;
+// その取り込みをやり直す間隔。入力のたびにフィード取得を走らせず、それまではこのインスタンスのストアを探す
+const LIVE_REFRESH_MS = 5 * 60 * 1000;
+
+let liveRefresh = { at: 0, running: null };
+
+// 同時に来た検索は実行中の取り込みを待つ。失敗しても次の期限までは取り直さない（保存済みの分で探す）
+async function refreshLiveWindow(lang) {
+  if (!liveRefresh.running && Date.now() - liveRefresh.at >= LIVE_REFRESH_MS) {
+    liveRefresh.running = runPipeline({ hours: LIVE_HOURS, lang, translate: false })
+      .catch((e) => console.warn("search refresh failed:", e?.message || e))
+      .finally(() => {
+        liveRefresh = { at: Date.now(), running: null };
+      });
+  }
+  await liveRefresh.running;
+}
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/search?q=boiler+room[&source=Mixmag|Stereogum][&genre=House][&from=2026-01-01][&to=...][&limit=20&offset=0]
+// 保存済みアイテム全体（全ジャンル）を対象に、タイトル・要約・翻訳を検索する。
+// source / genre は /api/news と同じく "|" 区切り。
+// フィードの取り込みは /api/news などに任せる（入力のたびにフィード取得・翻訳を走らせない）。
+// ただしストアが永続でなければ（durable: false）このインスタンスが何も見ていないことがあるので、
+// 直近 LIVE_HOURS 時間を翻訳なしで取り込んでから探す（LIVE_REFRESH_MS ごと）。UI はそのとき「直近の分だけ」と出す
+export default async function handler(req, res) {
+  const q = String(req.query?.q ?? "").trim();
+  let from;
+  let to;
+  let lang;
+  let limit;
+  let offset;
+  try {
+    if (!q) throw new Error("q is required");
+    from = parseDateParam(req.query?.from);
+    to = parseDateParam(req.query?.to, { endOfDay: true });
+    lang = parseLang(req.query?.lang);
+    limit = intParam(req.query?.limit, "limit", { min: 1, max: 100, fallback: 20 });
+    offset = intParam(req.query?.offset, "offset", { min: 0, max: Infinity, fallback: 0 });
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+
+  const sources = splitList(req.query?.source);
+  const genres = splitList(req.query?.genre);
+
+  try {
+    const durable = isDurableStore();
+    if (!durable) await refreshLiveWindow(lang);
+
+    const { items } = await getStore().query({ from, to, limit: 20000 });
+    const candidates = dedupeByUrl(items).filter((it) => matchesSource(it, sources) && matchesGenre(it, genres));
+
+    const hits = searchItems(candidates, q, { lang });
+
+    res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate=300");
+    res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      q,
+      lang,
+      durable,
+      liveHours: durable ? null : LIVE_HOURS,
+      total: hits.length,
+      limit,
+      offset,
+      results: hits.slice(offset, offset + limit).map(({ item, score, snippet }) => {
+        const t = item.translations?.[lang];
+        return {
+          ...publicItem(item),
+          translation: t?.title ? { lang, ...t } : null,
+          score,
+          snippet,
+        };
+      }),
+    });
+  } catch (e) {
+    console.error("search failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
@@ -0,0 +1,63 @@
+import { runPipeline } from "./_lib/pipeline.js";
+import { dedupeByUrl } from "./_lib/cluster.js";
+import { loadEntityDictionary } from "./_lib/entities.js";
+import { computeStats } from "./_lib/stats.js";
+import { intParam } from "./_lib/params.js";
+import { getStore } from "./_lib/store.js";
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/stats?hours=24
+// 直近 hours 時間のジャンル別・ソース別・時間別の件数と、直前の同じ長さの窓と比べた急上昇ワード/エンティティ
+export default async function handler(req, res) {
+  let hours;
+  try {
+    hours = intParam(req.query?.hours, "hours", { min: 1, max: 72, fallback: 24 });
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+
+  try {
+    const windowEnd = Date.now();
+    const windowStart = windowEnd - hours * 60 * 60 * 1000;
+    const previousStart = windowStart - hours * 60 * 60 * 1000;
+
+    // 比較用に前の窓の分も取り込む（フィードに残っていれば）。集計に翻訳は要らない
+    try {
+      await runPipeline({ hours: hours * 2, translate: false });
+    } catch (e) {
+      console.warn("stats refresh failed:", e?.message || e);
+    }
+
+    const [store, dict] = [getStore(), await loadEntityDictionary()];
+    const [cur, prev] = await Promise.all([
+      store.query({ from: windowStart, to: windowEnd, limit: 20000 }),
+      store.query({ from: previousStart, to: windowStart - 1, limit: 20000 }),
+    ]);
+
+    const stats = computeStats({
+      current: dedupeByUrl(cur.items),
+      previous: dedupeByUrl(prev.items),
+      windowStart,
+      windowEnd,
+      dict,
+    });
+
+    res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
+    res.status(200).json({
+      generatedAt: new Date(windowEnd).toISOString(),
+      hours,
+      window: { from: new Date(windowStart).toISOString(), to: new Date(windowEnd).toISOString() },
+      previousWindow: { from: new Date(previousStart).toISOString(), to: new Date(windowStart).toISOString() },
+      ...stats,
+    });
+  } catch (e) {
+    console.error("stats failed:", e?.message || e);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: e?.message || String(e),
+    });
+  }
+}
@@ -0,0 +1,89 @@
+import { runPipeline, publicItem } from "./_lib/pipeline.js";
+import { parseDateParam } from "./_lib/params.js";
+import { getStore } from "./_lib/store.js";
+import { parseLang } from "./_lib/translate.js";
+import {
+  STREAM_MAX_MS,
+  STREAM_PING_MS,
+  STREAM_POLL_MS,
+  STREAM_RETRY_MS,
+  createLiveTracker,
+  sseEvent,
+} from "./_lib/live.js";
+
+// -----------------------------
+// Vercel Function Handler
+// -----------------------------
+// GET /api/stream?hours=24&lang=ja&since=<generatedAt>   (text/event-stream)
+// フィードを定期的に取り込み、新着ストーリー（翻訳・ジャンル付け済み）を push する。
+//   event: items   { at, items: [publicItem] }   id = at（再接続時は Last-Event-ID が since になる）
+//   event: update  { at, items: [publicItem] }   既知のストーリーに別ソースの記事が加わった（id が変わることがある）
+//   event: status  { at, feeds: { total, ok, failing } }
+//   event: warning { at, message }                取り込みに失敗（接続は維持）
+// STREAM_MAX_MS で接続を閉じ、クライアント（EventSource）の再接続に任せる。
+export default async function handler(req, res) {
+  let since;
+  let lang;
+  try {
+    since = parseDateParam(req.headers?.["last-event-id"] || req.query?.since);
+    if (since == null) throw new Error("since is required");
+    lang = parseLang(req.query?.lang);
+  } catch (e) {
+    res.status(400).json({ error: "Bad Request", message: e.message });
+    return;
+  }
+  const hours = Math.max(1, Math.min(72, Number(req.query?.hours ?? 24)));
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  let closed = false;
+  const timers = [];
+  let wake = null;
+  const sleep = (ms) =>
+    new Promise((resolve) => {
+      wake = resolve;
+      timers.push(setTimeout(resolve, ms));
+    });
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    for (const t of timers) clearTimeout(t);
+    clearInterval(ping);
+    wake?.();
+    res.end();
+  };
+  req.on?.("close", close);
+
+  const ping = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, STREAM_PING_MS);
+  timers.push(setTimeout(close, STREAM_MAX_MS));
+
+  const tracker = createLiveTracker({ since });
+
+  while (!closed) {
+    const at = new Date().toISOString();
+    try {
+      const { stories, feedStatus } = await runPipeline({ hours, lang });
+      if (closed) break;
+
+      const { items: stored } = await getStore().query({ from: Date.now() - hours * 60 * 60 * 1000, limit: 5000 });
+      const firstSeen = new Map(stored.map((r) => [r.id, r.firstSeenAt]));
+      const { added, updated } = tracker.next(stories, firstSeen);
+
+      if (added.length) res.write(sseEvent("items", { at, items: added.map(publicItem) }, at));
+      if (updated.length) res.write(sseEvent("update", { at, items: updated.map(publicItem) }));
+      res.write(sseEvent("status", { at, feeds: { total: feedStatus.total, ok: feedStatus.ok, failing: feedStatus.failing } }));
+    } catch (e) {
+      console.warn("stream poll failed:", e?.message || e);
+      if (!closed) res.write(sseEvent("warning", { at, message: e?.message || String(e) }));
+    }
+    if (!closed) await sleep(STREAM_POLL_MS);
+  }
+}
@@ -0,0 +1,100 @@
+// -----------------------------
+// Service worker (offline reading)
+// -----------------------------
+// - アプリ本体（HTML / JS / CSS / アイコン）はキャッシュして、オフラインでも起動できるようにする
+// - /api/news は network-first。成功したレスポンスを保存し、オフライン時は最後に取れたものを返す
+//   （X-Offline-Copy: 1 ヘッダーを付けるので、画面側で「オフライン表示中」と出せる）
+//   ジャンルのページ（genre / cursor）は URL ごとに保存される。開いたことのあるジャンルだけオフラインでも読める
+// - それ以外の /api/* はキャッシュしない
+const SHELL_CACHE = "shell-v1";
+const DATA_CACHE = "data-v2"; // v2: /api/news がページ分け（genreCounts / nextCursor）になった
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png"];
+
+// クエリが違っても（hours / lang）オフライン時はこれを返す
+const LAST_NEWS_KEY = "/api/news?__last";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== SHELL_CACHE && k !== DATA_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function offlineCopy(response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Offline-Copy", "1");
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+async function newsNetworkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      await cache.put(request, res.clone());
+      // 続きのページは「最後に取れたもの」にしない（起動時の代わりにならない）
+      if (!new URL(request.url).searchParams.has("cursor")) await cache.put(LAST_NEWS_KEY, res.clone());
+    }
+    return res;
+  } catch (e) {
+    const cached = (await cache.match(request)) || (await cache.match(LAST_NEWS_KEY));
+    if (cached) return offlineCopy(cached);
+    throw e;
+  }
+}
+
+async function navigationNetworkFirst(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) (await caches.open(SHELL_CACHE)).put("/index.html", res.clone());
+    return res;
+  } catch (e) {
+    const cached = await caches.match("/index.html");
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+// ビルド成果物（ハッシュ付きファイル名）は stale-while-revalidate
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((res) => {
+      if (res.ok) cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (url.pathname === "/api/news") {
+    // RSS / Atom などの配信用フォーマットは対象外
+    if (url.searchParams.has("format")) return;
+    event.respondWith(newsNetworkFirst(request));
+    return;
+  }
+  if (url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigationNetworkFirst(request));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(request));
+});
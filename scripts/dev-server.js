@@ -0,0 +1,261 @@
+import http from "node:http";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// -----------------------------
+// Local API server (Vercel Functions compatible subset)
+// -----------------------------
+// vite.config.js の /api プロキシ先（localhost:8787）で api/**/*.js をそのまま動かす。
+//   node scripts/dev-server.js [--port 8787] [--fixtures]
+//
+// --fixtures（または FIXTURES=1）: test/fixtures/ を /__fixtures/ で配信し、
+// フィード CSV・RSS/Atom をそこから読む（外部のパブリッシャーや DeepL に出ない）。
+//   FEEDS_CSV_URL                 -> /__fixtures/feeds.csv
+//   WATCHLIST_CSV_URL             -> /__fixtures/watchlist.csv（送信先 WATCH_WEBHOOKS は自分で。scripts/webhook-sink.js）
+//   TRANSLATE_PROVIDER            -> mock
+//   STORE_ADAPTER                 -> memory（.data を汚さない）
+//   ARTICLE_ALLOW_PRIVATE_HOSTS   -> 1（リーダーが localhost の記事を読めるように）
+// 既に設定されている環境変数は上書きしない。
+//
+// フィクスチャ内のプレースホルダ（配信時に置き換える）:
+//   {{origin}}       http://localhost:<port>
+//   {{ago:2h}}       2時間前の RFC 822 日付（RSS の pubDate 用）。単位は m / h / d
+//   {{agoIso:2h}}    同じく ISO 8601（Atom の updated 用）
+//   {{agoJst:2h}}    同じく "2026/03/01 12:30"（ゾーンなし。日本語フィードでは JST として読まれる）
+// 日付を相対にしておくことで、記録したフィードがいつでも取得窓に入る。
+// 本文はバイト列のまま置き換える（Shift_JIS などのフィクスチャも壊さない）。XML の文字コードは宣言に任せる。
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const API_DIR = path.join(ROOT, "api");
+export const FIXTURES_DIR = path.join(ROOT, "test", "fixtures");
+const FIXTURES_PATH = "/__fixtures/";
+export const DEFAULT_PORT = 8787;
+
+const CONTENT_TYPES = {
+  ".xml": "application/xml",
+  ".csv": "text/csv; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+// -----------------------------
+// Routes
+// -----------------------------
+// api/feeds/validate.js -> /api/feeds/validate。"_" で始まるもの（_lib）は関数ではない
+async function findRoutes(dir = API_DIR, prefix = "/api") {
+  const routes = new Map();
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith("_") || entry.name.startsWith(".")) continue;
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      for (const [route, f] of await findRoutes(file, `${prefix}/${entry.name}`)) routes.set(route, f);
+    } else if (entry.name.endsWith(".js")) {
+      routes.set(`${prefix}/${entry.name.slice(0, -3)}`, file);
+    }
+  }
+  return routes;
+}
+
+// -----------------------------
+// Vercel-style req / res
+// -----------------------------
+// 同じキーが複数あれば配列（Vercel と同じ）
+function queryObject(searchParams) {
+  const query = {};
+  for (const [k, v] of searchParams) {
+    if (!(k in query)) query[k] = v;
+    else query[k] = [].concat(query[k], v);
+  }
+  return query;
+}
+
+async function readBody(req) {
+  if (req.method === "GET" || req.method === "HEAD") return undefined;
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  if (!chunks.length) return undefined;
+
+  const text = Buffer.concat(chunks).toString("utf8");
+  const type = String(req.headers["content-type"] || "");
+  if (/application\/json/i.test(type)) return JSON.parse(text);
+  if (/application\/x-www-form-urlencoded/i.test(type)) return queryObject(new URLSearchParams(text));
+  return text;
+}
+
+function withHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    if (body != null && typeof body === "object" && !Buffer.isBuffer(body)) return res.json(body);
+    if (!res.getHeader("Content-Type")) {
+      res.setHeader("Content-Type", Buffer.isBuffer(body) ? "application/octet-stream" : "text/html; charset=utf-8");
+    }
+    res.end(body ?? "");
+    return res;
+  };
+  res.redirect = (statusOrUrl, maybeUrl) => {
+    const [code, location] = maybeUrl ? [statusOrUrl, maybeUrl] : [307, statusOrUrl];
+    res.statusCode = code;
+    res.setHeader("Location", location);
+    res.end();
+    return res;
+  };
+  return res;
+}
+
+// -----------------------------
+// Fixtures
+// -----------------------------
+const AGO_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function jstDate(d) {
+  const [date, time] = new Date(d.getTime() + 9 * AGO_UNITS.h).toISOString().split("T");
+  return `${date.replaceAll("-", "/")} ${time.slice(0, 5)}`;
+}
+
+const AGO_FORMATS = {
+  ago: (d) => d.toUTCString(),
+  agoIso: (d) => d.toISOString(),
+  agoJst: jstDate,
+};
+
+export function renderFixture(text, { origin, now = Date.now() }) {
+  return text
+    .replaceAll("{{origin}}", origin)
+    .replace(/\{\{(ago|agoIso|agoJst):(\d+(?:\.\d+)?)([mhd])\}\}/g, (_, kind, n, unit) =>
+      AGO_FORMATS[kind](new Date(now - Number(n) * AGO_UNITS[unit]))
+    );
+}
+
+// プレースホルダも置き換え結果も ASCII なので、latin1 で読み書きすれば文字コードに関係なくバイト列が保たれる
+function renderFixtureBytes(buf, options) {
+  return Buffer.from(renderFixture(buf.toString("latin1"), options), "latin1");
+}
+
+async function serveFixture(pathname, res, { origin }) {
+  const rel = decodeURIComponent(pathname.slice(FIXTURES_PATH.length));
+  const file = path.resolve(FIXTURES_DIR, rel);
+  if (!file.startsWith(FIXTURES_DIR + path.sep)) {
+    res.status(403).json({ error: "Forbidden", message: "outside fixtures" });
+    return;
+  }
+
+  let body;
+  try {
+    body = await fs.readFile(file);
+  } catch (e) {
+    if (e?.code !== "ENOENT" && e?.code !== "EISDIR") throw e;
+    res.status(404).json({ error: "Not Found", message: rel });
+    return;
+  }
+  res.setHeader("Content-Type", CONTENT_TYPES[path.extname(file)] ?? "application/octet-stream");
+  res.setHeader("Cache-Control", "no-store");
+  res.status(200).send(renderFixtureBytes(body, { origin }));
+}
+
+function applyFixtureEnv(origin) {
+  const defaults = {
+    FEEDS_CSV_URL: `${origin}${FIXTURES_PATH}feeds.csv`,
+    WATCHLIST_CSV_URL: `${origin}${FIXTURES_PATH}watchlist.csv`,
+    TRANSLATE_PROVIDER: "mock",
+    STORE_ADAPTER: "memory",
+    ARTICLE_ALLOW_PRIVATE_HOSTS: "1",
+  };
+  for (const [k, v] of Object.entries(defaults)) process.env[k] ??= v;
+}
+
+// -----------------------------
+// Server
+// -----------------------------
+/**
+ * サーバーを起動して { server, origin, close() } を返す（port: 0 なら空いているポート）。
+ * api/ のモジュールは環境変数を読み込み時に見るので、最初のリクエストまで import しない。
+ */
+export async function startDevServer({ port = DEFAULT_PORT, host = "localhost", fixtures = false, quiet = false } = {}) {
+  const routes = await findRoutes();
+  const handlers = new Map(); // route -> Promise<handler>
+  let origin = null;
+
+  const server = http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    withHelpers(res);
+    const url = new URL(req.url, origin);
+    if (!quiet) res.on("finish", () => console.log(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - startedAt}ms`));
+
+    try {
+      if (fixtures && url.pathname.startsWith(FIXTURES_PATH)) {
+        await serveFixture(url.pathname, res, { origin });
+        return;
+      }
+
+      const file = routes.get(url.pathname.replace(/\/+$/, ""));
+      if (!file) {
+        res.status(404).json({ error: "Not Found", message: `No function for ${url.pathname}` });
+        return;
+      }
+
+      if (!handlers.has(file)) handlers.set(file, import(pathToFileURL(file).href).then((m) => m.default));
+      const handler = await handlers.get(file);
+
+      req.query = queryObject(url.searchParams);
+      try {
+        req.body = await readBody(req);
+      } catch (e) {
+        res.status(400).json({ error: "Bad Request", message: `Invalid body: ${e.message}` });
+        return;
+      }
+      await handler(req, res);
+    } catch (e) {
+      console.error("dev server handler failed:", e?.stack || e);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Internal Server Error", message: e?.message || String(e) });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  origin = `http://${host}:${server.address().port}`;
+  if (fixtures) applyFixtureEnv(origin);
+
+  return {
+    server,
+    origin,
+    routes: [...routes.keys()].sort(),
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.PORT || DEFAULT_PORT), fixtures: process.env.FIXTURES === "1" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--fixtures") args.fixtures = true;
+    else if (argv[i] === "--port") args.port = Number(argv[++i]);
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = parseArgs(process.argv.slice(2));
+  const { origin, routes } = await startDevServer(args);
+  console.log(`API server on ${origin}${args.fixtures ? " (fixtures: test/fixtures)" : ""}`);
+  for (const r of routes) console.log(`  ${r}`);
+}
@@ -0,0 +1,131 @@
+import net from "node:net";
+import { pathToFileURL } from "node:url";
+
+// -----------------------------
+// Local SMTP stand-in
+// -----------------------------
+// ダイジェストのメール送信をローカルで試すための SMTP サーバー（受け取るだけで配送しない）。
+//   node scripts/smtp-sink.js [--port 2525]
+//   SMTP_HOST=localhost SMTP_PORT=2525 SMTP_STARTTLS=never DIGEST_FROM=news@example.com DIGEST_TO=me@example.com
+// AUTH は何を送っても通す。受け取ったコマンドとメッセージは messages に記録する（テスト用）。
+
+export const DEFAULT_SMTP_PORT = 2525;
+
+/**
+ * options: { port, host, auth（EHLO で広告する AUTH 方式）, rejectRcpt（含む宛先を 550 で拒否）, onMessage }
+ * 戻り値: { server, port, commands, messages: [{ from, to, data }], close() }
+ */
+export async function startSmtpSink({ port = DEFAULT_SMTP_PORT, host = "localhost", auth = "PLAIN LOGIN", rejectRcpt = null, onMessage } = {}) {
+  const commands = [];
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null; // DATA 中は行を溜める
+    let loginStep = 0; // AUTH LOGIN: ユーザー名 → パスワード
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const onLine = (line) => {
+      if (data) {
+        if (line !== ".") {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+          return;
+        }
+        const message = { ...envelope, data: data.join("\r\n") };
+        messages.push(message);
+        onMessage?.(message);
+        data = null;
+        envelope = { from: null, to: [] };
+        reply(`250 2.0.0 queued as SINK${messages.length}`);
+        return;
+      }
+
+      commands.push(line);
+      if (loginStep) {
+        reply(loginStep === 1 ? "334 UGFzc3dvcmQ6" : "235 2.7.0 Authentication successful");
+        loginStep = loginStep === 1 ? 2 : 0;
+        return;
+      }
+
+      const verb = line.split(" ")[0].toUpperCase();
+      if (verb === "EHLO" || verb === "HELO") {
+        reply("250-smtp-sink");
+        reply("250-8BITMIME");
+        reply(`250 AUTH ${auth}`);
+      } else if (line.toUpperCase() === "AUTH LOGIN") {
+        loginStep = 1;
+        reply("334 VXNlcm5hbWU6");
+      } else if (verb === "AUTH") {
+        reply("235 2.7.0 Authentication successful");
+      } else if (verb === "MAIL") {
+        envelope.from = line.match(/<([^>]*)>/)?.[1] ?? null;
+        reply("250 2.1.0 Ok");
+      } else if (verb === "RCPT") {
+        const rcpt = line.match(/<([^>]*)>/)?.[1] ?? "";
+        if (rejectRcpt && rcpt.includes(rejectRcpt)) {
+          reply("550 5.1.1 No such user");
+        } else {
+          envelope.to.push(rcpt);
+          reply("250 2.1.5 Ok");
+        }
+      } else if (verb === "DATA") {
+        data = [];
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (verb === "RSET" || verb === "NOOP") {
+        reply("250 2.0.0 Ok");
+      } else if (verb === "QUIT") {
+        reply("221 2.0.0 Bye");
+        socket.end();
+      } else {
+        reply("502 5.5.2 Command not implemented");
+      }
+    };
+
+    reply("220 smtp-sink ESMTP");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        onLine(line);
+      }
+    });
+    socket.on("error", () => {});
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    server,
+    port: server.address().port,
+    commands,
+    messages,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.SMTP_SINK_PORT || DEFAULT_SMTP_PORT) };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") args.port = Number(argv[++i]);
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = parseArgs(process.argv.slice(2));
+  const { port } = await startSmtpSink({
+    ...args,
+    onMessage: ({ from, to, data }) => {
+      const subject = data.match(/^Subject: (.*)$/m)?.[1] ?? "(no subject)";
+      console.log(`message from <${from}> to ${to.map((t) => `<${t}>`).join(", ")}: ${subject} (${data.length} bytes)`);
+    },
+  });
+  console.log(`SMTP sink on localhost:${port}`);
+}
@@ -0,0 +1,74 @@
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+
+// -----------------------------
+// Local webhook stand-in
+// -----------------------------
+// ウォッチリストの Webhook 通知をローカルで試すための HTTP サーバー（受け取るだけで転送しない）。
+//   node scripts/webhook-sink.js [--port 8789]
+//   WATCH_WEBHOOKS="local=http://localhost:8789/hook" WATCHLIST_CSV_URL=... npm run dev:api
+// 受け取った POST は requests に記録する（テスト用）。status で返すステータスを変えられる。
+
+export const DEFAULT_WEBHOOK_PORT = 8789;
+
+/**
+ * options: { port, host, status（返す HTTP ステータス）, onRequest }
+ * 戻り値: { server, port, origin, requests: [{ method, path, body }], close() }
+ */
+export async function startWebhookSink({ port = DEFAULT_WEBHOOK_PORT, host = "localhost", status = 200, onRequest } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      let body = text;
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // JSON でなければ文字列のまま
+      }
+      const request = { method: req.method, path: req.url, body };
+      requests.push(request);
+      onRequest?.(request);
+      res.writeHead(status, { "Content-Type": "text/plain" });
+      res.end(status < 400 ? "ok" : "error");
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const actualPort = server.address().port;
+
+  return {
+    server,
+    port: actualPort,
+    origin: `http://${host}:${actualPort}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.WEBHOOK_SINK_PORT || DEFAULT_WEBHOOK_PORT) };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") args.port = Number(argv[++i]);
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = parseArgs(process.argv.slice(2));
+  const { port } = await startWebhookSink({
+    ...args,
+    onRequest: ({ method, path, body }) => {
+      const text = typeof body === "string" ? body : (body?.text ?? body?.content ?? JSON.stringify(body));
+      console.log(`${method} ${path}\n${text}\n`);
+    },
+  });
+  console.log(`Webhook sink on http://localhost:${port}`);
+}
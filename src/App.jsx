@@ -1,6 +1,26 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { HOUR_OPTIONS, formatRoute, itemFromId, parseRoute } from "./route.js";
+import {
+  loadPrefs,
+  loadReadIds,
+  loadSaved,
+  loadSyncKey,
+  markRead,
+  markUnread,
+  newSyncKey,
+  savePrefs,
+  saveItem,
+  saveSyncKey,
+  unsaveItem,
+} from "./localState.js";
 
 const DEFAULT_HOURS = 24;
+const DEFAULT_LANG = "ja";
+
+const LANGS = [
+  { code: "ja", label: "日本語" },
+  { code: "en", label: "English" },
+];
 
 const GENRE_ORDER = [
   "Techno",
@@ -18,6 +38,82 @@ const GENRE_ORDER = [
   "Other",
 ];
 
+// /api/news のページの大きさ。ジャンルはタブを開いたときにこの件数ずつ読み込む
+const PAGE_SIZE = 30;
+
+function newsUrl(hours, lang, params = {}) {
+  return `/api/news?${new URLSearchParams({ hours: String(hours), lang, ...params })}`;
+}
+
+function tagsOf(it) {
+  return it.genreTags?.length ? it.genreTags : [{ genre: it.genre || "Other" }];
+}
+
+// ストーリーに含まれるアイテムの id（api/_lib/live.js の memberIds と同じ）
+function memberIds(it) {
+  return [it.id, ...(it.alsoReportedBy ?? []).map((o) => o.id)];
+}
+
+function byNewest(a, b) {
+  return (b.publishedAt || "").localeCompare(a.publishedAt || "");
+}
+
+// api/_lib/genres.js の buildGenreIndex と同じ（ページの追加・ライブ更新のマージ用）
+function buildGenreIndex(items) {
+  const index = {};
+  for (const it of items) {
+    for (const { genre } of tagsOf(it)) {
+      if (!index[genre]) index[genre] = [];
+      index[genre].push(it.id);
+    }
+  }
+  return index;
+}
+
+// 新着ストーリーを先頭に入れる。新着側にまとめられた既存ストーリー（alsoReportedBy）は置き換える
+// ジャンルの件数（genreCounts）は新着の分を足し、置き換えた既存分を引く
+function mergeItems(data, incoming) {
+  const replaced = new Set(incoming.flatMap(memberIds));
+  const dropped = data.items.filter((it) => replaced.has(it.id));
+  const items = [...incoming, ...data.items.filter((it) => !replaced.has(it.id))].sort(byNewest);
+
+  const genreCounts = { ...data.genreCounts };
+  const bump = (it, n) => {
+    for (const { genre } of tagsOf(it)) genreCounts[genre] = Math.max(0, (genreCounts[genre] ?? 0) + n);
+  };
+  dropped.forEach((it) => bump(it, -1));
+  incoming.forEach((it) => bump(it, 1));
+
+  return {
+    ...data,
+    items,
+    totalStories: data.totalStories + incoming.length - dropped.length,
+    genreCounts,
+    genreIndex: buildGenreIndex(items),
+  };
+}
+
+// 読み込んだジャンルのページを足す（既に持っているアイテムはそのまま）
+function addItems(data, more) {
+  const have = new Set(data.items.map((it) => it.id));
+  const items = [...data.items, ...more.filter((it) => !have.has(it.id))].sort(byNewest);
+  return { ...data, items, genreIndex: buildGenreIndex(items) };
+}
+
+// 個人設定の genreOrder → GENRE_ORDER → 名前順
+function orderGenres(keys, genreOrder = []) {
+  const rank = (list, g) => {
+    const i = list.indexOf(g);
+    return i < 0 ? list.length : i;
+  };
+  return keys
+    .slice()
+    .sort(
+      (a, b) =>
+        rank(genreOrder, a) - rank(genreOrder, b) || rank(GENRE_ORDER, a) - rank(GENRE_ORDER, b) || a.localeCompare(b)
+    );
+}
+
 function fmtLocal(iso) {
   try {
     return new Date(iso).toLocaleString();
@@ -26,52 +122,1290 @@ function fmtLocal(iso) {
   }
 }
 
+// 日付の無いアイテムは初めて見た時刻が publishedAt に入っている（undated: true）
+function publishedLabel(it) {
+  return it.undated ? "First seen" : "Published";
+}
+
 function norm(s) {
   return (s ?? "").toString().trim();
 }
 
+function FeedStatusPanel({ status }) {
+  if (!status?.feeds?.length) return null;
+  const failing = status.feeds.filter((f) => !f.ok);
+
+  return (
+    <div className="mt-3 bg-zinc-900 border border-zinc-800 rounded-2xl p-3">
+      <div className="flex items-center justify-between px-2 pb-2">
+        <span className="text-xs uppercase tracking-wider text-zinc-400">Feeds</span>
+        <span className={failing.length ? "text-xs text-red-300" : "text-xs text-zinc-400"}>
+          {status.ok}/{status.total} OK
+        </span>
+      </div>
+      {failing.length === 0 ? (
+        <div className="px-2 text-sm text-zinc-400">All sources fetched.</div>
+      ) : (
+        <ul className="flex flex-col gap-1">
+          {failing.map((f) => (
+            <li
+              key={f.url}
+              className="rounded-xl px-3 py-2 text-sm border border-red-900 bg-red-950/40"
+              title={f.error?.message ?? ""}
+            >
+              <div className="font-medium text-red-200">{f.source}</div>
+              <div className="text-xs text-red-300">
+                {f.error?.status ? `HTTP ${f.error.status}` : f.error?.type ?? "error"}
+                {f.lastSuccessAt ? ` · last OK ${fmtLocal(f.lastSuccessAt)}` : " · never OK"}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function Thumbnail({ src }) {
+  const [failed, setFailed] = useState(false);
+  if (!src || failed) return null;
+  return (
+    <img
+      src={src}
+      alt=""
+      loading="lazy"
+      referrerPolicy="no-referrer"
+      onError={() => setFailed(true)}
+      className="w-24 h-16 md:w-32 md:h-20 flex-none rounded-lg object-cover bg-zinc-800"
+    />
+  );
+}
+
+function MediaLinks({ media }) {
+  if (!media?.length) return null;
+  return (
+    <span>
+      {media.map((m, i) => (
+        <React.Fragment key={m.url}>
+          {i > 0 ? " · " : null}
+          <a href={m.url} target="_blank" rel="noreferrer" className="text-zinc-300 hover:underline">
+            {m.type === "audio" ? "▶ Listen" : "▶ Watch"}
+            {m.provider ? ` (${m.provider})` : ""}
+          </a>
+        </React.Fragment>
+      ))}
+    </span>
+  );
+}
+
+// 修飾キー付き・中クリックは通常のリンクとして新しいタブで開く
+function readerClick(e, open) {
+  if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+  e.preventDefault();
+  open();
+}
+
+function ArticleBlocks({ blocks }) {
+  return (
+    <div className="flex flex-col gap-4 text-zinc-200 leading-relaxed">
+      {blocks.map((b, i) => {
+        if (b.type === "heading") return <h3 key={i} className="text-lg font-semibold mt-2">{b.text}</h3>;
+        if (b.type === "image") {
+          return (
+            <figure key={i}>
+              <img src={b.src} alt={b.alt ?? ""} loading="lazy" referrerPolicy="no-referrer" className="rounded-xl" />
+              {b.caption ? <figcaption className="mt-1 text-xs text-zinc-400">{b.caption}</figcaption> : null}
+            </figure>
+          );
+        }
+        if (b.type === "list") {
+          const List = b.ordered ? "ol" : "ul";
+          return (
+            <List key={i} className={(b.ordered ? "list-decimal" : "list-disc") + " pl-6 flex flex-col gap-1"}>
+              {b.items.map((t, j) => (
+                <li key={j}>{t}</li>
+              ))}
+            </List>
+          );
+        }
+        if (b.type === "quote") {
+          return (
+            <blockquote key={i} className="border-l-2 border-zinc-700 pl-4 text-zinc-300 whitespace-pre-line">
+              {b.text}
+            </blockquote>
+          );
+        }
+        if (b.type === "code") {
+          return (
+            <pre key={i} className="bg-zinc-950 rounded-xl p-3 text-sm overflow-x-auto">
+              {b.text}
+            </pre>
+          );
+        }
+        return <p key={i}>{b.text}</p>;
+      })}
+    </div>
+  );
+}
+
+function ReaderPane({ item, lang, onClose }) {
+  const [original, setOriginal] = useState({ loading: true, error: "", data: null });
+  const [translated, setTranslated] = useState({ loading: false, error: "", data: null });
+  const [showTranslated, setShowTranslated] = useState(false);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch(`/api/article?url=${encodeURIComponent(item.url)}&lang=${encodeURIComponent(lang)}`, { signal: ctrl.signal })
+      .then(async (res) => {
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+        setOriginal({ loading: false, error: "", data: json });
+      })
+      .catch((e) => {
+        if (e?.name !== "AbortError") setOriginal({ loading: false, error: e?.message ?? "Failed to load", data: null });
+      });
+    return () => ctrl.abort();
+  }, [item.url, lang]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  async function toggleTranslated() {
+    if (showTranslated) {
+      setShowTranslated(false);
+      return;
+    }
+    setShowTranslated(true);
+    if (translated.data || translated.loading) return;
+
+    setTranslated({ loading: true, error: "", data: null });
+    try {
+      const res = await fetch(
+        `/api/article?url=${encodeURIComponent(item.url)}&lang=${encodeURIComponent(lang)}&translate=1`
+      );
+      const json = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+      if (!json.translation) throw new Error(`translation unavailable (${json.translationReport?.reason ?? "unknown"})`);
+      setTranslated({ loading: false, error: "", data: json });
+    } catch (e) {
+      setTranslated({ loading: false, error: e?.message ?? "Failed to translate", data: null });
+    }
+  }
+
+  const article = original.data?.article;
+  const tl = showTranslated ? translated.data?.translation : null;
+  const canTranslate = article && article.lang !== lang;
+
+  return (
+    <div className="fixed inset-0 z-20 flex justify-end bg-black/60" onClick={onClose}>
+      <div
+        className="h-full w-full max-w-2xl overflow-y-auto bg-zinc-900 border-l border-zinc-800 p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-sm text-zinc-400">{article?.siteName ?? item.source}</div>
+          <div className="flex items-center gap-2">
+            {canTranslate ? (
+              <button
+                className="bg-zinc-950/40 border border-zinc-800 rounded-xl px-3 py-1.5 text-sm hover:border-zinc-700"
+                onClick={toggleTranslated}
+              >
+                {showTranslated ? "Original" : `Translate (${LANGS.find((l) => l.code === lang)?.label ?? lang})`}
+              </button>
+            ) : null}
+            <a
+              href={item.url}
+              target="_blank"
+              rel="noreferrer"
+              className="bg-zinc-950/40 border border-zinc-800 rounded-xl px-3 py-1.5 text-sm hover:border-zinc-700"
+            >
+              Open original ↗
+            </a>
+            <button className="rounded-xl px-3 py-1.5 text-sm text-zinc-300 hover:text-zinc-100" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+
+        <h2 className="mt-4 text-2xl font-semibold">{tl?.title ?? article?.title ?? item.translation?.title ?? item.title}</h2>
+        <div className="mt-1 text-sm text-zinc-400 flex flex-wrap gap-x-3">
+          {article?.byline ?? item.author ? <span>By {article?.byline ?? item.author}</span> : null}
+          {article?.publishedAt ?? item.publishedAt ? (
+            <span>{fmtLocal(article?.publishedAt ?? item.publishedAt)}</span>
+          ) : null}
+        </div>
+
+        <div className="mt-6">
+          {original.loading ? <div className="text-zinc-400">Loading article…</div> : null}
+          {original.error ? (
+            <div className="text-sm text-red-300">
+              Could not extract this article ({original.error}). Use “Open original”.
+            </div>
+          ) : null}
+          {showTranslated && translated.loading ? <div className="text-zinc-400">Translating…</div> : null}
+          {showTranslated && translated.error ? (
+            <div className="mb-4 text-sm text-red-300">Error: {translated.error}</div>
+          ) : null}
+          {tl?.truncated ? (
+            <div className="mb-4 text-xs text-zinc-500">Only the beginning of the article was translated.</div>
+          ) : null}
+          {article && !(showTranslated && translated.loading) ? <ArticleBlocks blocks={tl?.blocks ?? article.blocks} /> : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function EntityLinks({ entities, onSelect }) {
+  if (!entities?.length) return null;
+  return (
+    <div className="mt-1 text-sm text-zinc-400">
+      About:{" "}
+      {entities.map((e, i) => (
+        <React.Fragment key={e.id}>
+          {i > 0 ? ", " : null}
+          <button
+            className={"text-zinc-300 hover:underline" + (e.type === "release" ? " italic" : "")}
+            onClick={() => onSelect(e.id)}
+            title={e.type}
+          >
+            {e.name}
+          </button>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+function EntityPanel({ hours, lang, version, onSelect }) {
+  const [list, setList] = useState([]);
+  const [filter, setFilter] = useState("");
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch(`/api/entities?hours=${encodeURIComponent(hours)}&lang=${encodeURIComponent(lang)}&limit=200`, {
+      signal: ctrl.signal,
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((json) => setList(json?.entities ?? []))
+      .catch(() => {});
+    return () => ctrl.abort();
+  }, [hours, lang, version]);
+
+  const f = norm(filter).toLowerCase();
+  const shown = list.filter((e) => e.type !== "release" && (!f || e.name.toLowerCase().includes(f))).slice(0, 15);
+  if (!list.length) return null;
+
+  return (
+    <div className="mt-3 bg-zinc-900 border border-zinc-800 rounded-2xl p-3">
+      <div className="text-xs uppercase tracking-wider text-zinc-400 px-2 pb-2">Artists & more</div>
+      <input
+        className="w-full bg-zinc-950/40 border border-zinc-800 rounded-xl px-3 py-1.5 text-sm mb-2"
+        placeholder="Filter…"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+      />
+      <div className="flex flex-col gap-1">
+        {shown.map((e) => (
+          <button
+            key={e.id}
+            onClick={() => onSelect(e.id)}
+            className="flex items-center justify-between rounded-xl px-3 py-1.5 text-sm border bg-zinc-950/40 text-zinc-100 border-zinc-800 hover:border-zinc-700"
+          >
+            <span className="truncate">
+              {e.name}
+              {e.type !== "artist" ? <span className="ml-2 text-xs text-zinc-500">{e.type}</span> : null}
+            </span>
+            <span className="text-zinc-400">{e.count}</span>
+          </button>
+        ))}
+        {shown.length === 0 ? <div className="px-2 text-sm text-zinc-400">No matches.</div> : null}
+      </div>
+    </div>
+  );
+}
+
+function EntityView({ id, lang, onOpen, onSelect, onBack }) {
+  const [state, setState] = useState({ loading: true, error: "", data: null });
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch(`/api/entities?id=${encodeURIComponent(id)}&lang=${encodeURIComponent(lang)}`, { signal: ctrl.signal })
+      .then(async (res) => {
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+        setState({ loading: false, error: "", data: json });
+      })
+      .catch((e) => {
+        if (e?.name !== "AbortError") setState({ loading: false, error: e?.message ?? "Failed to load", data: null });
+      });
+    return () => ctrl.abort();
+  }, [id, lang]);
+
+  const d = state.data;
+  const name = d?.entity?.name ?? id.slice(id.indexOf(":") + 1);
+
+  return (
+    <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
+      <div className="p-4 border-b border-zinc-800 flex items-center justify-between gap-2">
+        <div>
+          <div className="text-lg font-semibold">{name}</div>
+          <div className="text-sm text-zinc-400">
+            {state.loading
+              ? "Loading coverage…"
+              : `${d?.entity?.type ?? id.split(":")[0]} · ${d?.total ?? 0} items from ${d?.sources?.length ?? 0} sources`}
+          </div>
+        </div>
+        <button className="text-sm text-zinc-300 hover:text-zinc-100" onClick={onBack}>
+          ← Back
+        </button>
+      </div>
+
+      {state.error ? <div className="p-4 text-sm text-red-300">Error: {state.error}</div> : null}
+
+      <ul className="divide-y divide-zinc-800">
+        {!state.loading && !d?.items?.length ? <li className="p-6 text-zinc-400">No coverage stored yet.</li> : null}
+        {(d?.items ?? []).map((it) => (
+          <li key={it.id} className="p-4 flex gap-4">
+            <div className="min-w-0 flex-1">
+              <a
+                href={it.url}
+                target="_blank"
+                rel="noreferrer"
+                className="text-base font-medium hover:underline"
+                onClick={(e) => readerClick(e, () => onOpen(it))}
+              >
+                {it.translation?.title ?? it.title}
+              </a>
+              <div className="mt-1 text-sm text-zinc-400 flex flex-wrap gap-x-3 gap-y-1">
+                <span>
+                  Source: <span className="text-zinc-300">{it.source}</span>
+                </span>
+                {it.publishedAt ? (
+                  <span>
+                    {publishedLabel(it)}: <span className="text-zinc-300">{fmtLocal(it.publishedAt)}</span>
+                  </span>
+                ) : null}
+                {it.genre ? (
+                  <span>
+                    Genre: <span className="text-zinc-300">{it.genre}</span>
+                  </span>
+                ) : null}
+              </div>
+              <EntityLinks entities={it.entities?.filter((e) => e.id !== id)} onSelect={onSelect} />
+            </div>
+            <Thumbnail src={it.image} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const SHARE_COLORS = ["bg-sky-400", "bg-emerald-400", "bg-amber-400", "bg-rose-400", "bg-violet-400", "bg-lime-400", "bg-zinc-500"];
+
+function change(count, previous) {
+  if (!previous) return count ? "new" : "±0";
+  const d = count - previous;
+  return `${d > 0 ? "+" : d < 0 ? "−" : "±"}${Math.abs(d)}`;
+}
+
+function Bars({ values, className = "h-24", title }) {
+  const max = Math.max(1, ...values);
+  return (
+    <div className={"flex items-end gap-px " + className}>
+      {values.map((v, i) => (
+        <div
+          key={i}
+          className="flex-1 bg-zinc-300/80 rounded-t-sm min-h-px"
+          style={{ height: `${(v / max) * 100}%` }}
+          title={title?.(i, v)}
+        />
+      ))}
+    </div>
+  );
+}
+
+function StatsDashboard({ hours, version, onOpen, onSelectEntity }) {
+  const [state, setState] = useState({ loading: true, error: "", data: null });
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch(`/api/stats?hours=${encodeURIComponent(hours)}`, { signal: ctrl.signal })
+      .then(async (res) => {
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+        setState({ loading: false, error: "", data: json });
+      })
+      .catch((e) => {
+        if (e?.name !== "AbortError") setState({ loading: false, error: e?.message ?? "Failed to load", data: null });
+      });
+    return () => ctrl.abort();
+  }, [hours, version]);
+
+  const d = state.data;
+  if (!d) {
+    return (
+      <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-4 text-sm">
+        {state.error ? <span className="text-red-300">Error: {state.error}</span> : "Loading stats…"}
+      </div>
+    );
+  }
+
+  const topSources = d.sources.filter((s) => s.count > 0).slice(0, SHARE_COLORS.length - 1);
+  const otherShare = 1 - topSources.reduce((n, s) => n + s.share, 0);
+  const maxGenre = Math.max(1, ...d.genres.map((g) => g.count));
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-4">
+        <div className="flex items-baseline justify-between">
+          <div className="text-lg font-semibold">Trending now</div>
+          <div className="text-sm text-zinc-400">
+            {d.totals.current} items in the last {d.hours}h ({change(d.totals.current, d.totals.previous)} vs previous{" "}
+            {d.hours}h)
+          </div>
+        </div>
+        {d.trending.length === 0 ? (
+          <div className="mt-3 text-sm text-zinc-400">Nothing is spiking right now.</div>
+        ) : (
+          <ol className="mt-3 flex flex-col gap-3">
+            {d.trending.map((t, i) => (
+              <li key={t.id} className="flex gap-3">
+                <span className="w-5 text-right text-zinc-500">{i + 1}</span>
+                <div className="min-w-0 flex-1">
+                  <div className="flex flex-wrap items-baseline gap-x-2">
+                    {t.kind === "entity" ? (
+                      <button className="font-medium hover:underline" onClick={() => onSelectEntity(t.id)}>
+                        {t.label}
+                      </button>
+                    ) : (
+                      <span className="font-medium">“{t.label}”</span>
+                    )}
+                    {t.type ? <span className="text-xs text-zinc-500">{t.type}</span> : null}
+                    <span className="text-xs text-emerald-300">
+                      {t.previous ? `×${t.ratio}` : "new"} · {t.count} items
+                    </span>
+                  </div>
+                  <ul className="text-sm text-zinc-400">
+                    {t.samples.map((it) => (
+                      <li key={it.id} className="truncate">
+                        <a
+                          href={it.url}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="hover:underline"
+                          onClick={(e) => readerClick(e, () => onOpen(it))}
+                        >
+                          {it.title}
+                        </a>{" "}
+                        <span className="text-zinc-500">— {it.source}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-4">
+        <div className="text-sm text-zinc-400 mb-2">Items per hour</div>
+        <Bars
+          values={d.byHour.map((b) => b.count)}
+          title={(i, v) => `${fmtLocal(d.byHour[i].at)} · ${v}`}
+        />
+        <div className="mt-1 flex justify-between text-xs text-zinc-500">
+          <span>{fmtLocal(d.window.from)}</span>
+          <span>now</span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-4">
+          <div className="text-sm text-zinc-400 mb-2">Genres</div>
+          <ul className="flex flex-col gap-2">
+            {d.genres.map((g) => (
+              <li key={g.genre} className="text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span>{g.genre}</span>
+                  <span className="text-zinc-400">
+                    {g.count} <span className="text-xs text-zinc-500">({change(g.count, g.previous)})</span>
+                  </span>
+                </div>
+                <div className="mt-1 flex items-center gap-2">
+                  <div className="flex-1 h-2 bg-zinc-800 rounded-full overflow-hidden">
+                    <div className="h-full bg-zinc-300" style={{ width: `${(g.count / maxGenre) * 100}%` }} />
+                  </div>
+                  <Bars values={g.hourly} className="h-4 w-24" />
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-4">
+          <div className="text-sm text-zinc-400 mb-2">Source share</div>
+          <div className="flex h-3 rounded-full overflow-hidden bg-zinc-800">
+            {topSources.map((s, i) => (
+              <div key={s.source} className={SHARE_COLORS[i]} style={{ width: `${s.share * 100}%` }} title={s.source} />
+            ))}
+            {otherShare > 0.001 ? (
+              <div className={SHARE_COLORS[SHARE_COLORS.length - 1]} style={{ width: `${otherShare * 100}%` }} />
+            ) : null}
+          </div>
+          <ul className="mt-3 flex flex-col gap-1 text-sm">
+            {d.sources.map((s, i) => (
+              <li key={s.source} className="flex items-center justify-between gap-2">
+                <span className="flex items-center gap-2 min-w-0">
+                  <span
+                    className={
+                      "inline-block w-2 h-2 rounded-full flex-none " +
+                      (SHARE_COLORS[Math.min(i, SHARE_COLORS.length - 1)] ?? "")
+                    }
+                  />
+                  <span className="truncate">{s.source}</span>
+                </span>
+                <span className="text-zinc-400">
+                  {Math.round(s.share * 100)}% · {s.count}{" "}
+                  <span className="text-xs text-zinc-500">({change(s.count, s.previous)})</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {d.risingKeywords.length ? (
+        <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-4">
+          <div className="text-sm text-zinc-400 mb-2">Rising keywords</div>
+          <div className="flex flex-wrap gap-2">
+            {d.risingKeywords.map((k) => (
+              <span key={k.term} className="rounded-full border border-zinc-800 px-3 py-1 text-sm">
+                {k.term} <span className="text-xs text-emerald-300">{k.previous ? `×${k.ratio}` : "new"}</span>
+              </span>
+            ))}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function ItemActions({ id, isRead, isSaved, onToggleRead, onToggleSaved, shareUrl }) {
+  const [copied, setCopied] = useState(false);
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      window.prompt("Copy this link", shareUrl);
+    }
+  }
+
+  return (
+    <span className="flex gap-3">
+      <button className="text-zinc-400 hover:text-zinc-100" onClick={() => onToggleRead(id)}>
+        {isRead ? "Mark unread" : "Mark read"}
+      </button>
+      <button
+        className={isSaved ? "text-amber-300 hover:text-amber-200" : "text-zinc-400 hover:text-zinc-100"}
+        onClick={onToggleSaved}
+      >
+        {isSaved ? "★ Saved" : "☆ Save"}
+      </button>
+      {shareUrl ? (
+        <button className="text-zinc-400 hover:text-zinc-100" onClick={copyLink}>
+          {copied ? "Link copied" : "Copy link"}
+        </button>
+      ) : null}
+    </span>
+  );
+}
+
+function SavedList({ saved, onOpen, onUnsave }) {
+  return (
+    <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
+      <div className="p-4 border-b border-zinc-800">
+        <div className="text-lg font-semibold">Saved</div>
+        <div className="text-sm text-zinc-400">{saved.length} items · kept on this device</div>
+      </div>
+      <ul className="divide-y divide-zinc-800">
+        {saved.length === 0 ? <li className="p-6 text-zinc-400">Nothing saved yet. Use “☆ Save” on any item.</li> : null}
+        {saved.map((it) => (
+          <li key={it.id} className="p-4 flex gap-4">
+            <div className="min-w-0 flex-1">
+              <a
+                href={it.url}
+                target="_blank"
+                rel="noreferrer"
+                className="text-base font-medium hover:underline"
+                onClick={(e) => readerClick(e, () => onOpen(it))}
+              >
+                {it.translation?.title ?? it.title}
+              </a>
+              <div className="mt-1 text-sm text-zinc-400 flex flex-wrap gap-x-3 gap-y-1">
+                <span>
+                  Source: <span className="text-zinc-300">{it.source}</span>
+                </span>
+                {it.publishedAt ? (
+                  <span>
+                    {publishedLabel(it)}: <span className="text-zinc-300">{fmtLocal(it.publishedAt)}</span>
+                  </span>
+                ) : null}
+                <span>
+                  Saved: <span className="text-zinc-300">{fmtLocal(it.savedAt)}</span>
+                </span>
+                <button className="text-zinc-400 hover:text-zinc-100" onClick={() => onUnsave(it.id)}>
+                  Remove
+                </button>
+              </div>
+            </div>
+            <Thumbnail src={it.image} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// ソース別: /api/news?source= で取り直す（読み込んでいないジャンルの記事も出る）。
+// 代表記事に加え、他ソースの記事にまとめられた分（alsoReportedBy）も含める
+function SourceView({ source, hours, lang, version, onOpen, onSelectEntity, onBack }) {
+  const [state, setState] = useState({ loading: true, error: "", data: null });
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetch(newsUrl(hours, lang, { source }), { signal: ctrl.signal })
+      .then(async (res) => {
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+        setState({ loading: false, error: "", data: json });
+      })
+      .catch((e) => {
+        if (e?.name !== "AbortError") setState({ loading: false, error: e?.message ?? "Failed to load", data: null });
+      });
+    return () => ctrl.abort();
+  }, [source, hours, lang, version]);
+
+  const items = useMemo(() => {
+    const out = [];
+    for (const it of state.data?.items ?? []) {
+      if (it.source === source) out.push(it);
+      for (const o of it.alsoReportedBy ?? []) {
+        if (o.source === source) out.push({ ...o, genre: it.genre });
+      }
+    }
+    return out.sort(byNewest);
+  }, [state.data, source]);
+
+  return (
+    <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
+      <div className="p-4 border-b border-zinc-800 flex items-center justify-between gap-2">
+        <div>
+          <div className="text-lg font-semibold">{source}</div>
+          <div className="text-sm text-zinc-400">
+            {state.loading ? "Loading…" : `${items.length} items · last ${hours} hours`}
+          </div>
+        </div>
+        <button className="text-sm text-zinc-300 hover:text-zinc-100" onClick={onBack}>
+          ← Back
+        </button>
+      </div>
+
+      {state.error ? <div className="p-4 text-sm text-red-300">Error: {state.error}</div> : null}
+
+      <ul className="divide-y divide-zinc-800">
+        {!state.loading && items.length === 0 ? (
+          <li className="p-6 text-zinc-400">No items from this source in the window.</li>
+        ) : null}
+        {items.map((it) => (
+          <li key={it.id} className="p-4 flex gap-4">
+            <div className="min-w-0 flex-1">
+              <a
+                href={it.url}
+                target="_blank"
+                rel="noreferrer"
+                className="text-base font-medium hover:underline"
+                onClick={(e) => readerClick(e, () => onOpen(it))}
+              >
+                {it.translation?.title ?? it.title}
+              </a>
+              <div className="mt-1 text-sm text-zinc-400 flex flex-wrap gap-x-3 gap-y-1">
+                {it.publishedAt ? (
+                  <span>
+                    {publishedLabel(it)}: <span className="text-zinc-300">{fmtLocal(it.publishedAt)}</span>
+                  </span>
+                ) : null}
+                {it.genre ? (
+                  <span>
+                    Genre: <span className="text-zinc-300">{it.genre}</span>
+                  </span>
+                ) : null}
+              </div>
+              <EntityLinks entities={it.entities} onSelect={onSelectEntity} />
+            </div>
+            <Thumbnail src={it.image} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function ForYouList({ state, hasPrefs, readIds, onOpen, onSelectEntity, onEditPrefs }) {
+  const d = state.data;
+  return (
+    <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
+      <div className="p-4 border-b border-zinc-800 flex items-center justify-between gap-2">
+        <div>
+          <div className="text-lg font-semibold">For you</div>
+          <div className="text-sm text-zinc-400">
+            {state.loading && !d
+              ? "Ranking…"
+              : `${d?.items?.length ?? 0} of ${d?.total ?? 0} items · ranked by recency, preferred sources and interests`}
+          </div>
+        </div>
+        <button className="text-sm text-zinc-300 hover:text-zinc-100" onClick={onEditPrefs}>
+          Edit preferences
+        </button>
+      </div>
+
+      {state.error ? <div className="p-4 text-sm text-red-300">Error: {state.error}</div> : null}
+      {!hasPrefs ? (
+        <div className="p-4 text-sm text-zinc-400 border-b border-zinc-800">
+          Add interests or preferred sources in Preferences to personalise this list. Until then it is sorted by
+          recency and coverage.
+        </div>
+      ) : null}
+
+      <ul className="divide-y divide-zinc-800">
+        {(d?.items ?? []).map((it) => (
+          <li key={it.id} className="p-4 flex gap-4">
+            <div className="min-w-0 flex-1">
+              <a
+                href={it.url}
+                target="_blank"
+                rel="noreferrer"
+                className={"text-base font-medium hover:underline" + (readIds.has(it.id) ? " text-zinc-400" : "")}
+                onClick={(e) => readerClick(e, () => onOpen(it))}
+              >
+                {it.translation?.title ?? it.title}
+              </a>
+              <div className="mt-1 text-sm text-zinc-400 flex flex-wrap gap-x-3 gap-y-1">
+                <span>
+                  Source: <span className="text-zinc-300">{it.source}</span>
+                </span>
+                {it.publishedAt ? (
+                  <span>
+                    {publishedLabel(it)}: <span className="text-zinc-300">{fmtLocal(it.publishedAt)}</span>
+                  </span>
+                ) : null}
+                {it.genre ? (
+                  <span>
+                    Genre: <span className="text-zinc-300">{it.genre}</span>
+                  </span>
+                ) : null}
+                {it.reasons?.length ? <span className="text-sky-300">{it.reasons.join(" · ")}</span> : null}
+              </div>
+              <EntityLinks entities={it.entities} onSelect={onSelectEntity} />
+            </div>
+            <Thumbnail src={it.image} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// カンマ・改行区切りのリスト。入力中は下書きで持ち、フォーカスが外れたら反映する
+function ListField({ label, hint, values, onChange }) {
+  const [draft, setDraft] = useState(values.join(", "));
+  return (
+    <label className="block">
+      <div className="text-sm font-medium">{label}</div>
+      <div className="text-xs text-zinc-500">{hint}</div>
+      <textarea
+        className="mt-2 w-full bg-zinc-950/40 border border-zinc-800 rounded-xl px-3 py-2 text-sm outline-none focus:border-zinc-600"
+        rows={2}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => onChange(draft.split(/[,\n]/).map((s) => s.trim()).filter(Boolean))}
+      />
+    </label>
+  );
+}
+
+function PrefsPanel({ prefs, onChange, sources, genres, syncKey, sync, onEnableSync, onUseSyncKey, onDisableSync }) {
+  const [keyDraft, setKeyDraft] = useState("");
+  const lower = (list) => list.map((s) => s.toLowerCase());
+  const sourceMode = (name) =>
+    lower(prefs.preferredSources).includes(name.toLowerCase())
+      ? "prefer"
+      : lower(prefs.mutedSources).includes(name.toLowerCase())
+        ? "mute"
+        : "normal";
+
+  function setSourceMode(name, mode) {
+    const without = (list) => list.filter((s) => s.toLowerCase() !== name.toLowerCase());
+    onChange({
+      preferredSources: mode === "prefer" ? [...without(prefs.preferredSources), name] : without(prefs.preferredSources),
+      mutedSources: mode === "mute" ? [...without(prefs.mutedSources), name] : without(prefs.mutedSources),
+    });
+  }
+
+  function moveGenre(g, delta) {
+    const order = genres.slice();
+    const i = order.indexOf(g);
+    const j = i + delta;
+    if (i < 0 || j < 0 || j >= order.length) return;
+    [order[i], order[j]] = [order[j], order[i]];
+    onChange({ genreOrder: order });
+  }
+
+  return (
+    <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
+      <div className="p-4 border-b border-zinc-800">
+        <div className="text-lg font-semibold">Preferences</div>
+        <div className="text-sm text-zinc-400">Stored on this device{syncKey ? " and synced" : ""}.</div>
+      </div>
+
+      <div className="p-4 flex flex-col gap-6">
+        <section>
+          <div className="text-sm font-medium">Sources</div>
+          <div className="text-xs text-zinc-500">Preferred sources rank higher in For you. Muted sources are hidden.</div>
+          <ul className="mt-2 flex flex-col gap-1">
+            {sources.map((name) => (
+              <li key={name} className="flex items-center justify-between gap-2 text-sm">
+                <span className="truncate">{name}</span>
+                <span className="flex gap-1">
+                  {["prefer", "normal", "mute"].map((mode) => (
+                    <button
+                      key={mode}
+                      onClick={() => setSourceMode(name, mode)}
+                      className={
+                        "rounded-lg px-2 py-0.5 text-xs border " +
+                        (sourceMode(name) === mode
+                          ? mode === "mute"
+                            ? "bg-red-950/60 border-red-800 text-red-200"
+                            : "bg-zinc-100 border-zinc-100 text-zinc-950"
+                          : "border-zinc-800 text-zinc-400 hover:border-zinc-700")
+                      }
+                    >
+                      {mode === "prefer" ? "Prefer" : mode === "mute" ? "Mute" : "Normal"}
+                    </button>
+                  ))}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <ListField
+          key={`interests|${prefs.interests.join("|")}`}
+          label="Interests"
+          hint="Artists, keywords or genres to rank higher, separated by commas."
+          values={prefs.interests}
+          onChange={(interests) => onChange({ interests })}
+        />
+        <ListField
+          key={`muted|${prefs.mutedKeywords.join("|")}`}
+          label="Muted keywords"
+          hint="Items whose title or summary contains one of these words are hidden."
+          values={prefs.mutedKeywords}
+          onChange={(mutedKeywords) => onChange({ mutedKeywords })}
+        />
+
+        <section>
+          <div className="flex items-center justify-between">
+            <div>
+              <div className="text-sm font-medium">Genre order</div>
+              <div className="text-xs text-zinc-500">Order of the genre list in the sidebar.</div>
+            </div>
+            {prefs.genreOrder.length ? (
+              <button className="text-xs text-zinc-400 hover:text-zinc-100" onClick={() => onChange({ genreOrder: [] })}>
+                Reset
+              </button>
+            ) : null}
+          </div>
+          <ul className="mt-2 flex flex-col gap-1">
+            {genres.map((g, i) => (
+              <li key={g} className="flex items-center justify-between text-sm">
+                <span>{g}</span>
+                <span className="flex gap-1">
+                  <button
+                    className="px-2 text-zinc-400 hover:text-zinc-100 disabled:opacity-30"
+                    disabled={i === 0}
+                    onClick={() => moveGenre(g, -1)}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="px-2 text-zinc-400 hover:text-zinc-100 disabled:opacity-30"
+                    disabled={i === genres.length - 1}
+                    onClick={() => moveGenre(g, 1)}
+                  >
+                    ↓
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section>
+          <div className="text-sm font-medium">Sync</div>
+          <div className="text-xs text-zinc-500">
+            Share preferences between devices with a sync key. Anyone with the key can read and change them. Only works when the server keeps data in persistent storage.
+          </div>
+          {syncKey ? (
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+              <code className="bg-zinc-950/40 border border-zinc-800 rounded-lg px-2 py-1 select-all">{syncKey}</code>
+              <button className="text-zinc-400 hover:text-zinc-100" onClick={onDisableSync}>
+                Stop syncing
+              </button>
+            </div>
+          ) : (
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+              <button
+                className="bg-zinc-950/40 border border-zinc-800 rounded-xl px-3 py-1.5 hover:border-zinc-700"
+                onClick={onEnableSync}
+              >
+                Create sync key
+              </button>
+              <input
+                className="flex-1 min-w-40 bg-zinc-950/40 border border-zinc-800 rounded-xl px-3 py-1.5 outline-none focus:border-zinc-600"
+                placeholder="or paste a key from another device"
+                value={keyDraft}
+                onChange={(e) => setKeyDraft(e.target.value)}
+              />
+              <button
+                className="bg-zinc-950/40 border border-zinc-800 rounded-xl px-3 py-1.5 hover:border-zinc-700 disabled:opacity-40"
+                disabled={!keyDraft.trim()}
+                onClick={() => onUseSyncKey(keyDraft.trim())}
+              >
+                Use key
+              </button>
+            </div>
+          )}
+          {sync.error ? <div className="mt-2 text-sm text-red-300">Sync error: {sync.error}</div> : null}
+          {sync.at ? <div className="mt-1 text-xs text-zinc-500">Last synced {fmtLocal(sync.at)}</div> : null}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+function Highlighted({ text, ranges }) {
+  const parts = [];
+  let pos = 0;
+  for (const [a, b] of ranges ?? []) {
+    if (a > pos) parts.push(text.slice(pos, a));
+    parts.push(
+      <mark key={a} className="bg-yellow-300/30 text-inherit rounded px-0.5">
+        {text.slice(a, b)}
+      </mark>
+    );
+    pos = b;
+  }
+  if (pos < text.length) parts.push(text.slice(pos));
+  return <>{parts}</>;
+}
+
+function SearchResults({ q, search, onOpen }) {
+  return (
+    <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
+      <div className="p-4 border-b border-zinc-800">
+        <div className="text-lg font-semibold">Search: “{q}”</div>
+        <div className="text-sm text-zinc-400">
+          {search.loading ? "Searching…" : `${search.data?.total ?? 0} results across all genres`}
+        </div>
+        {search.data?.durable === false ? (
+          <div className="mt-1 text-xs text-amber-300">
+            This deployment has no persistent archive: only the last {search.data.liveHours}h are searched.
+          </div>
+        ) : null}
+      </div>
+
+      {search.error ? (
+        <div className="p-4 text-sm text-red-300">Error: {search.error}</div>
+      ) : null}
+
+      <ul className="divide-y divide-zinc-800">
+        {(search.data?.results ?? []).map((r) => (
+          <li key={r.id} className="p-4 flex gap-4">
+            <div className="min-w-0 flex-1">
+              <a
+                href={r.url}
+                target="_blank"
+                rel="noreferrer"
+                className="text-base font-medium hover:underline"
+                onClick={(e) => readerClick(e, () => onOpen(r))}
+              >
+                {r.translation?.title ?? r.title}
+              </a>
+              <div className="mt-1 text-sm text-zinc-400 flex flex-wrap gap-x-3 gap-y-1">
+                <span>
+                  Source: <span className="text-zinc-300">{r.source}</span>
+                </span>
+                {r.author ? (
+                  <span>
+                    By <span className="text-zinc-300">{r.author}</span>
+                  </span>
+                ) : null}
+                {r.publishedAt ? (
+                  <span>
+                    {publishedLabel(r)}: <span className="text-zinc-300">{fmtLocal(r.publishedAt)}</span>
+                  </span>
+                ) : null}
+                {r.genre ? (
+                  <span>
+                    Genre: <span className="text-zinc-300">{r.genre}</span>
+                  </span>
+                ) : null}
+              </div>
+              {r.snippet ? (
+                <p className="mt-2 text-sm text-zinc-300 leading-relaxed">
+                  <Highlighted text={r.snippet.text} ranges={r.snippet.highlights} />
+                </p>
+              ) : null}
+            </div>
+            <Thumbnail src={r.image} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function FeedAdmin() {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [onlyProblems, setOnlyProblems] = useState(false);
+
+  async function check() {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await fetch("/api/feeds/validate");
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      setReport(await res.json());
+    } catch (e) {
+      setError(e?.message ?? "Failed to validate");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    check();
+  }, []);
+
+  const rows = (report?.rows ?? []).filter((r) => !onlyProblems || r.problems.length > 0);
+
+  return (
+    <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
+      <div className="p-4 border-b border-zinc-800 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="text-lg font-semibold">Feed list</div>
+          <div className="text-sm text-zinc-400">
+            {report ? (
+              <>
+                {report.summary.willLoad}/{report.summary.rows} rows will load ·{" "}
+                <span className={report.summary.errors ? "text-red-300" : ""}>{report.summary.errors} errors</span> ·{" "}
+                <span className={report.summary.warnings ? "text-yellow-300" : ""}>
+                  {report.summary.warnings} warnings
+                </span>
+                {report.usingFallback ? " · FEEDS_CSV_URL not set (built-in list)" : null}
+              </>
+            ) : (
+              <>Checking feeds…</>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-2 text-sm text-zinc-300 select-none">
+            <input type="checkbox" checked={onlyProblems} onChange={(e) => setOnlyProblems(e.target.checked)} />
+            Only problems
+          </label>
+          <button
+            className="bg-zinc-100 text-zinc-950 rounded-xl px-3 py-2 text-sm font-medium hover:opacity-90"
+            onClick={check}
+            disabled={loading}
+          >
+            {loading ? "Checking…" : "Re-check"}
+          </button>
+        </div>
+      </div>
+
+      {error ? <div className="p-4 text-sm text-red-300">Error: {error}</div> : null}
+
+      {report?.unknownColumns?.length || report?.missingColumns?.length ? (
+        <div className="p-4 border-b border-zinc-800 text-sm text-yellow-300">
+          {report.missingColumns.length ? <div>Missing columns: {report.missingColumns.join(", ")}</div> : null}
+          {report.unknownColumns.length ? (
+            <div>Unknown columns (ignored): {report.unknownColumns.join(", ")}</div>
+          ) : null}
+        </div>
+      ) : null}
+
+      <ul className="divide-y divide-zinc-800">
+        {rows.map((r) => (
+          <li key={r.row} className={"p-4" + (r.enabled ? "" : " opacity-50")}>
+            <div className="flex flex-wrap items-baseline gap-x-3">
+              <span className="text-xs text-zinc-500">row {r.row}</span>
+              <span className="font-medium">{r.feed.source || "(no source)"}</span>
+              <span className="text-xs text-zinc-400">{r.feed.defaultGenre}</span>
+              {!r.enabled ? <span className="text-xs text-zinc-500">disabled</span> : null}
+              {r.check?.ok ? (
+                <span className="text-xs text-zinc-400">
+                  {r.check.itemCount} items · {r.check.latencyMs} ms
+                </span>
+              ) : null}
+            </div>
+            <div className="text-xs text-zinc-400 break-all">{r.feed.url || r.fields.url}</div>
+
+            {r.problems.length ? (
+              <ul className="mt-2 flex flex-col gap-1">
+                {r.problems.map((p, i) => (
+                  <li key={i} className={"text-sm " + (p.level === "error" ? "text-red-300" : "text-yellow-300")}>
+                    {p.level === "error" ? "✕" : "!"} {p.field ? `${p.field}: ` : ""}
+                    {p.message}
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+
+            {r.check?.preview?.length ? (
+              <ul className="mt-2 flex flex-col gap-1 text-sm">
+                {r.check.preview.map((it, i) => (
+                  <li key={it.url ?? i} className="text-zinc-300">
+                    <a href={it.url} target="_blank" rel="noreferrer" className="hover:underline">
+                      {it.title || "(untitled)"}
+                    </a>{" "}
+                    <span className="text-zinc-500">→ {it.genre}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const ROUTE_OPTIONS = { defaultHours: DEFAULT_HOURS };
+
 export default function MusicNews24hApp() {
-  const [hours, setHours] = useState(DEFAULT_HOURS);
+  // 初期状態は URL から（共有リンク・リロード・戻る/進む）
+  const [initial] = useState(() => parseRoute(window.location.search, ROUTE_OPTIONS));
+  const [hours, setHours] = useState(initial.hours);
+  const [lang, setLang] = useState(DEFAULT_LANG);
   const [data, setData] = useState(null);
+  const [pages, setPages] = useState({}); // 読み込んだジャンル -> { loading, error, nextCursor }
+  const loadSeq = useRef(0); // hours / lang を変えたら前の応答は捨てる
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
-  const [activeGenre, setActiveGenre] = useState("Techno");
-  const [q, setQ] = useState("");
-  const [hideEmpty, setHideEmpty] = useState(true);
-
-  const genres = useMemo(() => {
-    const g = data?.genres ?? {};
-    const keys = Object.keys(g);
-    const ordered = [
-      ...GENRE_ORDER.filter((k) => keys.includes(k)),
-      ...keys.filter((k) => !GENRE_ORDER.includes(k)).sort(),
-    ];
-    return ordered;
+  const [activeGenre, setActiveGenre] = useState(initial.genre ?? "Techno");
+  const [q, setQ] = useState(initial.q);
+  const [search, setSearch] = useState({ loading: false, error: "", data: null });
+  const [hideEmpty, setHideEmpty] = useState(initial.hideEmpty);
+  const [view, setView] = useState(initial.view); // "news" | "stats" | "feeds" | "saved" | "entity" | "source"
+  const [entityId, setEntityId] = useState(initial.entity);
+  const [sourceName, setSourceName] = useState(initial.source);
+  const [reader, setReader] = useState(null); // リーダー表示中のアイテム
+  const [pendingItemId, setPendingItemId] = useState(initial.item); // データ到着後にリーダーで開く
+  const [offline, setOffline] = useState(false); // Service Worker が返した前回の保存分を表示中
+  const [incoming, setIncoming] = useState([]); // ライブ更新で届いた未反映の新着
+  const [prefs, setPrefs] = useState(loadPrefs);
+  const [syncKey, setSyncKey] = useState(loadSyncKey);
+  const [sync, setSync] = useState({ at: null, error: "" });
+  const [forYou, setForYou] = useState({ loading: false, error: "", data: null });
+  const [readIds, setReadIds] = useState(() => new Set());
+  const [saved, setSaved] = useState([]);
+
+  // 既読・保存は端末ごと（IndexedDB）
+  useEffect(() => {
+    loadReadIds().then(setReadIds);
+    loadSaved().then(setSaved);
+  }, []);
+
+  const itemsById = useMemo(() => {
+    const m = new Map();
+    for (const it of data?.items ?? []) m.set(it.id, it);
+    return m;
   }, [data]);
 
-  const activeItems = useMemo(() => {
-    const items = (data?.genres?.[activeGenre] ?? []).slice();
-    const query = norm(q).toLowerCase();
-    if (!query) return items;
-    return items.filter((it) => {
-      const t = norm(it.title).toLowerCase();
-      const s = norm(it.source).toLowerCase();
-      return t.includes(query) || s.includes(query);
-    });
-  }, [data, activeGenre, q]);
+  // ジャンル一覧と件数は genreCounts（全体）から。中身は開いたジャンルの分だけ持つ
+  const genreCounts = useMemo(() => data?.genreCounts ?? {}, [data]);
+  const genres = useMemo(() => orderGenres(Object.keys(genreCounts), prefs.genreOrder), [genreCounts, prefs.genreOrder]);
+
+  // ミュートの判定はサーバー（/api/foryou）。判定が届くまでは全件表示
+  const mutedIds = useMemo(() => new Set((forYou.data?.muted ?? []).map((m) => m.id)), [forYou.data]);
+  const genreIndex = useMemo(() => {
+    const out = {};
+    for (const [g, ids] of Object.entries(data?.genreIndex ?? {})) out[g] = ids.filter((id) => !mutedIds.has(id));
+    return out;
+  }, [data, mutedIds]);
+
+  const activeItems = useMemo(
+    () => (genreIndex[activeGenre] ?? []).map((id) => itemsById.get(id)).filter(Boolean),
+    [genreIndex, itemsById, activeGenre]
+  );
+
+  // 検索はサーバー側（全ジャンル・保存済みアイテム対象）。入力が止まってから投げる
+  const query = norm(q);
+  useEffect(() => {
+    if (!query) return;
+    const ctrl = new AbortController();
+    const timer = setTimeout(async () => {
+      setSearch((cur) => ({ ...cur, loading: true, error: "" }));
+      try {
+        const res = await fetch(`/api/search?q=${encodeURIComponent(query)}&lang=${encodeURIComponent(lang)}`, {
+          signal: ctrl.signal,
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        setSearch({ loading: false, error: "", data: await res.json() });
+      } catch (e) {
+        if (e?.name === "AbortError") return;
+        setSearch({ loading: false, error: e?.message ?? "Search failed", data: null });
+      }
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      ctrl.abort();
+    };
+  }, [query, lang]);
 
+  // 最初は開いているジャンルの1ページ目と、全ジャンルの件数だけを取る
   async function load() {
+    const seq = ++loadSeq.current;
+    const genre = activeGenre;
     setLoading(true);
     setError("");
     try {
-      const res = await fetch(`/api/news?hours=${encodeURIComponent(hours)}`);
+      const res = await fetch(newsUrl(hours, lang, { genre, limit: PAGE_SIZE }));
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const json = await res.json();
+      if (seq !== loadSeq.current) return;
       setData(json);
+      setPages({ [genre]: { loading: false, error: "", nextCursor: json.nextCursor } });
+      setIncoming([]);
+      setOffline(res.headers.get("X-Offline-Copy") === "1");
 
-      const keys = Object.keys(json?.genres ?? {});
+      const keys = Object.keys(json?.genreCounts ?? {});
       if (keys.length) {
-        const preferred = GENRE_ORDER.find((k) => keys.includes(k)) ?? keys[0];
+        const preferred = orderGenres(keys, prefs.genreOrder)[0];
         setActiveGenre((cur) => (keys.includes(cur) ? cur : preferred));
       }
     } catch (e) {
@@ -84,12 +1418,281 @@ export default function MusicNews24hApp() {
   useEffect(() => {
     load();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [hours]);
+  }, [hours, lang]);
 
-  const totalCount = useMemo(() => {
-    const g = data?.genres ?? {};
-    return Object.values(g).reduce((acc, arr) => acc + (arr?.length ?? 0), 0);
-  }, [data]);
+  // ジャンルの続き（cursor が無ければ1ページ目）を読み込んで足す
+  async function loadGenre(genre, cursor = null) {
+    const seq = loadSeq.current;
+    setPages((cur) => ({ ...cur, [genre]: { ...cur[genre], loading: true, error: "" } }));
+    try {
+      const res = await fetch(newsUrl(hours, lang, { genre, limit: PAGE_SIZE, ...(cursor ? { cursor } : {}) }));
+      const json = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+      if (seq !== loadSeq.current) return;
+      setData((cur) => (cur ? addItems(cur, json.items) : cur));
+      setPages((cur) => ({ ...cur, [genre]: { loading: false, error: "", nextCursor: json.nextCursor } }));
+    } catch (e) {
+      if (seq !== loadSeq.current) return;
+      setPages((cur) => ({ ...cur, [genre]: { ...cur[genre], loading: false, error: e?.message ?? "Failed to load" } }));
+    }
+  }
+
+  // タブを切り替えたら、まだ読み込んでいないジャンルを取りに行く
+  useEffect(() => {
+    if (!data || pages[activeGenre] || !genreCounts[activeGenre]) return;
+    loadGenre(activeGenre);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [data, pages, genreCounts, activeGenre]);
+
+  // -----------------------------
+  // Live updates (SSE)
+  // -----------------------------
+  // 取得したスナップショット（generatedAt）以降の新着を受け取り、「N new items」で反映する。
+  // 既知のストーリーに記事が加わった（update）ときは、表示中ならその場で置き換え、未反映の新着ならそちらを置き換える
+  const generatedAt = data?.generatedAt;
+  useEffect(() => {
+    if (!generatedAt || offline || typeof EventSource === "undefined") return;
+    const es = new EventSource(
+      `/api/stream?hours=${encodeURIComponent(hours)}&lang=${encodeURIComponent(lang)}&since=${encodeURIComponent(generatedAt)}`
+    );
+    const replaceIncoming = (items, { add }) =>
+      setIncoming((cur) => {
+        const ids = new Set(items.flatMap(memberIds));
+        const kept = cur.filter((it) => !ids.has(it.id));
+        const pending = new Set(cur.filter((it) => ids.has(it.id)).flatMap(memberIds));
+        return [...(add ? items : items.filter((it) => memberIds(it).some((id) => pending.has(id)))), ...kept];
+      });
+    es.addEventListener("items", (e) => replaceIncoming(JSON.parse(e.data).items ?? [], { add: true }));
+    es.addEventListener("update", (e) => {
+      const items = JSON.parse(e.data).items ?? [];
+      setData((cur) => {
+        if (!cur) return cur;
+        const shown = new Set(cur.items.map((it) => it.id));
+        const present = items.filter((it) => memberIds(it).some((id) => shown.has(id)));
+        return present.length ? mergeItems(cur, present) : cur;
+      });
+      replaceIncoming(items, { add: false });
+    });
+    return () => es.close();
+  }, [generatedAt, hours, lang, offline]);
+
+  const newItems = useMemo(() => incoming.filter((it) => !itemsById.has(it.id)), [incoming, itemsById]);
+
+  function applyIncoming() {
+    setData((cur) => (cur ? mergeItems(cur, newItems) : cur));
+    setIncoming([]);
+  }
+
+  // -----------------------------
+  // Preferences / For you
+  // -----------------------------
+  function updatePrefs(patch) {
+    setPrefs((cur) => {
+      const next = { ...cur, ...patch };
+      savePrefs(next);
+      return next;
+    });
+  }
+
+  // ランキングとミュート判定はサーバー側（他のクライアントと共通）。新着をマージしたら取り直す
+  const storyCount = data?.totalStories ?? 0;
+  useEffect(() => {
+    if (!generatedAt || offline) return;
+    const ctrl = new AbortController();
+    setForYou((cur) => ({ ...cur, loading: true, error: "" }));
+    fetch(`/api/foryou?hours=${encodeURIComponent(hours)}&lang=${encodeURIComponent(lang)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ prefs }),
+      signal: ctrl.signal,
+    })
+      .then(async (res) => {
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+        setForYou({ loading: false, error: "", data: json });
+      })
+      .catch((e) => {
+        if (e?.name !== "AbortError") setForYou((cur) => ({ ...cur, loading: false, error: e?.message ?? "Failed to rank" }));
+      });
+    return () => ctrl.abort();
+  }, [generatedAt, storyCount, hours, lang, offline, prefs]);
+
+  // 同期: 起動時にサーバー側を読み、以降の変更は少し待ってから書き戻す
+  const syncedJson = useRef(null);
+  useEffect(() => {
+    if (!syncKey) return;
+    const ctrl = new AbortController();
+    fetch(`/api/prefs?key=${encodeURIComponent(syncKey)}`, { signal: ctrl.signal })
+      .then(async (res) => {
+        if (res.status === 404) return;
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+        syncedJson.current = JSON.stringify(json.prefs);
+        setPrefs(json.prefs);
+        savePrefs(json.prefs);
+        setSync({ at: json.updatedAt, error: "" });
+      })
+      .catch((e) => {
+        if (e?.name !== "AbortError") setSync((cur) => ({ ...cur, error: e?.message ?? "Sync failed" }));
+      });
+    return () => ctrl.abort();
+  }, [syncKey]);
+
+  useEffect(() => {
+    if (!syncKey || JSON.stringify(prefs) === syncedJson.current) return;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/prefs?key=${encodeURIComponent(syncKey)}`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ prefs }),
+        });
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.message ?? `HTTP ${res.status}`);
+        syncedJson.current = JSON.stringify(json.prefs);
+        setSync({ at: json.updatedAt, error: "" });
+      } catch (e) {
+        setSync((cur) => ({ ...cur, error: e?.message ?? "Sync failed" }));
+      }
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [prefs, syncKey]);
+
+  function switchSyncKey(key) {
+    saveSyncKey(key);
+    syncedJson.current = null;
+    setSync({ at: null, error: "" });
+    setSyncKey(key);
+  }
+
+  const hasPrefs = Boolean(prefs.preferredSources.length || prefs.interests.length);
+  const sourceNames = useMemo(
+    () =>
+      [
+        ...new Set([
+          ...(data?.feedStatus?.feeds ?? []).map((f) => f.source),
+          ...prefs.mutedSources,
+          ...prefs.preferredSources,
+        ]),
+      ].sort((a, b) => a.localeCompare(b)),
+    [data, prefs.mutedSources, prefs.preferredSources]
+  );
+
+  // 共有リンクのアイテムは、取得窓内にあればそのデータで、無ければ id の URL で開く
+  useEffect(() => {
+    if (!pendingItemId || (!data && !error)) return;
+    const found =
+      itemsById.get(pendingItemId) ??
+      data?.items?.flatMap((it) => it.alsoReportedBy ?? []).find((o) => o.id === pendingItemId) ??
+      itemFromId(pendingItemId);
+    setPendingItemId(null);
+    setReader(found);
+  }, [pendingItemId, data, error, itemsById]);
+
+  // -----------------------------
+  // URL sync
+  // -----------------------------
+  // 画面・ジャンル・時間窓の変更は履歴に積み、検索語の入力中と初回は置き換えるだけ
+  const route = {
+    view,
+    genre: activeGenre,
+    hours,
+    q: query,
+    hideEmpty,
+    entity: entityId,
+    source: sourceName,
+    item: reader?.id ?? pendingItemId,
+  };
+  const routeSearch = formatRoute(route, ROUTE_OPTIONS);
+  const lastRoute = useRef(null);
+  useEffect(() => {
+    const prev = lastRoute.current;
+    lastRoute.current = route;
+    if (routeSearch === window.location.search || (!routeSearch && !window.location.search)) return;
+
+    const url = `${window.location.pathname}${routeSearch}${window.location.hash}`;
+    const onlyQueryChanged = prev && formatRoute({ ...prev, q: route.q }, ROUTE_OPTIONS) === routeSearch;
+    if (!prev || onlyQueryChanged) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [routeSearch]);
+
+  useEffect(() => {
+    const onPop = () => {
+      const r = parseRoute(window.location.search, ROUTE_OPTIONS);
+      lastRoute.current = r;
+      setView(r.view);
+      if (r.genre) setActiveGenre(r.genre);
+      setHours(r.hours);
+      setQ(r.q);
+      setHideEmpty(r.hideEmpty);
+      setEntityId(r.entity);
+      setSourceName(r.source);
+      setReader(null);
+      setPendingItemId(r.item);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const totalCount = data?.totalStories ?? 0;
+  const activePage = pages[activeGenre];
+  const closeReader = useCallback(() => setReader(null), []);
+
+  function markAsRead(ids) {
+    const fresh = ids.filter((id) => id && !readIds.has(id));
+    if (!fresh.length) return;
+    setReadIds((cur) => new Set([...cur, ...fresh]));
+    markRead(fresh);
+  }
+
+  function toggleRead(id) {
+    if (!readIds.has(id)) {
+      markAsRead([id]);
+      return;
+    }
+    setReadIds((cur) => {
+      const next = new Set(cur);
+      next.delete(id);
+      return next;
+    });
+    markUnread(id);
+  }
+
+  function toggleSaved(it) {
+    if (saved.some((x) => x.id === it.id)) {
+      setSaved((cur) => cur.filter((x) => x.id !== it.id));
+      unsaveItem(it.id);
+      return;
+    }
+    const entry = { ...it, savedAt: new Date().toISOString() };
+    setSaved((cur) => [entry, ...cur]);
+    saveItem(entry);
+  }
+
+  function openItem(it) {
+    setReader(it);
+    markAsRead([it.id]);
+  }
+
+  const savedIds = useMemo(() => new Set(saved.map((it) => it.id)), [saved]);
+  // 未読数は読み込んだページの分だけ数える。続きがあるジャンル（nextCursor あり）では「読み込んだ中の未読」
+  const unreadIn = (g) => (genreIndex[g] ?? []).filter((id) => !readIds.has(id)).length;
+  const partlyLoaded = (g) => Boolean(pages[g]?.nextCursor);
+
+  function openEntity(id) {
+    setEntityId(id);
+    setView("entity");
+  }
+
+  function openSource(name) {
+    setSourceName(name);
+    setView("source");
+  }
+
+  function shareUrl(itemId) {
+    return `${window.location.origin}${window.location.pathname}${formatRoute({ ...route, item: itemId }, ROUTE_OPTIONS)}`;
+  }
 
   return (
     <div className="min-h-screen bg-zinc-950 text-zinc-100">
@@ -119,13 +1722,26 @@ export default function MusicNews24hApp() {
               value={hours}
               onChange={(e) => setHours(Number(e.target.value))}
             >
-              {[6, 12, 24, 48].map((h) => (
+              {HOUR_OPTIONS.map((h) => (
                 <option key={h} value={h}>
                   {h} hours
                 </option>
               ))}
             </select>
 
+            <label className="text-sm text-zinc-300">Language</label>
+            <select
+              className="bg-zinc-900 border border-zinc-800 rounded-xl px-3 py-2 text-sm"
+              value={lang}
+              onChange={(e) => setLang(e.target.value)}
+            >
+              {LANGS.map((l) => (
+                <option key={l.code} value={l.code}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+
             <button
               className="bg-zinc-100 text-zinc-950 rounded-xl px-3 py-2 text-sm font-medium hover:opacity-90"
               onClick={load}
@@ -134,6 +1750,27 @@ export default function MusicNews24hApp() {
             >
               {loading ? "Refreshing…" : "Refresh"}
             </button>
+
+            <button
+              className="bg-zinc-900 border border-zinc-800 rounded-xl px-3 py-2 text-sm hover:border-zinc-700"
+              onClick={() => setView((v) => (v === "stats" ? "news" : "stats"))}
+            >
+              {view === "stats" ? "Back to news" : "Stats"}
+            </button>
+
+            <button
+              className="bg-zinc-900 border border-zinc-800 rounded-xl px-3 py-2 text-sm hover:border-zinc-700"
+              onClick={() => setView((v) => (v === "feeds" ? "news" : "feeds"))}
+            >
+              {view === "feeds" ? "Back to news" : "Feeds admin"}
+            </button>
+
+            <button
+              className="bg-zinc-900 border border-zinc-800 rounded-xl px-3 py-2 text-sm hover:border-zinc-700"
+              onClick={() => setView((v) => (v === "prefs" ? "news" : "prefs"))}
+            >
+              {view === "prefs" ? "Back to news" : "Preferences"}
+            </button>
           </div>
         </header>
 
@@ -141,7 +1778,7 @@ export default function MusicNews24hApp() {
           <div className="flex flex-col gap-2 md:flex-row md:items-center">
             <input
               className="w-full md:w-96 bg-zinc-900 border border-zinc-800 rounded-xl px-3 py-2 text-sm"
-              placeholder="Search title / source…"
+              placeholder="Search all genres (title / summary / translation)…"
               value={q}
               onChange={(e) => setQ(e.target.value)}
             />
@@ -160,24 +1797,48 @@ export default function MusicNews24hApp() {
               Error: {error}
             </div>
           ) : null}
+          {offline ? (
+            <div className="text-sm text-amber-200 bg-amber-950/40 border border-amber-900 rounded-xl px-3 py-2">
+              Offline — showing the last saved copy ({fmtLocal(data?.generatedAt)}).
+            </div>
+          ) : null}
         </div>
 
         <div className="mt-6 grid grid-cols-1 md:grid-cols-12 gap-4">
           <aside className="md:col-span-4 lg:col-span-3">
+            <button
+              onClick={() => setView("foryou")}
+              className={
+                "mb-3 w-full flex items-center justify-between rounded-2xl px-4 py-3 text-sm border transition " +
+                (view === "foryou"
+                  ? "bg-zinc-100 text-zinc-950 border-zinc-100"
+                  : "bg-zinc-900 text-zinc-100 border-zinc-800 hover:border-zinc-700")
+              }
+            >
+              <span className="font-medium">✦ For you</span>
+              <span className={view === "foryou" ? "text-zinc-700" : "text-zinc-400"}>
+                {forYou.data?.items?.length ?? ""}
+              </span>
+            </button>
+
             <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-3">
               <div className="text-xs uppercase tracking-wider text-zinc-400 px-2 pb-2">
                 Genres
               </div>
               <div className="flex flex-col gap-1">
                 {genres
-                  .filter((g) => !hideEmpty || (data?.genres?.[g]?.length ?? 0) > 0)
+                  .filter((g) => !hideEmpty || (genreCounts[g] ?? 0) > 0)
                   .map((g) => {
-                    const count = data?.genres?.[g]?.length ?? 0;
+                    const count = genreCounts[g] ?? 0;
+                    const unread = pages[g] ? unreadIn(g) : null; // 未読数は読み込んだジャンルだけ分かる
                     const active = g === activeGenre;
                     return (
                       <button
                         key={g}
-                        onClick={() => setActiveGenre(g)}
+                        onClick={() => {
+                          setActiveGenre(g);
+                          setView("news");
+                        }}
                         className={
                           "flex items-center justify-between rounded-xl px-3 py-2 text-sm border transition " +
                           (active
@@ -186,15 +1847,45 @@ export default function MusicNews24hApp() {
                         }
                       >
                         <span className="font-medium">{g}</span>
-                        <span className={active ? "text-zinc-700" : "text-zinc-400"}>
-                          {count}
-                        </span>
+                        {unread == null ? (
+                          <span className={active ? "text-zinc-700" : "text-zinc-400"} title="total">
+                            <span className="text-xs opacity-70">{count}</span>
+                          </span>
+                        ) : (
+                          <span
+                            className={active ? "text-zinc-700" : "text-zinc-400"}
+                            title={partlyLoaded(g) ? "unread among loaded / total" : "unread / total"}
+                          >
+                            <span className={unread ? "font-semibold" : ""}>
+                              {unread}
+                              {partlyLoaded(g) ? "+" : ""}
+                            </span>
+                            <span className="text-xs opacity-70"> / {count}</span>
+                          </span>
+                        )}
                       </button>
                     );
                   })}
               </div>
             </div>
 
+            <button
+              onClick={() => setView("saved")}
+              className={
+                "mt-3 w-full flex items-center justify-between rounded-2xl px-4 py-3 text-sm border transition " +
+                (view === "saved"
+                  ? "bg-zinc-100 text-zinc-950 border-zinc-100"
+                  : "bg-zinc-900 text-zinc-100 border-zinc-800 hover:border-zinc-700")
+              }
+            >
+              <span className="font-medium">★ Saved</span>
+              <span className={view === "saved" ? "text-zinc-700" : "text-zinc-400"}>{saved.length}</span>
+            </button>
+
+            <EntityPanel hours={hours} lang={lang} version={data?.generatedAt} onSelect={openEntity} />
+
+            <FeedStatusPanel status={data?.feedStatus} />
+
             <div className="mt-3 text-xs text-zinc-500">
               Tip: add new feeds + keyword rules in the backend, then this UI will
               automatically show new genres.
@@ -202,54 +1893,215 @@ export default function MusicNews24hApp() {
           </aside>
 
           <main className="md:col-span-8 lg:col-span-9">
-            <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
-              <div className="p-4 border-b border-zinc-800 flex items-center justify-between">
-                <div>
-                  <div className="text-lg font-semibold">{activeGenre}</div>
-                  <div className="text-sm text-zinc-400">{activeItems.length} items</div>
+            {newItems.length && (view === "news" || view === "source") && !query ? (
+              <button
+                className="mb-3 w-full rounded-2xl px-4 py-2 text-sm font-medium bg-sky-950/60 border border-sky-800 text-sky-200 hover:border-sky-600"
+                onClick={applyIncoming}
+              >
+                ↑ {newItems.length} new {newItems.length === 1 ? "item" : "items"}
+              </button>
+            ) : null}
+            {view === "foryou" ? (
+              <ForYouList
+                state={forYou}
+                hasPrefs={hasPrefs}
+                readIds={readIds}
+                onOpen={openItem}
+                onSelectEntity={openEntity}
+                onEditPrefs={() => setView("prefs")}
+              />
+            ) : view === "prefs" ? (
+              <PrefsPanel
+                prefs={prefs}
+                onChange={updatePrefs}
+                sources={sourceNames}
+                genres={genres}
+                syncKey={syncKey}
+                sync={sync}
+                onEnableSync={() => switchSyncKey(newSyncKey())}
+                onUseSyncKey={switchSyncKey}
+                onDisableSync={() => switchSyncKey(null)}
+              />
+            ) : view === "stats" ? (
+              <StatsDashboard
+                hours={hours}
+                version={data?.generatedAt}
+                onOpen={openItem}
+                onSelectEntity={openEntity}
+              />
+            ) : view === "feeds" ? (
+              <FeedAdmin />
+            ) : view === "saved" ? (
+              <SavedList saved={saved} onOpen={openItem} onUnsave={(id) => toggleSaved({ id })} />
+            ) : view === "source" && sourceName ? (
+              <SourceView
+                key={`${sourceName}|${lang}`}
+                source={sourceName}
+                hours={hours}
+                lang={lang}
+                version={data?.generatedAt}
+                onOpen={openItem}
+                onSelectEntity={openEntity}
+                onBack={() => setView("news")}
+              />
+            ) : view === "entity" && entityId ? (
+              <EntityView
+                key={`${entityId}|${lang}`}
+                id={entityId}
+                lang={lang}
+                onOpen={openItem}
+                onSelect={openEntity}
+                onBack={() => setView("news")}
+              />
+            ) : query ? (
+              <SearchResults q={query} search={search} onOpen={openItem} />
+            ) : (
+              <div className="bg-zinc-900 border border-zinc-800 rounded-2xl">
+                <div className="p-4 border-b border-zinc-800 flex items-center justify-between">
+                  <div>
+                    <div className="text-lg font-semibold">{activeGenre}</div>
+                    <div className="text-sm text-zinc-400">
+                      {activePage?.nextCursor ? `${activeItems.length} of ${genreCounts[activeGenre] ?? 0}` : activeItems.length}{" "}
+                      items · {unreadIn(activeGenre)} unread{partlyLoaded(activeGenre) ? " among loaded" : ""}
+                    </div>
+                  </div>
+                  {unreadIn(activeGenre) > 0 ? (
+                    <button
+                      className="text-sm text-zinc-300 hover:text-zinc-100"
+                      onClick={() => markAsRead(activeItems.map((it) => it.id))}
+                    >
+                      Mark all read
+                    </button>
+                  ) : null}
                 </div>
-              </div>
 
-              <ul className="divide-y divide-zinc-800">
-                {activeItems.length === 0 ? (
-                  <li className="p-6 text-zinc-400">No items.</li>
-                ) : (
-                  activeItems.map((it) => (
-                    <li key={it.id ?? it.url} className="p-4">
-                      <a
-                        href={it.url}
-                        target="_blank"
-                        rel="noreferrer"
-                        className="text-base font-medium hover:underline"
-                      >
-                        {it.titleJa ?? it.title}
-                      </a>
-
-                      <div className="mt-1 text-sm text-zinc-400 flex flex-wrap gap-x-3 gap-y-1">
-                        <span>
-                          Source: <span className="text-zinc-300">{it.source}</span>
-                        </span>
-                        {it.publishedAt ? (
-                          <span>
-                            Published:{" "}
-                            <span className="text-zinc-300">{fmtLocal(it.publishedAt)}</span>
-                          </span>
-                        ) : null}
-                      </div>
-
-                      {(it.summaryJa ?? it.summary) ? (
-                        <p className="mt-2 text-sm text-zinc-300 leading-relaxed">
-                          {it.summaryJa ?? it.summary}
-                        </p>
-                      ) : null}
-                    </li>
-                  ))
-                )}
-              </ul>
-            </div>
+                {activePage?.error ? <div className="p-4 text-sm text-red-300">Error: {activePage.error}</div> : null}
+
+                <ul className="divide-y divide-zinc-800">
+                  {activeItems.length === 0 ? (
+                    <li className="p-6 text-zinc-400">{activePage?.loading ? "Loading…" : "No items."}</li>
+                  ) : (
+                    activeItems.map((it) => (
+                      <li key={it.id ?? it.url} className="p-4 flex gap-4">
+                        <div className="min-w-0 flex-1">
+                          <a
+                            href={it.url}
+                            target="_blank"
+                            rel="noreferrer"
+                            className={
+                              "text-base font-medium hover:underline" + (readIds.has(it.id) ? " text-zinc-400" : "")
+                            }
+                            onClick={(e) => {
+                              markAsRead([it.id]);
+                              readerClick(e, () => setReader(it));
+                            }}
+                          >
+                            {it.translation?.title ?? it.title}
+                          </a>
+
+                          <div className="mt-1 text-sm text-zinc-400 flex flex-wrap gap-x-3 gap-y-1">
+                            <span>
+                              Source:{" "}
+                              <button className="text-zinc-300 hover:underline" onClick={() => openSource(it.source)}>
+                                {it.source}
+                              </button>
+                            </span>
+                            {it.author ? (
+                              <span>
+                                By <span className="text-zinc-300">{it.author}</span>
+                              </span>
+                            ) : null}
+                            {it.publishedAt ? (
+                              <span>
+                                {publishedLabel(it)}:{" "}
+                                <span className="text-zinc-300">{fmtLocal(it.publishedAt)}</span>
+                              </span>
+                            ) : null}
+                            {it.genreTags?.length > 1 ? (
+                              <span>
+                                Genres:{" "}
+                                {it.genreTags.map((t, i) => (
+                                  <React.Fragment key={t.genre}>
+                                    {i > 0 ? ", " : null}
+                                    <button
+                                      className={
+                                        t.genre === activeGenre ? "text-zinc-100" : "text-zinc-300 hover:underline"
+                                      }
+                                      onClick={() => setActiveGenre(t.genre)}
+                                      title={`score ${t.score}`}
+                                    >
+                                      {t.genre}
+                                    </button>
+                                  </React.Fragment>
+                                ))}
+                              </span>
+                            ) : null}
+                            <MediaLinks media={it.media} />
+                          </div>
+
+                          <EntityLinks entities={it.entities} onSelect={openEntity} />
+
+                          <div className="mt-2 text-sm">
+                            <ItemActions
+                              id={it.id}
+                              isRead={readIds.has(it.id)}
+                              isSaved={savedIds.has(it.id)}
+                              onToggleRead={toggleRead}
+                              onToggleSaved={() => toggleSaved(it)}
+                              shareUrl={shareUrl(it.id)}
+                            />
+                          </div>
+
+                          {it.alsoReportedBy?.length ? (
+                            <div className="mt-1 text-sm text-zinc-400">
+                              Also reported by:{" "}
+                              {it.alsoReportedBy.map((o, i) => (
+                                <React.Fragment key={o.id ?? o.url}>
+                                  {i > 0 ? ", " : null}
+                                  <a
+                                    href={o.url}
+                                    target="_blank"
+                                    rel="noreferrer"
+                                    className="text-zinc-300 hover:underline"
+                                    title={o.title}
+                                  >
+                                    {o.source}
+                                  </a>
+                                </React.Fragment>
+                              ))}
+                            </div>
+                          ) : null}
+
+                          {(it.translation?.summary ?? it.summary) ? (
+                            <p className="mt-2 text-sm text-zinc-300 leading-relaxed">
+                              {it.translation?.summary ?? it.summary}
+                            </p>
+                          ) : null}
+                        </div>
+                        <Thumbnail src={it.image} />
+                      </li>
+                    ))
+                  )}
+                </ul>
+
+                {activePage?.nextCursor ? (
+                  <div className="p-4 border-t border-zinc-800 text-center">
+                    <button
+                      className="text-sm text-zinc-300 hover:text-zinc-100 disabled:opacity-50"
+                      disabled={activePage.loading}
+                      onClick={() => loadGenre(activeGenre, activePage.nextCursor)}
+                    >
+                      {activePage.loading ? "Loading…" : "Load more"}
+                    </button>
+                  </div>
+                ) : null}
+              </div>
+            )}
           </main>
         </div>
       </div>
+
+      {reader ? <ReaderPane key={`${reader.url}|${lang}`} item={reader} lang={lang} onClose={closeReader} /> : null}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,136 @@
+// -----------------------------
+// Local state (IndexedDB)
+// -----------------------------
+// read:  { id, readAt }             既読マーク（アイテム id 単位）
+// saved: { id, savedAt, ...item }   「あとで読む」。72h の窓から外れても残るようにアイテムごと保存する
+// IndexedDB が使えない環境（プライベートブラウズ等）ではメモリ上だけで動く（保存されない）。
+
+const DB_NAME = "music-news-24h";
+const DB_VERSION = 1;
+const READ_MAX_AGE_DAYS = 30; // これより古い既読マークは読み込み時に消す
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("read")) db.createObjectStore("read", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("saved")) db.createObjectStore("saved", { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// store に対して fn(objectStore) を実行し、トランザクション完了で resolve（戻り値は最後のリクエストの結果）
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function warn(what) {
+  return (e) => {
+    console.warn(`${what} failed:`, e?.message || e);
+    return null;
+  };
+}
+
+export async function loadReadIds() {
+  const rows = (await withStore("read", "readonly", (s) => s.getAll()).catch(warn("loadReadIds"))) ?? [];
+  const cutoff = Date.now() - READ_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const stale = rows.filter((r) => Date.parse(r.readAt) < cutoff).map((r) => r.id);
+  if (stale.length) {
+    withStore("read", "readwrite", (s) => stale.forEach((id) => s.delete(id))).catch(warn("prune read"));
+  }
+  return new Set(rows.filter((r) => !stale.includes(r.id)).map((r) => r.id));
+}
+
+export function markRead(ids) {
+  const readAt = new Date().toISOString();
+  return withStore("read", "readwrite", (s) => ids.forEach((id) => s.put({ id, readAt }))).catch(warn("markRead"));
+}
+
+export function markUnread(id) {
+  return withStore("read", "readwrite", (s) => s.delete(id)).catch(warn("markUnread"));
+}
+
+export async function loadSaved() {
+  const rows = (await withStore("saved", "readonly", (s) => s.getAll()).catch(warn("loadSaved"))) ?? [];
+  return rows.sort((a, b) => (b.savedAt || "").localeCompare(a.savedAt || ""));
+}
+
+export function saveItem(item) {
+  return withStore("saved", "readwrite", (s) => s.put(item)).catch(warn("saveItem"));
+}
+
+export function unsaveItem(id) {
+  return withStore("saved", "readwrite", (s) => s.delete(id)).catch(warn("unsaveItem"));
+}
+
+// -----------------------------
+// Preferences (localStorage)
+// -----------------------------
+// 初回描画のジャンル順に要るので同期的に読める localStorage に置く。形は api/_lib/personalize.js の prefs
+// syncKey があれば /api/prefs と同期する（端末間で共有するためのランダムなキー）
+
+const PREFS_KEY = "music-news-24h:prefs";
+const SYNC_KEY = "music-news-24h:sync-key";
+
+export const EMPTY_PREFS = { preferredSources: [], mutedSources: [], mutedKeywords: [], interests: [], genreOrder: [] };
+
+function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) ?? "null");
+  } catch (e) {
+    return warn(`read ${key}`)(e);
+  }
+}
+
+export function loadPrefs() {
+  return { ...EMPTY_PREFS, ...readJson(PREFS_KEY) };
+}
+
+export function savePrefs(prefs) {
+  try {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  } catch (e) {
+    warn("savePrefs")(e);
+  }
+}
+
+export function loadSyncKey() {
+  try {
+    return localStorage.getItem(SYNC_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function saveSyncKey(key) {
+  try {
+    if (key) localStorage.setItem(SYNC_KEY, key);
+    else localStorage.removeItem(SYNC_KEY);
+  } catch (e) {
+    warn("saveSyncKey")(e);
+  }
+}
+
+export function newSyncKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(18));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_");
+}
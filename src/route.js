@@ -0,0 +1,68 @@
+// -----------------------------
+// URL state (query string routing)
+// -----------------------------
+// サーバー側のリライト設定なしで共有できるよう、状態はすべて "/" のクエリ文字列に載せる。
+//   ?genre=House&hours=12&q=boiler+room   ジャンル・時間窓・検索
+//   &hideEmpty=0                          空のジャンルも表示（既定は隠す）
+//   ?view=foryou | prefs | stats | feeds | saved  各画面
+//   ?entity=artist:four-tet               エンティティ画面
+//   ?source=Resident+Advisor              ソース別画面
+//   &item=<item id>                       リーダーで開くアイテム（他のキーと併用可）
+// 既定値のキーは書かない。
+
+export const VIEWS = ["news", "foryou", "prefs", "stats", "feeds", "saved", "entity", "source"];
+export const HOUR_OPTIONS = [6, 12, 24, 48];
+
+/**
+ * location.search -> route
+ * route: { view, genre, hours, q, hideEmpty, entity, source, item }
+ * 不正な値は null（= 既定値）として扱う。
+ */
+export function parseRoute(search, { defaultHours }) {
+  const p = new URLSearchParams(search);
+  const hours = Number(p.get("hours"));
+  const entity = p.get("entity") || null;
+  const source = p.get("source") || null;
+
+  let view = VIEWS.includes(p.get("view")) ? p.get("view") : "news";
+  if (entity) view = "entity";
+  else if (source) view = "source";
+  else if (view === "entity" || view === "source") view = "news";
+
+  return {
+    view,
+    genre: p.get("genre") || null,
+    hours: HOUR_OPTIONS.includes(hours) ? hours : defaultHours,
+    q: p.get("q") ?? "",
+    hideEmpty: p.get("hideEmpty") !== "0",
+    entity,
+    source,
+    item: p.get("item") || null,
+  };
+}
+
+/** route -> "?..."（既定値だけなら ""） */
+export function formatRoute(route, { defaultHours }) {
+  const p = new URLSearchParams();
+  if (route.view === "entity" && route.entity) p.set("entity", route.entity);
+  else if (route.view === "source" && route.source) p.set("source", route.source);
+  else if (route.view !== "news" && VIEWS.includes(route.view)) p.set("view", route.view);
+  else if (route.genre) p.set("genre", route.genre);
+
+  if (route.hours !== defaultHours) p.set("hours", String(route.hours));
+  if (route.q) p.set("q", route.q);
+  if (!route.hideEmpty) p.set("hideEmpty", "0");
+  if (route.item) p.set("item", route.item);
+
+  const s = p.toString();
+  return s ? `?${s}` : "";
+}
+
+// 取得窓の外に出たアイテムへのリンク用。id は "source::url"（api/_lib/collect.js）
+export function itemFromId(id) {
+  const at = String(id ?? "").indexOf("::");
+  if (at < 0) return null;
+  const url = id.slice(at + 2);
+  if (!/^https?:\/\//i.test(url)) return null;
+  return { id, source: id.slice(0, at), url, title: url };
+}
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseCsvRows } from "../api/_lib/feeds.js";
+
+test("parseCsvRows handles quoted cells, escaped quotes and CRLF", () => {
+  const rows = parseCsvRows('a,b,c\r\n"x, y","say ""hi""",z\r\n"multi\nline",,\n');
+  assert.deepEqual(rows, [
+    ["a", "b", "c"],
+    ["x, y", 'say "hi"', "z"],
+    ["multi\nline", "", ""],
+  ]);
+});
+
+test("parseCsvRows keeps a last row without a trailing newline", () => {
+  assert.deepEqual(parseCsvRows("a,b\n1,2"), [
+    ["a", "b"],
+    ["1", "2"],
+  ]);
+});
+
+test("parseCsv maps rows to header keys, trims cells and skips blank lines", () => {
+  const rows = parseCsv("enabled, source ,url\nTRUE,  Mixmag ,https://mixmag.net/rss.xml\n\n,,\nFALSE,Old,https://old.example/feed\n");
+  assert.deepEqual(rows, [
+    { enabled: "TRUE", source: "Mixmag", url: "https://mixmag.net/rss.xml" },
+    { enabled: "FALSE", source: "Old", url: "https://old.example/feed" },
+  ]);
+});
+
+test("parseCsv fills missing trailing cells with empty strings", () => {
+  assert.deepEqual(parseCsv("source,url,defaultGenre\nA,https://a.example/feed\n"), [
+    { source: "A", url: "https://a.example/feed", defaultGenre: "" },
+  ]);
+});
+
+test("parseCsv returns [] for empty input", () => {
+  assert.deepEqual(parseCsv(""), []);
+});
@@ -0,0 +1,41 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+// DeepL の代わりに応答を順に返すサーバー。deepl.js は環境変数を読み込み時に見るので、起動後に読み込む
+const replies = [];
+let hits = 0;
+let server;
+let deepl;
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits++;
+    req.resume();
+    req.on("end", () => {
+      const { status, headers = {}, body = "" } = replies.shift() ?? { status: 500 };
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "localhost", resolve));
+  process.env.DEEPL_AUTH_KEY = "test-key";
+  process.env.DEEPL_API_BASE = `http://localhost:${server.address().port}`;
+  ({ deepl } = await import("../api/_lib/translators/deepl.js"));
+});
+after(() => new Promise((resolve) => server.close(() => resolve())));
+
+test("a short Retry-After is honoured and the request retried", async () => {
+  hits = 0;
+  replies.push({ status: 429, headers: { "Retry-After": "1" } }, { status: 200, body: { translations: [{ text: "こんにちは" }] } });
+  assert.deepEqual(await deepl.translate(["hello"], { targetLang: "ja" }), ["こんにちは"]);
+  assert.equal(hits, 2);
+});
+
+test("a Retry-After beyond the retry budget fails fast", async () => {
+  hits = 0;
+  replies.push({ status: 429, headers: { "Retry-After": "3600" } });
+  const started = Date.now();
+  assert.deepEqual(await deepl.translate(["hello"], { targetLang: "ja" }), [null]);
+  assert.equal(hits, 1);
+  assert.ok(Date.now() - started < 1000);
+});
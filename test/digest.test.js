@@ -0,0 +1,200 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { buildDigest, digestTimeZone, renderDigestHtml, renderDigestMarkdown } from "../api/_lib/digest.js";
+import { SmtpError, buildMessage, dotStuff, encodeHeader, sendMail, smtpConfig } from "../api/_lib/mailer.js";
+import { startSmtpSink } from "../scripts/smtp-sink.js";
+
+const NOW = Date.parse("2026-03-01T07:00:00Z");
+const hoursAgo = (h) => new Date(NOW - h * 60 * 60 * 1000).toISOString();
+
+const stories = [
+  { id: "a", source: "Mixmag", url: "https://mixmag.example/a", title: "Four Tet shares new single", publishedAt: hoursAgo(6), genre: "House" },
+  {
+    id: "b",
+    source: "Resident Advisor",
+    url: "https://ra.example/b",
+    title: "Berlin club closes",
+    translation: { title: "[JA←EN] Berlin club closes" },
+    publishedAt: hoursAgo(8),
+    genre: "Techno",
+    alsoReportedBy: [{ id: "b2", source: "Mixmag" }],
+  },
+  { id: "c", source: "XLR8R", url: "https://xlr8r.example/c", title: "Techno <premiere> & *more*", publishedAt: hoursAgo(1), genre: "Techno" },
+  { id: "d", source: "Pitchfork", url: "https://p4k.example/d_(1)", title: "Pop [news]", publishedAt: hoursAgo(2), genre: "Pop" },
+];
+
+test("buildDigest groups by primary genre, ranks by coverage then recency and caps each genre", () => {
+  const d = buildDigest(stories, { hours: 24, top: 1, now: NOW });
+  assert.deepEqual(
+    d.sections.map((s) => s.genre),
+    ["Techno", "House", "Pop"]
+  );
+  const techno = d.sections[0];
+  assert.equal(techno.total, 2);
+  assert.deepEqual(
+    techno.entries.map((e) => e.id),
+    ["b"]
+  );
+  assert.equal(techno.entries[0].title, "[JA←EN] Berlin club closes");
+  assert.equal(techno.entries[0].originalTitle, "Berlin club closes");
+  assert.deepEqual(techno.entries[0].alsoReportedBy, ["Mixmag"]);
+  assert.deepEqual(d.totals, { stories: 4, shown: 3 });
+  assert.equal(d.date, "2026-03-01");
+  assert.match(d.subject, /2026-03-01 \(4 stories\)$/);
+});
+
+test("buildDigest filters genres case-insensitively", () => {
+  const d = buildDigest(stories, { genres: ["techno"], now: NOW });
+  assert.deepEqual(
+    d.sections.map((s) => s.genre),
+    ["Techno"]
+  );
+  assert.deepEqual(
+    d.sections[0].entries.map((e) => e.id),
+    ["b", "c"]
+  );
+});
+
+test("renderDigestMarkdown escapes titles and link targets", () => {
+  const md = renderDigestMarkdown(buildDigest(stories, { now: NOW, homeUrl: "https://news.example" }));
+  assert.match(md, /^# Music News digest – 2026-03-01\n/);
+  assert.match(md, /## Techno \(2\)/);
+  assert.match(md, /1\. \[\\\[JA←EN\\\] Berlin club closes\]\(https:\/\/ra\.example\/b\) — Resident Advisor · also Mixmag/);
+  assert.match(md, /\[Techno \\<premiere\\> & \\\*more\\\*\]/);
+  assert.match(md, /\(https:\/\/p4k\.example\/d_%281%29\)/);
+  assert.match(md, /\[Open Music News\]\(https:\/\/news\.example\)/);
+});
+
+test("renderDigestHtml escapes content and keeps styles inline", () => {
+  const html = renderDigestHtml(buildDigest(stories, { now: NOW, lang: "ja" }));
+  assert.match(html, /<html lang="ja">/);
+  assert.match(html, /Techno &lt;premiere&gt; &amp; \*more\*/);
+  assert.match(html, /<a href="https:\/\/ra\.example\/b" style="/);
+  assert.doesNotMatch(html, /<style>/);
+  assert.match(renderDigestHtml(buildDigest([], { now: NOW })), /No stories in this window\./);
+});
+
+test("smtpConfig requires host, sender and recipients", () => {
+  assert.equal(smtpConfig({ SMTP_HOST: "smtp.example" }), null);
+  const config = smtpConfig({ SMTP_HOST: "smtp.example", DIGEST_FROM: "a@example.com", DIGEST_TO: "b@example.com, c@example.com" });
+  assert.equal(config.port, 587);
+  assert.equal(config.starttls, "auto");
+  assert.deepEqual(config.to, ["b@example.com", "c@example.com"]);
+  assert.equal(smtpConfig({ SMTP_HOST: "h", SMTP_SECURE: "1", DIGEST_FROM: "a@b", DIGEST_TO: "c@d" }).port, 465);
+  assert.throws(() => smtpConfig({ SMTP_HOST: "h", SMTP_STARTTLS: "maybe", DIGEST_FROM: "a@b", DIGEST_TO: "c@d" }), SmtpError);
+});
+
+test("buildMessage encodes non-ASCII headers and strips header line breaks", () => {
+  assert.equal(encodeHeader("Daily digest"), "Daily digest");
+  assert.equal(dotStuff(".a\n..b\nc."), "..a\r\n...b\r\nc.");
+  assert.match(encodeHeader("今日の音楽ニュース"), /^=\?UTF-8\?B\?.+\?=$/);
+  const raw = buildMessage({
+    from: "Music News <news@example.com>",
+    to: ["team@example.com"],
+    subject: "Digest\r\nBcc: evil@example.com",
+    text: "plain",
+    html: "<p>html</p>",
+  });
+  assert.match(raw, /^Subject: Digest Bcc: evil@example\.com\r$/m);
+  assert.doesNotMatch(raw, /^Bcc:/m);
+  assert.match(raw, /Message-ID: <[^>]+@example\.com>/);
+  assert.match(raw, /Content-Type: multipart\/alternative; boundary="([^"]+)"/);
+  assert.match(raw, /Content-Type: text\/plain; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\ncGxhaW4=\r\n/);
+});
+
+// -----------------------------
+// SMTP stand-in (scripts/smtp-sink.js)
+// -----------------------------
+const sinkConfig = (port, extra = {}) => ({
+  ...smtpConfig({ SMTP_HOST: "127.0.0.1", SMTP_PORT: String(port), DIGEST_FROM: "Music News <news@example.com>", DIGEST_TO: "team@example.com" }),
+  ...extra,
+});
+
+test("sendMail authenticates and delivers a multipart message", async () => {
+  const sink = await startSmtpSink({ port: 0, host: "127.0.0.1" });
+  try {
+    const config = sinkConfig(sink.port, { user: "digest", pass: "secret", insecureAuth: true });
+    const result = await sendMail(
+      { from: config.from, to: config.to, subject: "Music News digest", text: "# Digest\n", html: "<p>Digest</p>" },
+      config
+    );
+    assert.equal(result.response, "250 2.0.0 queued as SINK1");
+    assert.deepEqual(result.accepted, ["team@example.com"]);
+    assert.match(sink.commands[0], /^EHLO /);
+    assert.equal(sink.commands[1], `AUTH PLAIN ${Buffer.from("\0digest\0secret").toString("base64")}`);
+    assert.deepEqual(sink.commands.slice(2), ["MAIL FROM:<news@example.com>", "RCPT TO:<team@example.com>", "DATA", "QUIT"]);
+
+    const [message] = sink.messages;
+    assert.equal(message.from, "news@example.com");
+    assert.deepEqual(message.to, ["team@example.com"]);
+    assert.match(message.data, /^Subject: Music News digest$/m);
+    assert.match(message.data, /^From: Music News <news@example\.com>$/m);
+    assert.ok(message.data.includes(Buffer.from("<p>Digest</p>").toString("base64")));
+  } finally {
+    await sink.close();
+  }
+});
+
+test("sendMail falls back to AUTH LOGIN and surfaces rejected recipients", async () => {
+  const sink = await startSmtpSink({ port: 0, host: "127.0.0.1", auth: "LOGIN", rejectRcpt: "nobody@" });
+  try {
+    const config = sinkConfig(sink.port, { user: "digest", pass: "secret", insecureAuth: true, to: ["nobody@example.com"] });
+    await assert.rejects(
+      sendMail({ from: config.from, to: config.to, subject: "s", text: "t", html: "h" }, config),
+      (e) => e instanceof SmtpError && e.code === 550 && /RCPT TO/.test(e.message)
+    );
+    assert.deepEqual(sink.commands.slice(1, 4), [
+      "AUTH LOGIN",
+      Buffer.from("digest").toString("base64"),
+      Buffer.from("secret").toString("base64"),
+    ]);
+    assert.equal(sink.messages.length, 0);
+  } finally {
+    await sink.close();
+  }
+});
+
+test("sendMail refuses to send credentials when the server does not offer STARTTLS", async () => {
+  const sink = await startSmtpSink({ port: 0, host: "127.0.0.1" });
+  try {
+    const config = sinkConfig(sink.port, { user: "digest", pass: "secret" });
+    await assert.rejects(
+      sendMail({ from: config.from, to: config.to, subject: "s", text: "t", html: "h" }, config),
+      (e) => e instanceof SmtpError && e.command === "AUTH" && /unencrypted/.test(e.message)
+    );
+    assert.ok(!sink.commands.some((c) => c.startsWith("AUTH")));
+    assert.equal(sink.messages.length, 0);
+  } finally {
+    await sink.close();
+  }
+});
+
+test("sendMail gives up on a connection that never completes", async () => {
+  // TCP は受けるが TLS ハンドシェイクに応じないサーバー
+  const sockets = new Set();
+  const server = net.createServer((socket) => sockets.add(socket));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const config = sinkConfig(server.address().port, { secure: true, timeoutMs: 200 });
+    await assert.rejects(
+      sendMail({ from: config.from, to: config.to, subject: "s", text: "t", html: "h" }, config),
+      /connect timed out/
+    );
+  } finally {
+    for (const socket of sockets) socket.destroy();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("an invalid DIGEST_TIMEZONE falls back to UTC", () => {
+  assert.equal(digestTimeZone("Asia/Tokyo"), "Asia/Tokyo");
+  assert.equal(digestTimeZone(""), "UTC");
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(digestTimeZone("Mars/Olympus_Mons"), "UTC");
+  } finally {
+    console.error = error;
+  }
+});
@@ -0,0 +1,59 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startDevServer } from "../scripts/dev-server.js";
+import { discoverFeeds, normalizeSiteUrl } from "../api/_lib/discover.js";
+import { UnsafeUrlError, checkPublicUrl, fetchFeed, isPrivateHost, publicLookup } from "../api/_lib/fetcher.js";
+
+let dev;
+before(async () => {
+  dev = await startDevServer({ port: 0, fixtures: true, quiet: true });
+});
+after(() => dev.close());
+
+test("isPrivateHost flags loopback, private ranges and internal names", () => {
+  for (const h of ["localhost", "127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "[::1]", "metadata.internal"]) {
+    assert.equal(isPrivateHost(h), true, h);
+  }
+  // CGNAT・10 進/8 進表記の IPv4・IPv4 射影アドレス
+  for (const h of ["100.64.0.1", "2130706433", "0177.0.0.1", "[::ffff:7f00:1]", "[fe80::1]"]) {
+    assert.equal(isPrivateHost(h), true, h);
+  }
+  for (const h of ["example.com", "172.32.0.1", "100.128.0.1", "8.8.8.8", "[2606:4700::1111]", "news.local.example"]) {
+    assert.equal(isPrivateHost(h), false, h);
+  }
+  assert.throws(() => checkPublicUrl("ftp://example.com/feed"), UnsafeUrlError);
+});
+
+test("publicLookup rejects a name when any of its addresses is private", async () => {
+  const lookup = (answers) =>
+    publicLookup((hostname, options, callback) => callback(null, answers.map((address) => ({ address, family: 4 }))));
+  const run = (answers, options = {}) =>
+    new Promise((resolve, reject) =>
+      lookup(answers)("news.example", options, (err, ...rest) => (err ? reject(err) : resolve(rest)))
+    );
+
+  assert.deepEqual(await run(["93.184.216.34"]), ["93.184.216.34", 4]);
+  await assert.rejects(run(["93.184.216.34", "169.254.169.254"]), (e) => e instanceof UnsafeUrlError && /169\.254/.test(e.message));
+  await assert.rejects(run(["10.0.0.5"], { all: true }), UnsafeUrlError);
+});
+
+test("normalizeSiteUrl rejects private hosts unless ARTICLE_ALLOW_PRIVATE_HOSTS is set", () => {
+  const allow = process.env.ARTICLE_ALLOW_PRIVATE_HOSTS;
+  try {
+    delete process.env.ARTICLE_ALLOW_PRIVATE_HOSTS;
+    assert.throws(() => normalizeSiteUrl("http://169.254.169.254/latest"), /host not allowed/);
+    assert.equal(normalizeSiteUrl("example.com"), "https://example.com/");
+  } finally {
+    process.env.ARTICLE_ALLOW_PRIVATE_HOSTS = allow;
+  }
+});
+
+test("discoverFeeds probes candidates without filling the shared feed cache", async () => {
+  const url = `${dev.origin}/__fixtures/feeds/techno-daily.xml`;
+  const result = await discoverFeeds(url, { genreRules: [] });
+  assert.deepEqual(result.suggestions.map((s) => [s.url, s.origin]), [[url, "self"]]);
+  assert.equal(result.suggestions[0].title, "Techno Daily");
+
+  const { cache } = await fetchFeed(url);
+  assert.equal(cache, "miss");
+});
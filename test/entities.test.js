@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractEntities } from "../api/_lib/entities.js";
+
+const ids = (item) => extractEntities(item).map((e) => e.id);
+
+test("dictionary names match only in their own casing", () => {
+  assert.ok(ids({ title: "Burial shares new UK garage single" }).includes("artist:burial"));
+  assert.ok(ids({ title: "Domino signs a new band", summary: "" }).includes("label:domino"));
+
+  const prose = ids({ title: "Archaeologists find a Bronze Age burial site", summary: "A domino effect of awakenings." });
+  assert.ok(!prose.includes("artist:burial"));
+  assert.ok(!prose.includes("label:domino"));
+  assert.ok(!prose.includes("festival:awakenings"));
+});
@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cleanUrl, decodeFeedBody, normalizeFeedDates, parseFeedDate, repairXml } from "../api/_lib/feedNormalization.js";
+import { parseFeed } from "../api/_lib/fetcher.js";
+
+// "音楽ニュース"
+const SJIS = "89b98a79836a8385815b8358";
+const EUC = "b2bbb3daa5cba5e5a1bca5b9";
+const xmlBytes = (prolog, hex) =>
+  Buffer.concat([Buffer.from(`${prolog}<rss><channel><title>`), Buffer.from(hex, "hex"), Buffer.from("</title></channel></rss>")]);
+
+// -----------------------------
+// charset
+// -----------------------------
+test("decodeFeedBody follows the XML prolog and rewrites it to UTF-8", () => {
+  const out = decodeFeedBody(xmlBytes('<?xml version="1.0" encoding="Shift_JIS"?>', SJIS), "application/xml");
+  assert.equal(out.charset, "shift_jis");
+  assert.equal(out.from, "prolog");
+  assert.match(out.text, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  assert.match(out.text, /<title>音楽ニュース<\/title>/);
+});
+
+test("decodeFeedBody prefers the header but falls back when it does not fit", () => {
+  const body = xmlBytes('<?xml version="1.0" encoding="EUC-JP"?>', EUC);
+  assert.equal(decodeFeedBody(body, "text/xml; charset=EUC-JP").from, "header");
+
+  // ヘッダは UTF-8 と言っているが本文は EUC-JP
+  const wrong = decodeFeedBody(body, "text/xml; charset=utf-8");
+  assert.deepEqual([wrong.charset, wrong.from], ["euc-jp", "prolog"]);
+  assert.match(wrong.text, /音楽ニュース/);
+});
+
+test("decodeFeedBody sniffs Japanese encodings when nothing is declared", () => {
+  assert.match(decodeFeedBody(xmlBytes("", SJIS)).text, /音楽ニュース/);
+  assert.match(decodeFeedBody(xmlBytes("", EUC)).text, /音楽ニュース/);
+  assert.equal(decodeFeedBody(xmlBytes("", EUC)).from, "sniff");
+  assert.equal(decodeFeedBody(Buffer.from("\uFEFF<rss/>")).from, "bom");
+});
+
+test("decodeFeedBody reads the charset of an HTML page from its meta tags", () => {
+  const page = (meta, hex) => Buffer.concat([Buffer.from(`<html><head>${meta}</head><body><p>`), Buffer.from(hex, "hex"), Buffer.from("</p>")]);
+
+  const sjis = decodeFeedBody(page('<meta charset="Shift_JIS">', SJIS), "text/html");
+  assert.deepEqual([sjis.charset, sjis.from], ["shift_jis", "meta"]);
+  assert.match(sjis.text, /<p>音楽ニュース<\/p>/);
+
+  const euc = decodeFeedBody(page('<meta http-equiv="Content-Type" content="text/html; charset=EUC-JP">', EUC), "text/html");
+  assert.deepEqual([euc.charset, euc.from], ["euc-jp", "meta"]);
+});
+
+// -----------------------------
+// XML repair
+// -----------------------------
+test("repairXml fixes stray ampersands, HTML entities and junk around the document", () => {
+  const xml = repairXml(
+    "Warning: something\n<?xml version=\"1.0\"?><rss><t>R&B &nbsp;&hellip; &foo; &amp; &#169; <3 \u0001<![CDATA[a & b]]></t></rss>\n<!-- cached -->"
+  );
+  assert.equal(
+    xml,
+    '<?xml version="1.0"?><rss><t>R&amp;B &#160;&#8230; &amp;foo; &amp; &#169; &lt;3 <![CDATA[a & b]]></t></rss>'
+  );
+});
+
+test("repairXml drops characters XML cannot hold but keeps tabs and line breaks", () => {
+  assert.equal(repairXml("<rss><t>a\u0000b\tc\r\nd\u001F\u007Fe\uFFFEf\uFFFF</t></rss>"), "<rss><t>ab\tc\r\nd\u007Fef</t></rss>");
+});
+
+test("parseFeed repairs only when the document does not parse", async () => {
+  const feed = await parseFeed(
+    '<rss version="2.0"><channel><title>A&nbsp;B</title><item><title>R&B news</title><link>https://example.com/a</link></item></channel></rss>'
+  );
+  assert.equal(feed.title, "A B");
+  assert.equal(feed.items[0].title, "R&B news");
+});
+
+// -----------------------------
+// dates
+// -----------------------------
+const iso = (raw, options) => {
+  const t = parseFeedDate(raw, options);
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+};
+
+test("parseFeedDate reads RFC 822 variants with time zones", () => {
+  assert.equal(iso("Sun, 01 Mar 2026 12:00:00 GMT"), "2026-03-01T12:00:00.000Z");
+  assert.equal(iso("1 Mar 26 12:00 JST"), "2026-03-01T03:00:00.000Z");
+  assert.equal(iso("Tue, 1 Sept 2026 09:05:00 +0900"), "2026-09-01T00:05:00.000Z");
+  assert.equal(iso("Mon, 02 Mar 2026 12:00:00 +09:00 (JST)"), "2026-03-02T03:00:00.000Z");
+  assert.equal(iso("Sun, 01 Mar 2026 07:00:00 EST"), "2026-03-01T12:00:00.000Z");
+  assert.equal(iso("March 1, 2026 9:30 pm CET"), "2026-03-01T20:30:00.000Z");
+  assert.equal(iso("2026-03-01T12:00:00.123Z"), "2026-03-01T12:00:00.123Z");
+  assert.equal(iso("Sun, 01 Mar 2026 12:00:00 XYZ"), null);
+  assert.equal(iso("soon"), null);
+  assert.equal(iso(""), null);
+});
+
+test("parseFeedDate reads Japanese dates as JST and zone-less dates with the default offset", () => {
+  assert.equal(iso("2026年3月1日 12時30分"), "2026-03-01T03:30:00.000Z");
+  assert.equal(iso("２０２６年３月１日（日）午後１時５分"), "2026-03-01T04:05:00.000Z");
+  assert.equal(iso("令和8年3月1日"), "2026-02-28T15:00:00.000Z");
+  assert.equal(iso("2026年3月1日 12:30 +0000"), "2026-03-01T12:30:00.000Z");
+  assert.equal(iso("2026/03/01 12:30"), "2026-03-01T12:30:00.000Z");
+  assert.equal(iso("2026/03/01 12:30", { defaultOffset: 9 * 60 }), "2026-03-01T03:30:00.000Z");
+  assert.equal(iso("2026-03-01 12:30:00 +09:00"), "2026-03-01T03:30:00.000Z");
+});
+
+test("normalizeFeedDates rewrites date elements and empties the ones it cannot read", async () => {
+  const xml = normalizeFeedDates(
+    "<feed xmlns=\"http://www.w3.org/2005/Atom\" xml:lang=\"ja\"><title>t</title>" +
+      "<entry><title>a</title><published>2026/03/01 12:30</published></entry>" +
+      "<entry><title>b</title><updated><![CDATA[ そのうち ]]></updated></entry></feed>"
+  );
+  assert.match(xml, /<published>2026-03-01T03:30:00.000Z<\/published>/);
+  assert.match(xml, /<updated><\/updated>/);
+
+  // rss-parser は Atom の不正な日付で例外を投げるが、そろえた後なら読める
+  const feed = await parseFeed(xml);
+  assert.deepEqual(
+    feed.items.map((it) => it.isoDate ?? null),
+    ["2026-03-01T03:30:00.000Z", null]
+  );
+});
+
+// -----------------------------
+// URLs
+// -----------------------------
+test("cleanUrl strips tracking parameters and keeps the rest as written", () => {
+  assert.equal(cleanUrl("https://a.example/x?utm_source=rss&id=a%20b&utm_medium=feed#top"), "https://a.example/x?id=a%20b#top");
+  assert.equal(cleanUrl(" https://a.example/x?utm_campaign=1&fbclid=abc "), "https://a.example/x");
+  assert.equal(cleanUrl("https://a.example/x?q=1+2"), "https://a.example/x?q=1+2");
+});
+
+test("cleanUrl blanks links that are not http(s)", () => {
+  assert.equal(cleanUrl("javascript:alert(document.cookie)"), "");
+  assert.equal(cleanUrl(" JavaScript:alert(1)//https://a.example/ "), "");
+  assert.equal(cleanUrl("data:text/html,<script>alert(1)</script>"), "");
+  assert.equal(cleanUrl("not a url"), "");
+  assert.equal(cleanUrl("http://a.example/x"), "http://a.example/x");
+});
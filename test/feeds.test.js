@@ -0,0 +1,68 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startDevServer } from "../scripts/dev-server.js";
+
+// feeds.js は FEEDS_CSV_URL を読み込み時に見てキャッシュも持つので、
+// ケースごとにクエリ付きの URL で別インスタンスとして読み込む
+function freshFeedsModule(tag) {
+  return import(`../api/_lib/feeds.js?${tag}`);
+}
+
+let dev;
+before(async () => {
+  dev = await startDevServer({ port: 0, fixtures: true, quiet: true });
+});
+after(() => dev.close());
+
+test("loadFeeds reads enabled rows from the fixture CSV", async () => {
+  process.env.FEEDS_CSV_URL = `${dev.origin}/__fixtures/feeds.csv`;
+  const { loadFeeds } = await freshFeedsModule("fixture");
+  const feeds = await loadFeeds();
+
+  assert.deepEqual(
+    feeds.map((f) => f.source),
+    ["Techno Daily", "Bass Weekly", "Rock, Etc.", "Japan Music", "Oto News", "Broken Feed"]
+  );
+  assert.deepEqual(feeds[1], {
+    source: "Bass Weekly",
+    url: `${dev.origin}/__fixtures/feeds/bass-weekly.atom.xml`,
+    defaultGenre: "Drum & Bass",
+  });
+});
+
+test("loadFeeds caches the sheet between calls", async () => {
+  process.env.FEEDS_CSV_URL = `${dev.origin}/__fixtures/feeds.csv`;
+  const { loadFeeds } = await freshFeedsModule("cached");
+  assert.equal(await loadFeeds(), await loadFeeds());
+});
+
+test("loadFeeds falls back to the built-in list when the CSV is unreachable", async () => {
+  process.env.FEEDS_CSV_URL = `${dev.origin}/__fixtures/no-such-sheet.csv`;
+  const { loadFeeds, FEEDS_FALLBACK } = await freshFeedsModule("missing");
+  assert.deepEqual(await loadFeeds(), FEEDS_FALLBACK);
+});
+
+test("loadFeeds uses the built-in list when no CSV is configured", async () => {
+  delete process.env.FEEDS_CSV_URL;
+  const { loadFeeds, FEEDS_FALLBACK } = await freshFeedsModule("unset");
+  assert.deepEqual(await loadFeeds(), FEEDS_FALLBACK);
+});
+
+test("feedFromRow prepends https:// and defaults the genre", async () => {
+  const { feedFromRow } = await freshFeedsModule("row");
+  assert.deepEqual(feedFromRow({ source: " Mixmag ", url: "mixmag.net/rss.xml", defaultGenre: "" }), {
+    source: "Mixmag",
+    url: "https://mixmag.net/rss.xml",
+    defaultGenre: "Other",
+  });
+});
+
+test("itemDateMs reads RSS, Atom and Dublin Core dates the same way collect does", async () => {
+  const { itemDateMs } = await import("../api/_lib/collect.js");
+  const at = Date.parse("2026-03-01T07:00:00Z");
+  assert.equal(itemDateMs({ pubDate: "Sun, 01 Mar 2026 07:00:00 GMT" }), at);
+  assert.equal(itemDateMs({ published: "2026-03-01T07:00:00Z" }), at);
+  assert.equal(itemDateMs({ updated: "2026-03-01T16:00:00+09:00" }), at);
+  assert.equal(itemDateMs({ date: "2026-03-01T07:00:00Z" }), at);
+  assert.ok(Number.isNaN(itemDateMs({ title: "no date" })));
+});
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// fetcher.js は環境変数を読み込み時に見るので、クエリ付きの URL で別インスタンスとして読み込む
+test("FEED_CONCURRENCY falls back to 4 when the value is not a positive number", async () => {
+  for (const [i, value] of ["abc", "0", "-2", ""].entries()) {
+    process.env.FEED_CONCURRENCY = value;
+    const { FEED_CONCURRENCY } = await import(`../api/_lib/fetcher.js?concurrency-${i}`);
+    assert.equal(FEED_CONCURRENCY, 4, JSON.stringify(value));
+  }
+  process.env.FEED_CONCURRENCY = "2.5";
+  assert.equal((await import("../api/_lib/fetcher.js?concurrency-ok")).FEED_CONCURRENCY, 2);
+  delete process.env.FEED_CONCURRENCY;
+});
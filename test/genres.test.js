@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildGenreIndex, compileRules, pickGenre, rulesFromRows, scoreGenres } from "../api/_lib/genres.js";
+
+test("pickGenre matches title keywords", () => {
+  assert.equal(pickGenre({ title: "Berlin club hosts 48-hour techno marathon" }), "Techno");
+  assert.equal(pickGenre({ title: "Burial shares new UK garage single" }), "UK Garage");
+  assert.equal(pickGenre({ title: "Goldie returns with a drum & bass album" }), "Drum & Bass");
+});
+
+test("pickGenre matches Japanese keywords as substrings", () => {
+  assert.equal(pickGenre({ title: "新作テクノEPをリリース" }), "Techno");
+});
+
+test("pickGenre respects exclude patterns", () => {
+  assert.equal(pickGenre({ title: "The best garage rock records of the year" }), "Rock");
+});
+
+test("pickGenre uses whole words only", () => {
+  // "rap" は "trap door" の一部としては当たらない
+  assert.equal(pickGenre({ title: "Band falls through a trapdoor on stage", fallback: "Other" }), "Other");
+});
+
+test("pickGenre falls back to the feed default genre, then Other", () => {
+  assert.equal(pickGenre({ title: "Label announces new signing", fallback: "Techno" }), "Techno");
+  assert.equal(pickGenre({ title: "Label announces new signing" }), "Other");
+});
+
+test("title matches outweigh the feed default genre", () => {
+  assert.equal(pickGenre({ title: "Radiohead plan a rock reunion tour", fallback: "Techno" }), "Rock");
+});
+
+test("scoreGenres returns every matching genre, strongest first", () => {
+  const tags = scoreGenres({
+    title: "Aphex Twin announces new ambient album",
+    summary: "A techno and ambient record.",
+    categories: ["Techno"],
+  });
+  assert.deepEqual(
+    tags.map((t) => t.genre),
+    ["Ambient", "Techno"]
+  );
+  assert.ok(tags[0].score > tags[1].score);
+});
+
+test("source-only rules override keywords for that source", () => {
+  const rules = compileRules(
+    rulesFromRows([
+      { enabled: "TRUE", genre: "Techno", priority: "100", keywords: "techno" },
+      { enabled: "TRUE", genre: "Japan", priority: "10", keywords: "", sources: "Japan Music" },
+      { enabled: "FALSE", genre: "Pop", priority: "200", keywords: "techno" },
+    ])
+  );
+  assert.equal(pickGenre({ title: "New techno night", source: "Japan Music" }, rules), "Japan");
+  assert.equal(pickGenre({ title: "New techno night", source: "Other Source" }, rules), "Techno");
+});
+
+test("buildGenreIndex lists each item under every tag, in item order", () => {
+  const index = buildGenreIndex([
+    { id: "a", genreTags: [{ genre: "Techno" }, { genre: "Ambient" }] },
+    { id: "b", genre: "Techno" },
+    { id: "c" },
+  ]);
+  assert.deepEqual(index, { Techno: ["a", "b"], Ambient: ["a"], Other: ["c"] });
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLiveTracker, memberIds } from "../api/_lib/live.js";
+
+const SINCE = Date.parse("2026-03-01T12:00:00Z");
+const at = (min) => new Date(SINCE + min * 60 * 1000).toISOString();
+const story = (id, min, also = []) => ({ id, publishedAt: at(min), alsoReportedBy: also.map((o) => ({ id: o })) });
+const ids = (stories) => stories.map((s) => s.id);
+
+test("the first poll sends only stories published after since", () => {
+  const tracker = createLiveTracker({ since: SINCE, connectedAt: SINCE + 60 * 60 * 1000 });
+  const { added, updated } = tracker.next([story("old", -30), story("new", 5)]);
+  assert.deepEqual(ids(added), ["new"]);
+  assert.deepEqual(updated, []);
+});
+
+test("a new source joining a known story is an update, not a new story", () => {
+  const tracker = createLiveTracker({ since: SINCE });
+  tracker.next([story("mixmag::a", -10), story("ra::b", -20)]);
+
+  // 新しいソースの記事が primary になり、story の id が変わる
+  const { added, updated } = tracker.next([story("xlr8r::a", 8, ["mixmag::a"]), story("ra::b", -20), story("pf::c", 9)]);
+  assert.deepEqual(ids(added), ["pf::c"]);
+  assert.deepEqual(ids(updated), ["xlr8r::a"]);
+  assert.deepEqual(memberIds(updated[0]), ["xlr8r::a", "mixmag::a"]);
+
+  // 変化が無ければ何も返さない
+  const again = tracker.next([story("xlr8r::a", 8, ["mixmag::a"]), story("ra::b", -20), story("pf::c", 9)]);
+  assert.deepEqual([again.added, again.updated], [[], []]);
+});
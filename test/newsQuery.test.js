@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { QueryError, decodeCursor, encodeCursor, parseNewsQuery, queryItems } from "../api/_lib/newsQuery.js";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const hoursAgo = (h) => new Date(NOW - h * 60 * 60 * 1000).toISOString();
+const tags = (...genres) => genres.map((genre) => ({ genre, score: 1 }));
+
+const items = [
+  { id: "a", source: "Mixmag", title: "a", publishedAt: hoursAgo(1), genre: "House", genreTags: tags("House") },
+  {
+    id: "b",
+    source: "Resident Advisor",
+    title: "b",
+    publishedAt: hoursAgo(5),
+    genre: "Techno",
+    genreTags: tags("Techno", "House"),
+    alsoReportedBy: [{ id: "b2", source: "Mixmag" }, { id: "b3", source: "XLR8R" }],
+  },
+  { id: "c", source: "XLR8R", title: "c", publishedAt: hoursAgo(2), genre: "Techno", genreTags: tags("Techno") },
+  { id: "d", source: "Pitchfork", title: "d", publishedAt: hoursAgo(3), genre: "Pop", genreTags: tags("Pop") },
+  { id: "e", source: "mixmag", title: "e", publishedAt: hoursAgo(3), genre: "Techno", genreTags: tags("Techno") },
+];
+
+const run = (query, options = { now: NOW }) => queryItems(items, parseNewsQuery(query), options);
+const ids = (page) => page.items.map((it) => it.id);
+
+test("parseNewsQuery validates sort, limit, fields and include", () => {
+  const q = parseNewsQuery({ genre: "Techno|House", source: "Mixmag", limit: "500", fields: "title, url", include: "feeds" });
+  assert.deepEqual(q.genres, ["Techno", "House"]);
+  assert.deepEqual(q.sources, ["Mixmag"]);
+  assert.equal(q.sort, "newest");
+  assert.equal(q.limit, 200);
+  assert.deepEqual(q.fields, ["id", "title", "url"]);
+  assert.ok(q.include.has("feeds"));
+  assert.equal(parseNewsQuery({}).limit, null);
+
+  assert.throws(() => parseNewsQuery({ sort: "popular" }), QueryError);
+  assert.throws(() => parseNewsQuery({ limit: "0" }), QueryError);
+  assert.throws(() => parseNewsQuery({ limit: "ten" }), QueryError);
+  assert.throws(() => parseNewsQuery({ fields: "title,password" }), /Unknown field: password/);
+  assert.throws(() => parseNewsQuery({ include: "everything" }), QueryError);
+  assert.throws(() => parseNewsQuery({ cursor: "not-a-cursor" }), /cursor is invalid/);
+  assert.throws(() => parseNewsQuery({ cursor: encodeCursor({ s: "newest", k: [1, "a"] }), sort: "source" }), /sort=newest/);
+});
+
+test("queryItems filters by genre tag and by any reporting source, case-insensitively", () => {
+  assert.deepEqual(ids(run({ genre: "house" })), ["a", "b"]);
+  assert.deepEqual(ids(run({ source: "MIXMAG" })), ["a", "e", "b"]);
+  assert.deepEqual(ids(run({ genre: "Techno", source: "xlr8r" })), ["c", "b"]);
+
+  // genreCounts は source だけで絞った全体の件数
+  const page = run({ genre: "Techno", source: "Mixmag", limit: "1" });
+  assert.deepEqual(page.genreCounts, { House: 2, Techno: 2 });
+  assert.equal(page.total, 2);
+});
+
+test("queryItems sorts by newest, source and relevance", () => {
+  assert.deepEqual(ids(run({})), ["a", "c", "d", "e", "b"]);
+  assert.deepEqual(ids(run({ sort: "source" })), ["a", "e", "d", "b", "c"]);
+
+  // relevance: 3ソースで報じられた b（5時間前）は 3時間前の d / e より上
+  const page = run({ sort: "relevance" });
+  assert.deepEqual(ids(page), ["a", "c", "b", "d", "e"]);
+  assert.ok(page.items.every((it) => typeof it.score === "number"));
+});
+
+test("queryItems pages with a cursor that survives new items", () => {
+  const first = run({ limit: "2" });
+  assert.deepEqual(ids(first), ["a", "c"]);
+  assert.equal(first.total, 5);
+  assert.deepEqual(Object.keys(first.genreIndex).sort(), ["House", "Techno"]);
+
+  // 2ページ目の前に新着が入っても、続きは前のページの後ろから
+  const newer = { id: "z", source: "Mixmag", title: "z", publishedAt: hoursAgo(0), genre: "House", genreTags: tags("House") };
+  const second = queryItems([newer, ...items], parseNewsQuery({ limit: "2", cursor: first.nextCursor }), { now: NOW });
+  assert.deepEqual(ids(second), ["d", "e"]);
+  const third = queryItems(items, parseNewsQuery({ limit: "2", cursor: second.nextCursor }), { now: NOW });
+  assert.deepEqual(ids(third), ["b"]);
+  assert.equal(third.nextCursor, null);
+});
+
+test("relevance cursors keep scoring at the first page's time", () => {
+  const first = run({ sort: "relevance", limit: "2" });
+  assert.equal(decodeCursor(first.nextCursor).at, NOW);
+  const later = queryItems(items, parseNewsQuery({ sort: "relevance", limit: "10", cursor: first.nextCursor }), {
+    now: NOW + 12 * 60 * 60 * 1000,
+  });
+  assert.deepEqual(ids(later), ["b", "d", "e"]);
+});
+
+test("queryItems returns only the selected fields but indexes genres from the full items", () => {
+  const page = run({ fields: "title", genre: "Techno" });
+  assert.deepEqual(page.items[0], { id: "c", title: "c" });
+  assert.deepEqual(page.genreIndex, { Techno: ["c", "e", "b"], House: ["b"] });
+});
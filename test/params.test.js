@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { intParam, parseDateParam } from "../api/_lib/params.js";
+
+test("intParam falls back when empty, rejects non-integers and caps at max", () => {
+  assert.equal(intParam(undefined, "limit", { min: 1, max: 100, fallback: 20 }), 20);
+  assert.equal(intParam("500", "limit", { min: 1, max: 100, fallback: 20 }), 100);
+  assert.throws(() => intParam("abc", "limit", { min: 1, max: 100, fallback: 20 }), /limit must be an integer >= 1/);
+  assert.throws(() => intParam("0", "limit", { min: 1, max: 100, fallback: 20 }), /limit must be an integer >= 1/);
+});
+
+test("parseDateParam rejects dates that are not on the calendar", () => {
+  assert.equal(parseDateParam("2026-02-28"), Date.parse("2026-02-28T00:00:00.000Z"));
+  assert.throws(() => parseDateParam("2026-13-45"), /Invalid date/);
+  assert.throws(() => parseDateParam("2026-02-30"), /Invalid date/);
+});
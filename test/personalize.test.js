@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizePrefs, orderGenres, rankForYou } from "../api/_lib/personalize.js";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const hoursAgo = (h) => new Date(NOW - h * 60 * 60 * 1000).toISOString();
+
+const items = [
+  { id: "a", source: "Mixmag", title: "Four Tet shares new single", publishedAt: hoursAgo(6), genre: "House" },
+  { id: "b", source: "Stereogum", title: "Indie band announces tour", publishedAt: hoursAgo(1), genre: "Rock" },
+  {
+    id: "c",
+    source: "Resident Advisor",
+    title: "Berlin club closes",
+    publishedAt: hoursAgo(3),
+    genre: "Techno",
+    alsoReportedBy: [{ id: "c2", source: "Mixmag" }],
+  },
+  { id: "d", source: "Pitchfork", title: "Crypto festival cancelled", publishedAt: hoursAgo(0.5), genre: "Pop" },
+];
+
+test("normalizePrefs trims, de-duplicates and drops unknown keys", () => {
+  const prefs = normalizePrefs({ interests: [" Four Tet ", "four tet", ""], mutedSources: ["Pitchfork"], other: 1 });
+  assert.deepEqual(prefs, {
+    preferredSources: [],
+    mutedSources: ["Pitchfork"],
+    mutedKeywords: [],
+    interests: ["Four Tet"],
+    genreOrder: [],
+  });
+});
+
+test("normalizePrefs accepts JSON strings and rejects bad shapes", () => {
+  assert.deepEqual(normalizePrefs('{"genreOrder":["House"]}').genreOrder, ["House"]);
+  assert.throws(() => normalizePrefs("{nope"), /valid JSON/);
+  assert.throws(() => normalizePrefs({ interests: "Four Tet" }), /interests must be an array/);
+  assert.throws(() => normalizePrefs([]), /must be an object/);
+});
+
+test("without preferences items rank by recency", () => {
+  const { items: ranked, muted } = rankForYou(items, normalizePrefs({}), { now: NOW });
+  assert.deepEqual(
+    ranked.map((it) => it.id),
+    ["d", "b", "c", "a"]
+  );
+  assert.deepEqual(muted, []);
+});
+
+test("interests and preferred sources outrank recency", () => {
+  const prefs = normalizePrefs({ interests: ["Four Tet"], preferredSources: ["resident advisor"] });
+  const { items: ranked } = rankForYou(items, prefs, { now: NOW });
+
+  assert.deepEqual(
+    ranked.slice(0, 2).map((it) => it.id),
+    ["c", "a"]
+  );
+  assert.deepEqual(ranked[0].reasons, ["from Resident Advisor", "2 sources"]);
+  assert.deepEqual(ranked[1].reasons, ["matches Four Tet"]);
+});
+
+test("genre names count as interests", () => {
+  const { items: ranked } = rankForYou(items, normalizePrefs({ interests: ["techno"] }), { now: NOW });
+  assert.equal(ranked[0].id, "c");
+});
+
+test("muted sources and keywords are removed and reported", () => {
+  const prefs = normalizePrefs({ mutedSources: ["stereogum"], mutedKeywords: ["crypto"] });
+  const { items: ranked, muted } = rankForYou(items, prefs, { now: NOW });
+
+  assert.deepEqual(
+    ranked.map((it) => it.id),
+    ["c", "a"]
+  );
+  assert.deepEqual(muted, [
+    { id: "b", reason: { type: "source", value: "Stereogum" } },
+    { id: "d", reason: { type: "keyword", value: "crypto" } },
+  ]);
+});
+
+test("muted keywords also match translated text, as whole words", () => {
+  const translated = [{ id: "t", source: "X", title: "Neue Single", translation: { title: "新曲 crypto" }, publishedAt: hoursAgo(1) }];
+  assert.equal(rankForYou(translated, normalizePrefs({ mutedKeywords: ["crypto"] }), { now: NOW }).muted.length, 1);
+  assert.equal(rankForYou(translated, normalizePrefs({ mutedKeywords: ["crypt"] }), { now: NOW }).muted.length, 0);
+});
+
+test("orderGenres puts the custom order first, then the default order", () => {
+  const prefs = normalizePrefs({ genreOrder: ["Rock", "house"] });
+  assert.deepEqual(orderGenres(["Techno", "House", "Other", "Rock", "Ambient"], prefs, ["Techno", "House", "Ambient", "Rock", "Other"]), [
+    "Rock",
+    "House",
+    "Techno",
+    "Ambient",
+    "Other",
+  ]);
+});
@@ -0,0 +1,314 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startDevServer } from "../scripts/dev-server.js";
+import { collectItems } from "../api/_lib/collect.js";
+import { clusterStories, dedupeByUrl } from "../api/_lib/cluster.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let dev;
+let feeds;
+before(async () => {
+  dev = await startDevServer({ port: 0, fixtures: true, quiet: true });
+  const feed = (source, file, defaultGenre) => ({ source, url: `${dev.origin}/__fixtures/feeds/${file}`, defaultGenre });
+  feeds = [
+    feed("Techno Daily", "techno-daily.xml", "Techno"),
+    feed("Bass Weekly", "bass-weekly.atom.xml", "Drum & Bass"),
+    feed("Rock, Etc.", "rock-etc.xml", "Rock"),
+    feed("Japan Music", "japan-music.xml", "Japan"),
+    feed("Oto News", "oto-news.sjis.xml", "Japan"),
+    feed("Broken Feed", "missing.xml", "Metal"),
+  ];
+});
+after(() => dev.close());
+
+const titles = (items) => items.map((it) => it.title).sort();
+
+// -----------------------------
+// windowing
+// -----------------------------
+test("collectItems keeps only items inside the window", async () => {
+  const { items } = await collectItems(feeds, { since: Date.now() - 24 * HOUR_MS });
+  const techno = items.filter((it) => it.source === "Techno Daily");
+
+  assert.deepEqual(titles(techno), [
+    "Aphex Twin announces new album 'Blackbox'",
+    "Four Tet shares surprise house single",
+    "Undated item uses first-seen time",
+  ]);
+  assert.ok(items.every((it) => Date.parse(it.publishedAt) >= Date.now() - 24 * HOUR_MS));
+});
+
+test("a wider window picks up older items", async () => {
+  const { items } = await collectItems(feeds, { since: Date.now() - 72 * HOUR_MS });
+  const techno = titles(items.filter((it) => it.source === "Techno Daily"));
+
+  assert.ok(techno.includes("Berlin club hosts 48-hour techno marathon"));
+  assert.ok(!techno.includes("Very old news"));
+});
+
+test("undated items fall back to their first-seen time", async () => {
+  const since = Date.now() - 24 * HOUR_MS;
+  const fresh = await collectItems(feeds, { since });
+  const undated = fresh.items.find((it) => it.title === "Undated item uses first-seen time");
+  assert.equal(undated.undated, true);
+  assert.ok(Date.now() - Date.parse(undated.publishedAt) < 60 * 1000);
+  assert.ok(fresh.items.filter((it) => !it.undated).every((it) => !("undated" in it)));
+
+  // ストアが前に見ていれば、その時刻を使う（窓より前なら落ちる）
+  const seenAt = new Date(Date.now() - 3 * HOUR_MS).toISOString();
+  const { items } = await collectItems(feeds, {
+    since,
+    firstSeen: async (ids) => new Map(ids.map((id) => [id, id.startsWith("Oto News::") ? seenAt : "2020-01-01T00:00:00.000Z"])),
+  });
+  assert.ok(!items.some((it) => it.title === "Undated item uses first-seen time"));
+  assert.equal(items.find((it) => it.url === "https://example.com/oto/undated").publishedAt, seenAt);
+});
+
+test("a Shift_JIS feed with sloppy XML is decoded, repaired and cleaned", async () => {
+  const { items, feedStatus } = await collectItems(feeds, { since: Date.now() - 24 * HOUR_MS });
+  const oto = items.filter((it) => it.source === "Oto News");
+
+  assert.equal(feedStatus.find((s) => s.source === "Oto News").ok, true);
+  assert.deepEqual(titles(oto), ["日付のない記事は初めて見た時刻で並ぶ", "電気グルーヴ、テクノの新作アルバムを発表\u00a0…"]);
+
+  const denki = oto.find((it) => it.title.startsWith("電気グルーヴ"));
+  // utm_* を落とした URL が id にも使われる
+  assert.equal(denki.url, "https://example.com/oto/denki-groove?id=42");
+  assert.equal(denki.id, "Oto News::https://example.com/oto/denki-groove?id=42");
+  assert.match(denki.summary, /R&B/);
+  // ゾーンなしの日付は <language>ja</language> により JST として読む（1時間前）
+  const ageMinutes = (Date.now() - Date.parse(denki.publishedAt)) / 60000;
+  assert.ok(ageMinutes > 55 && ageMinutes < 65, `age ${ageMinutes}`);
+});
+
+test("Atom entries use <updated> and keep the feed default genre as fallback", async () => {
+  const { items } = await collectItems(feeds, { since: Date.now() - 24 * HOUR_MS });
+  const bass = items.filter((it) => it.source === "Bass Weekly");
+
+  assert.equal(bass.length, 3);
+  assert.ok(bass.every((it) => it.publishedAt && it._fallbackGenre === "Drum & Bass"));
+  assert.deepEqual(bass.find((it) => it.title.startsWith("Neues")).categories, ["Drum & Bass"]);
+});
+
+test("one failing feed is reported without affecting the others", async () => {
+  const { items, feedStatus } = await collectItems(feeds, { since: Date.now() - 24 * HOUR_MS });
+  const broken = feedStatus.find((s) => s.source === "Broken Feed");
+
+  assert.equal(broken.ok, false);
+  assert.deepEqual([broken.error.type, broken.error.status], ["http", 404]);
+  assert.equal(feedStatus.filter((s) => s.ok).length, 5);
+  assert.ok(items.length > 0);
+});
+
+// -----------------------------
+// de-dup / stories
+// -----------------------------
+test("dedupeByUrl keeps the newest copy of a URL", async () => {
+  const { items } = await collectItems(feeds, { since: Date.now() - 24 * HOUR_MS });
+  const deduped = dedupeByUrl(items);
+  const fourTet = deduped.filter((it) => it.url === "https://example.com/news/four-tet-single");
+
+  assert.equal(items.filter((it) => it.url === "https://example.com/news/four-tet-single").length, 2);
+  assert.equal(fourTet.length, 1);
+  assert.equal(fourTet[0].source, "Rock, Etc.");
+  assert.equal(deduped.length, items.length - 1);
+});
+
+test("dedupeByUrl returns items newest first", () => {
+  const out = dedupeByUrl([
+    { url: "a", publishedAt: "2026-01-01T00:00:00.000Z" },
+    { url: "b", publishedAt: "2026-01-03T00:00:00.000Z" },
+    { url: "a", publishedAt: "2026-01-02T00:00:00.000Z" },
+  ]);
+  assert.deepEqual(
+    out.map((it) => `${it.url}@${it.publishedAt.slice(8, 10)}`),
+    ["b@03", "a@02"]
+  );
+});
+
+test("clusterStories groups the same news from different sources", async () => {
+  const { items } = await collectItems(feeds, { since: Date.now() - 24 * HOUR_MS });
+  const stories = clusterStories(dedupeByUrl(items));
+  const aphex = stories.filter((s) => /aphex twin/i.test(s.title));
+
+  assert.equal(aphex.length, 1);
+  assert.equal(aphex[0].source, "Bass Weekly"); // 新しい方が primary
+  assert.deepEqual(
+    aphex[0].alsoReportedBy.map((o) => o.source),
+    ["Techno Daily"]
+  );
+  assert.equal(stories.length, dedupeByUrl(items).length - 1);
+});
+
+// -----------------------------
+// /api/news end to end (fixture mode)
+// -----------------------------
+async function getJson(path) {
+  const res = await fetch(`${dev.origin}${path}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test("/api/news returns tagged, translated stories from the fixtures", async () => {
+  const { status, body } = await getJson("/api/news?hours=24&lang=ja");
+  assert.equal(status, 200);
+  assert.equal(body.hours, 24);
+  assert.equal(body.feedCount, 6);
+  assert.deepEqual(body.feedStatus.failing, ["Broken Feed"]);
+
+  const byTitle = Object.fromEntries(body.items.map((it) => [it.title, it]));
+  assert.equal(byTitle["Neues Drum & Bass Album von Goldie angekündigt"].translation.title.startsWith("[JA←DE]"), true);
+  assert.equal(byTitle["Radiohead announce reunion tour dates"].translation.title.startsWith("[JA←EN]"), true);
+  assert.equal(byTitle["YOASOBI、新曲「アイドル2」を配信リリース"].translation, null);
+  assert.equal(byTitle["Neues Drum & Bass Album von Goldie angekündigt"].genre, "Drum & Bass");
+
+  // 内部フィールドは返さない
+  assert.ok(body.items.every((it) => !("_fallbackGenre" in it) && !("translations" in it)));
+
+  // genreIndex の id はすべて items にある
+  const ids = new Set(body.items.map((it) => it.id));
+  assert.ok(Object.values(body.genreIndex).flat().every((id) => ids.has(id)));
+});
+
+test("runPipeline reuses translations saved in the store instead of translating again", async () => {
+  const { runPipeline } = await import("../api/_lib/pipeline.js");
+  const { getStore } = await import("../api/_lib/store.js");
+  const first = await runPipeline({ hours: 24, lang: "ja" });
+  const story = first.stories.find((s) => s.title === "Radiohead announce reunion tour dates");
+
+  // 保存済みの翻訳を書き換え、次の実行がそれを使う（翻訳し直さない）ことを確かめる
+  const stored = (await getStore().findByIds([story.id])).get(story.id);
+  stored.translations.ja = { title: "保存済みの見出し", summary: "" };
+
+  const second = await runPipeline({ hours: 24, lang: "ja" });
+  assert.equal(second.stories.find((s) => s.id === story.id).translation.title, "保存済みの見出し");
+});
+
+test("/api/news pages one genre at a time and only sends feeds on request", async () => {
+  const all = await getJson("/api/news?hours=24");
+  assert.equal(all.status, 200);
+  assert.equal("feedsLoaded" in all.body, false);
+  assert.equal(all.body.nextCursor, null);
+  assert.equal(all.body.total, all.body.items.length);
+
+  const genre = Object.keys(all.body.genreCounts).find((g) => all.body.genreCounts[g] >= 2);
+  const first = await getJson(`/api/news?hours=24&genre=${encodeURIComponent(genre)}&limit=1&fields=title`);
+  assert.equal(first.status, 200);
+  assert.deepEqual(Object.keys(first.body.items[0]).sort(), ["id", "title"]);
+  assert.deepEqual(first.body.genreCounts, all.body.genreCounts);
+  assert.equal(first.body.total, all.body.genreCounts[genre]);
+
+  const seen = first.body.items.map((it) => it.id);
+  let cursor = first.body.nextCursor;
+  while (cursor) {
+    const next = await getJson(`/api/news?hours=24&genre=${encodeURIComponent(genre)}&limit=1&cursor=${cursor}`);
+    seen.push(...next.body.items.map((it) => it.id));
+    cursor = next.body.nextCursor;
+  }
+  assert.deepEqual(seen, all.body.genreIndex[genre]);
+
+  const withFeeds = await getJson("/api/news?hours=24&include=feeds&source=Oto%20News");
+  assert.equal(withFeeds.body.feedsLoaded.length, 6);
+  assert.ok(withFeeds.body.items.length > 0);
+  assert.ok(withFeeds.body.items.every((it) => it.source === "Oto News" || it.alsoReportedBy.some((o) => o.source === "Oto News")));
+});
+
+test("/api/news rejects an unknown sort or a malformed cursor", async () => {
+  assert.equal((await getJson("/api/news?sort=popular")).status, 400);
+  const { status, body } = await getJson("/api/news?limit=5&cursor=xyz");
+  assert.equal(status, 400);
+  assert.equal(body.message, "cursor is invalid");
+});
+
+test("/api/archive returns stored stories without internal fields", async () => {
+  await getJson("/api/news?hours=24&lang=ja");
+  const { body: index } = await getJson("/api/archive");
+  assert.ok(index.days.length > 0);
+
+  const { status, body } = await getJson(`/api/archive?date=${index.days[0].date}`);
+  assert.equal(status, 200);
+  assert.ok(body.items.length > 0);
+  assert.ok(body.items.every((it) => !("translations" in it) && !("_fallbackGenre" in it)));
+});
+
+test("/api/search filters stored items by \"|\"-separated sources and validates paging", async () => {
+  await getJson("/api/news?hours=24");
+  const sourcesOf = async (path) => (await getJson(path)).body.results.map((r) => r.source);
+
+  assert.deepEqual(await sourcesOf(`/api/search?q=tour&source=${encodeURIComponent("Rock, Etc.|Nobody")}`), ["Rock, Etc."]);
+  assert.deepEqual(await sourcesOf(`/api/search?q=album&source=${encodeURIComponent("techno daily|Rock, Etc.")}`), [
+    "Techno Daily",
+  ]);
+
+  assert.equal((await getJson("/api/search?q=album&limit=ten")).status, 400);
+  assert.equal((await getJson("/api/search?q=album&offset=-1")).status, 400);
+});
+
+test("/api/article translates only articles from the feeds", async () => {
+  await getJson("/api/news?hours=24");
+  const url = `${dev.origin}/__fixtures/articles/aphex-twin-blackbox.html`;
+
+  const res = await fetch(`${dev.origin}/api/article?url=${encodeURIComponent(url)}&lang=ja&translate=1`);
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.match(body.translation.title, /^\[JA←EN\]/);
+  assert.match(res.headers.get("cache-control"), /s-maxage=3600/);
+
+  const other = await getJson(`/api/article?url=${encodeURIComponent(`${url}?utm_source=x&ref=1`)}&lang=ja&translate=1`);
+  assert.equal(other.status, 403);
+  assert.equal((await getJson(`/api/article?url=${encodeURIComponent(`${url}?ref=1`)}&lang=ja`)).status, 200);
+});
+
+test("/api/feeds/validate checks feeds from the shared cache and needs a token to force a refresh", async () => {
+  const checked = await getJson("/api/feeds/validate");
+  assert.equal(checked.status, 200);
+  assert.equal(checked.body.checked, true);
+  assert.equal(checked.body.refreshed, false);
+
+  const { status, body } = await getJson("/api/feeds/validate?refresh=1");
+  assert.equal(status, 401);
+  assert.equal(body.message, "FEEDS_ADMIN_TOKEN is not set");
+});
+
+test("/api/foryou saves the translations it makes for the ranked page", async () => {
+  const { getStore } = await import("../api/_lib/store.js");
+  const { status, body } = await getJson("/api/foryou?hours=24&lang=en");
+  assert.equal(status, 200);
+  const translated = body.items.filter((it) => it.translation);
+  assert.ok(translated.length > 0);
+  assert.ok(body.items.every((it) => !("translations" in it)));
+
+  const stored = await getStore().findByIds(translated.map((it) => it.id));
+  assert.ok(translated.every((it) => stored.get(it.id)?.translations?.en?.title === it.translation.title));
+});
+
+test("/api/prefs refuses to sync when the store is per instance", async () => {
+  const { status, body } = await getJson("/api/prefs?key=abcdefghijklmnop1234");
+  assert.equal(status, 503);
+  assert.match(body.message, /per server instance/);
+});
+
+test("/api/entities rejects a non-numeric hours or limit", async () => {
+  assert.equal((await getJson("/api/entities?hours=24&limit=5")).status, 200);
+  assert.equal((await getJson("/api/entities?limit=abc")).status, 400);
+  const { status, body } = await getJson("/api/entities?hours=abc");
+  assert.equal(status, 400);
+  assert.equal(body.message, "hours must be an integer >= 1");
+});
+
+test("/api/stats rejects a non-numeric hours", async () => {
+  const { status, body } = await getJson("/api/stats?hours=abc");
+  assert.equal(status, 400);
+  assert.equal(body.message, "hours must be an integer >= 1");
+});
+
+test("/api/news rejects an invalid lang", async () => {
+  const { status, body } = await getJson("/api/news?lang=english");
+  assert.equal(status, 400);
+  assert.equal(body.error, "Bad Request");
+});
+
+test("dev server answers 404 for unknown functions", async () => {
+  const { status } = await getJson("/api/does-not-exist");
+  assert.equal(status, 404);
+});
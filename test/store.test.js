@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createJsonStore, createMemoryStore } from "../api/_lib/store.js";
+
+const record = (id, hoursAgo = 1) => ({
+  id,
+  url: `https://example.com/${id}`,
+  title: id,
+  publishedAt: new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString(),
+});
+
+test("putNew returns only the ids it added and fills in missing translations", async () => {
+  const store = createMemoryStore();
+  assert.deepEqual(await store.putNew([record("a"), record("b")]), ["a", "b"]);
+  assert.deepEqual(await store.putNew([record("b"), { ...record("a"), translations: { ja: { title: "エー" } } }, record("c")]), [
+    "c",
+  ]);
+  const { items } = await store.query();
+  assert.equal(items.find((r) => r.id === "a").translations.ja.title, "エー");
+});
+
+test("findByIds returns only the stored records", async () => {
+  const store = createMemoryStore();
+  await store.putNew([{ ...record("a"), translations: { ja: { title: "エー" } } }]);
+  const found = await store.findByIds(["a", "b"]);
+  assert.deepEqual([...found.keys()], ["a"]);
+  assert.equal(found.get("a").translations.ja.title, "エー");
+});
+
+test("the JSON store keeps writing after a failed write", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "store-test-"));
+  const file = path.join(dir, "articles.json");
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    const store = createJsonStore(file);
+
+    // tmp ファイルの場所にディレクトリがあると書き込みが失敗する
+    await fs.mkdir(tmp);
+    await assert.rejects(store.putNew([record("a")]));
+    await fs.rmdir(tmp);
+
+    assert.deepEqual(await store.putNew([record("b")]), ["b"]);
+    const saved = JSON.parse(await fs.readFile(file, "utf8"));
+    assert.deepEqual(saved.items.map((r) => r.id).sort(), ["a", "b"]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("the JSON store refuses to run on a file it could not parse instead of overwriting it", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "store-test-"));
+  const file = path.join(dir, "articles.json");
+  try {
+    await fs.writeFile(file, "{ not json");
+    const store = createJsonStore(file);
+    await assert.rejects(store.putNew([record("a")]), /store load failed/);
+    assert.equal(await fs.readFile(file, "utf8"), "{ not json");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderFeed } from "../api/_lib/syndication.js";
+
+const stories = [
+  { id: "a", url: "https://example.com/a", source: "Mixmag", title: "New album", lang: "en", translation: { lang: "ja", title: "新作アルバム" } },
+  { id: "b", url: "https://example.com/b", source: "Groove", title: "Neues Album", lang: "de", translation: null },
+];
+const meta = { title: "Music News", description: "d", homeUrl: "https://h", selfUrl: "https://h/feed", updatedAt: "2026-03-01T00:00:00Z", language: "ja" };
+
+test("feeds declare the language of their titles and mark untranslated items", () => {
+  const rss = renderFeed("rss", stories, meta);
+  assert.match(rss, /<language>ja<\/language>/);
+  assert.match(rss, /<title>Neues Album<\/title>.*<dc:language>de<\/dc:language>/);
+  assert.doesNotMatch(rss, /<title>新作アルバム<\/title>[^\n]*<dc:language>/);
+
+  const atom = renderFeed("atom", stories, meta);
+  assert.match(atom, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom" xml:lang="ja">/);
+  assert.match(atom, /<entry xml:lang="de"><id>urn:music-news-24h:b<\/id>/);
+
+  const json = JSON.parse(renderFeed("jsonfeed", stories, meta));
+  assert.equal(json.language, "ja");
+  assert.deepEqual(json.items.map((it) => it.language), [undefined, "de"]);
+});
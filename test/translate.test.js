@@ -0,0 +1,168 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectLanguage, translateItems, translateTexts } from "../api/_lib/translate.js";
+
+// translate(texts) の呼び出しを記録する偽プロバイダ。respond で結果を差し替える
+function fakeTranslator({ name = "fake", respond, usage } = {}) {
+  const calls = [];
+  return {
+    name,
+    calls,
+    available: () => true,
+    async translate(texts, opts) {
+      calls.push({ texts, ...opts });
+      return respond ? respond(texts, opts) : texts.map((t) => (t ? `<${opts.targetLang}> ${t}` : t));
+    },
+    usage,
+  };
+}
+
+let seq = 0;
+// tlCache はモジュール内で共有されるので、テストごとに見出しを変える
+function item(title, extra = {}) {
+  seq++;
+  return { id: `src::https://example.com/${seq}`, title: `${title} #${seq}`, summary: null, ...extra };
+}
+
+test("items already in the target language are left alone", async () => {
+  const translator = fakeTranslator();
+  const items = [item("YOASOBI、新曲を配信リリース")];
+  const report = await translateItems(items, { lang: "ja", translator });
+
+  assert.equal(items[0].lang, "ja");
+  assert.equal(items[0].translation, null);
+  assert.equal(translator.calls.length, 0);
+  assert.equal(report.translated, 0);
+});
+
+test("kanji-only headlines are Japanese unless they use simplified-only characters", () => {
+  assert.equal(detectLanguage("坂本龍一追悼公演開催決定"), "ja");
+  assert.equal(detectLanguage("椎名林檎、全国巡業発表"), "ja");
+  assert.equal(detectLanguage("周杰伦发布新专辑"), "zh");
+  assert.equal(detectLanguage("YOASOBI、新曲を配信リリース"), "ja");
+});
+
+test("translations are merged back per item, title and summary in order", async () => {
+  const translator = fakeTranslator();
+  const items = [
+    item("Aphex Twin announces new album", { summary: "The record is due in spring.", publishedAt: "2026-01-02T00:00:00Z" }),
+    item("Radiohead share new single", { publishedAt: "2026-01-01T00:00:00Z" }),
+  ];
+  const report = await translateItems(items, { lang: "ja", translator });
+
+  assert.equal(translator.calls.length, 1);
+  assert.equal(translator.calls[0].sourceLang, "en");
+  assert.equal(translator.calls[0].texts.length, 4);
+  assert.deepEqual(items[0].translation, {
+    lang: "ja",
+    title: `<ja> ${items[0].title}`,
+    summary: "<ja> The record is due in spring.",
+  });
+  assert.deepEqual(items[1].translation, { lang: "ja", title: `<ja> ${items[1].title}`, summary: null });
+  assert.equal(report.translated, 2);
+});
+
+test("items are grouped by detected source language", async () => {
+  const translator = fakeTranslator();
+  const items = [item("Neues Album von Goldie angekündigt"), item("Four Tet shares a new house track")];
+  await translateItems(items, { lang: "ja", translator });
+
+  assert.deepEqual(translator.calls.map((c) => c.sourceLang).sort(), ["de", "en"]);
+  assert.ok(items.every((it) => it.translation?.title.startsWith("<ja>")));
+});
+
+test("stored translations are reused without calling the provider", async () => {
+  const translator = fakeTranslator();
+  const items = [item("Burial returns with a new EP", { translations: { ja: { title: "ブリアルが新作EP", summary: null } } })];
+  const report = await translateItems(items, { lang: "ja", translator });
+
+  assert.equal(translator.calls.length, 0);
+  assert.deepEqual(items[0].translation, { lang: "ja", title: "ブリアルが新作EP", summary: null });
+  assert.equal(report.cached, 1);
+});
+
+test("results are cached across calls for the same provider and text", async () => {
+  const translator = fakeTranslator();
+  const first = [item("Daft Punk reissue announced")];
+  await translateItems(first, { lang: "ja", translator });
+
+  const again = [{ ...first[0], lang: null, translation: null }];
+  const report = await translateItems(again, { lang: "ja", translator });
+
+  assert.equal(translator.calls.length, 1);
+  assert.equal(report.cached, 1);
+  assert.equal(again[0].translation.title, first[0].translation.title);
+});
+
+test("a missing result skips only that item", async () => {
+  const translator = fakeTranslator({ respond: (texts) => texts.map((t, i) => (i < 2 ? `ok ${t}` : null)) });
+  const items = [
+    item("Kendrick Lamar announces tour", { publishedAt: "2026-01-02T00:00:00Z" }),
+    item("Taylor Swift shares new video", { publishedAt: "2026-01-01T00:00:00Z" }),
+  ];
+  const report = await translateItems(items, { lang: "ja", translator });
+
+  assert.equal(items[0].translation.title, `ok ${items[0].title}`);
+  assert.equal(items[1].translation, null);
+  assert.deepEqual(report.skipped, [{ id: items[1].id, reason: "error" }]);
+});
+
+test("provider errors keep the items untranslated", async () => {
+  const translator = fakeTranslator({
+    respond: () => {
+      throw new Error("HTTP 503");
+    },
+  });
+  const items = [item("Björk announces new live album")];
+  const report = await translateItems(items, { lang: "ja", translator });
+
+  assert.equal(items[0].translation, null);
+  assert.equal(items[0].title.startsWith("Björk"), true);
+  assert.deepEqual(report.skipped, [{ id: items[0].id, reason: "error" }]);
+});
+
+test("no provider reports every candidate as unavailable", async () => {
+  const items = [item("Fred again.. shares new track")];
+  const report = await translateItems(items, { lang: "ja", translator: null });
+
+  assert.equal(report.provider, null);
+  assert.deepEqual(report.skipped, [{ id: items[0].id, reason: "unavailable" }]);
+});
+
+test("newest items are translated first when the count limit is hit", async () => {
+  const translator = fakeTranslator();
+  const items = Array.from({ length: 41 }, (_, i) =>
+    item(`New techno record number ${i}`, { publishedAt: new Date(Date.UTC(2026, 0, 1, i)).toISOString() })
+  );
+  const report = await translateItems(items, { lang: "ja", translator });
+
+  assert.equal(report.translated, 40);
+  assert.deepEqual(report.skipped, [{ id: items[0].id, reason: "limit" }]);
+  assert.equal(items[0].translation, null);
+});
+
+test("items that do not fit the remaining quota are skipped", async () => {
+  // 残り = limit - used - QUOTA_RESERVE(5000) = 60 文字
+  const translator = fakeTranslator({ usage: async () => ({ used: 0, limit: 5060 }) });
+  const items = [
+    item("A short headline", { publishedAt: "2026-01-02T00:00:00Z" }),
+    item("A much longer headline that will not fit in what is left of the monthly quota", {
+      publishedAt: "2026-01-01T00:00:00Z",
+    }),
+  ];
+  const report = await translateItems(items, { lang: "ja", translator });
+
+  assert.ok(items[0].translation);
+  assert.equal(items[1].translation, null);
+  assert.deepEqual(report.skipped, [{ id: items[1].id, reason: "quota" }]);
+  assert.deepEqual(report.quota, { used: 0, limit: 5060 });
+});
+
+test("translateTexts returns texts in order with a report", async () => {
+  const translator = fakeTranslator();
+  const { texts, report } = await translateTexts(["one", "two"], { lang: "ja", sourceLang: "en", translator });
+
+  assert.deepEqual(texts, ["<ja> one", "<ja> two"]);
+  assert.equal(report.translated, 2);
+  assert.equal(report.reason, null);
+});
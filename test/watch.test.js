@@ -0,0 +1,78 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startDevServer } from "../scripts/dev-server.js";
+import { startWebhookSink } from "../scripts/webhook-sink.js";
+
+// api/_lib の環境変数は読み込み時に見るので、サーバーを起動してから import する
+let dev;
+let sink;
+let runPipeline;
+let getStore;
+let watch;
+before(async () => {
+  sink = await startWebhookSink({ port: 0, host: "127.0.0.1" });
+  process.env.WATCH_WEBHOOKS = `local=${sink.origin}/hook`;
+  dev = await startDevServer({ port: 0, fixtures: true, quiet: true });
+  ({ runPipeline } = await import("../api/_lib/pipeline.js"));
+  ({ getStore } = await import("../api/_lib/store.js"));
+  watch = await import("../api/_lib/watch.js");
+});
+after(async () => {
+  await dev.close();
+  await sink.close();
+});
+
+test("watch rules match sources, genres and words", () => {
+  const { buildPayload, matchesRule, watchRulesFromRows } = watch;
+  const [rule] = watchRulesFromRows([{ enabled: "TRUE", name: "", keywords: "Four Tet", sources: "Mixmag", genres: "House" }]);
+  assert.equal(rule.name, "rule 1");
+  const it = { title: "Four Tet shares new single", source: "mixmag", genreTags: [{ genre: "House" }] };
+  assert.equal(matchesRule(rule, it), true);
+  assert.equal(matchesRule(rule, { ...it, title: "Four Tetris" }), false);
+  assert.equal(matchesRule(rule, { ...it, genreTags: [{ genre: "Techno" }] }), false);
+  assert.match(buildPayload("https://discord.com/api/webhooks/1/x", rule, [it]).content, /Four Tet shares new single/);
+});
+
+test("webhook payloads escape link syntax in titles and use the configured language", () => {
+  const { buildPayload } = watch;
+  const rule = { name: "Brackets" };
+  const it = {
+    title: "Artist [Live] (2026) | <b>",
+    url: "https://example.com/a (1)",
+    source: "Mixmag",
+    translations: { en: { title: "English [title]" } },
+  };
+
+  const discord = buildPayload("https://discord.com/api/webhooks/1/x", rule, [it]).content;
+  assert.match(discord, /\[Artist \\\[Live\\\] \(2026\) \| <b>\]\(https:\/\/example\.com\/a%20%281%29\)/);
+
+  const slack = buildPayload("https://hooks.slack.com/x", rule, [it]).text;
+  assert.match(slack, /<https:\/\/example\.com\/a%20\(1\)\|Artist \[Live\] \(2026\) {2}&lt;b&gt;>/);
+
+  assert.match(buildPayload("https://hooks.slack.com/x", rule, [it], { lang: "en" }).text, /\|English \[title\]>/);
+});
+
+test("the pipeline alerts once per newly seen match and not again when the run repeats", async () => {
+  // 以前の実行で見たアイテムは（通知の記録が無くても）照合しない
+  await getStore().putNew([
+    {
+      id: "Bass Weekly::https://example.com/bass/aphex-twin-blackbox",
+      source: "Bass Weekly",
+      url: "https://example.com/bass/aphex-twin-blackbox",
+      title: "Aphex Twin announces new album Blackbox on Warp",
+      publishedAt: new Date().toISOString(),
+    },
+  ]);
+
+  const first = await runPipeline({ hours: 24 });
+  assert.equal(first.watchReport.sent, 1);
+  assert.equal(sink.requests.length, 1);
+  const [alert] = sink.requests;
+  assert.equal(alert.path, "/hook");
+  assert.match(alert.body.text, /^🔔 YOASOBI: 1 new item\n/);
+  assert.match(alert.body.text, /https:\/\/example\.com\/ja\/yoasobi-new-single/);
+
+  const second = await runPipeline({ hours: 24 });
+  assert.equal(second.watchReport.sent, 0);
+  assert.equal(sink.requests.length, 1);
+});